@@ -2,32 +2,54 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 
 const app = express();
 
+// Render sits behind one proxy; this makes req.ip the client's address
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
+// Bulk imports send whole spreadsheets as JSON
+app.use('/api/admin/import', express.json({ limit: require('./config/transfer').maxImportBytes }));
 app.use(express.json());
+app.use(cookieParser());
+app.use('/api', require('./utils/requestContext').bind);
+app.use('/api', require('./middleware/language'));
 
 // Routes
-const articleRoutes = require('./routes/articleRoutes');
-const contactRoutes = require('./routes/contactRoutes');
+require('./routes').forEach(({ path, router }) => app.use(path, router));
+app.use('/api/docs', require('./routes/docsRoutes'));
 
-app.use('/api/articles', articleRoutes);
-app.use('/api/contact', contactRoutes);
+// Uploaded images, when they are stored on this server's disk. File names
+// include the media id and never change, so they can be cached for long.
+const storage = require('./utils/storage').getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.root, { maxAge: '30d', immutable: true }));
+}
 
 // Test route
 app.get('/', (req, res) => {
   res.send('AgriHealth API is working!');
 });
 
+// Error handling middleware
+const { notFound, errorHandler } = require('./middleware/error');
+
+app.use(notFound);
+app.use(errorHandler);
+
 // MongoDB
 mongoose
   .connect(process.env.MONGO_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true
   })
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    require('./utils/scheduler').start();
+  })
   .catch((err) => console.error('❌ MongoDB Connection Error:', err));
 
 // Start server
@@ -0,0 +1,9 @@
+// config/audit.js
+// Audit log settings. Every value can be overridden from .env.
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+module.exports = {
+  // Entries older than this many days are deleted; 0 keeps them forever
+  retentionDays: number(process.env.AUDIT_RETENTION_DAYS, 365)
+};
@@ -0,0 +1,21 @@
+// config/sms.js
+// SMS and USSD settings. Every value can be overridden from .env.
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+module.exports = {
+  // Longest reply, in SMS segments; longer text is cut at a word boundary
+  maxSegments: number(process.env.SMS_MAX_SEGMENTS, 3),
+
+  // Daily tips go out on the first scheduler run after this hour (UTC)
+  broadcastHour: number(process.env.SMS_BROADCAST_HOUR, 6),
+  // Subscribers handled per scheduler run, so one run never takes too long
+  broadcastBatchSize: number(process.env.SMS_BROADCAST_BATCH_SIZE, 500),
+
+  // Webhook calls must carry ?token=<value>; required unless SMS_PROVIDER is
+  // the simulator outside production
+  webhookToken: process.env.SMS_WEBHOOK_TOKEN,
+
+  // Services listed in a CLINIC reply
+  maxClinics: number(process.env.SMS_MAX_CLINICS, 3)
+};
@@ -0,0 +1,55 @@
+// config/spam.js
+// Abuse settings for the public forms (contact, testimonials and newsletter
+// sign-ups) and the view counter. Every value can be overridden from .env.
+
+const list = (value, fallback) =>
+  value ? value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean) : fallback;
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+module.exports = {
+  // Submissions allowed per window before answering 429
+  windowMinutes: number(process.env.CONTACT_WINDOW_MINUTES, 60),
+  maxPerIp: number(process.env.CONTACT_MAX_PER_IP, 5),
+  maxPerEmail: number(process.env.CONTACT_MAX_PER_EMAIL, 3),
+
+  // Sign-ups send an email or SMS, so each IP and each address may only
+  // ask for so many per window
+  joinWindowMinutes: number(process.env.SUBSCRIBE_WINDOW_MINUTES, 60),
+  joinMaxPerIp: number(process.env.SUBSCRIBE_MAX_PER_IP, 5),
+  joinMaxPerAddress: number(process.env.SUBSCRIBE_MAX_PER_ADDRESS, 2),
+
+  // Views and completions of one piece of content counted per IP and
+  // window; more are accepted but not counted. Several readers can share
+  // an IP behind a mobile network, so this is well above one.
+  trackWindowMinutes: number(process.env.TRACK_WINDOW_MINUTES, 60),
+  trackMaxPerIp: number(process.env.TRACK_MAX_PER_IP, 10),
+
+  // Hidden form field that humans never fill in
+  honeypotField: process.env.CONTACT_HONEYPOT_FIELD || 'website',
+  // Forms submitted faster than this after their form token was issued are
+  // treated as bots, as are tokens older than formTokenMaxHours
+  minFillSeconds: number(process.env.CONTACT_MIN_FILL_SECONDS, 3),
+  formTokenMaxHours: number(process.env.CONTACT_FORM_TOKEN_MAX_HOURS, 24),
+
+  // Messages scoring at or above the threshold go to quarantine
+  threshold: number(process.env.CONTACT_SPAM_THRESHOLD, 5),
+  keywords: list(process.env.CONTACT_SPAM_KEYWORDS, [
+    'viagra',
+    'casino',
+    'bitcoin',
+    'crypto',
+    'forex',
+    'loan offer',
+    'backlink',
+    'porn',
+    'escort',
+    'click here',
+    'buy now',
+    'whatsapp me'
+  ]),
+  keywordScore: number(process.env.CONTACT_SPAM_KEYWORD_SCORE, 2),
+  // Score per link, and the number of links allowed before it counts
+  linkScore: number(process.env.CONTACT_SPAM_LINK_SCORE, 2),
+  freeLinks: number(process.env.CONTACT_SPAM_FREE_LINKS, 0)
+};
@@ -0,0 +1,11 @@
+// config/transfer.js
+// Bulk import settings. Every value can be overridden from .env.
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+module.exports = {
+  // Largest CSV or JSON file accepted by /api/admin/import, in bytes
+  maxImportBytes: number(process.env.IMPORT_MAX_BYTES, 10 * 1024 * 1024),
+  // Rows per import; larger sheets should be split
+  maxImportRows: number(process.env.IMPORT_MAX_ROWS, 5000)
+};
@@ -0,0 +1,342 @@
+// config/triage.js
+// Triage settings, and the starter rules the first draft is created from.
+// The rules themselves are edited by health experts through /api/triage/rules;
+// changing `starterRules` here only affects drafts created from scratch.
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+const text = (English, Français, Swahili) => ({ English, Français, Swahili });
+
+const starterRules = {
+  notes: 'Starter rules for pesticide exposure and common farm injuries',
+  defaultUrgency: 'see-clinic',
+  symptoms: [
+    {
+      key: 'skin-irritation',
+      label: text(
+        'Skin redness, itching or burning',
+        'Rougeur, démangeaisons ou brûlure de la peau',
+        'Ngozi kuwa nyekundu, kuwasha au kuungua'
+      )
+    },
+    {
+      key: 'eye-irritation',
+      label: text(
+        'Eye pain, redness or watering',
+        'Douleur, rougeur ou larmoiement des yeux',
+        'Maumivu ya macho, wekundu au machozi'
+      )
+    },
+    { key: 'headache', label: text('Headache', 'Mal de tête', 'Maumivu ya kichwa') },
+    { key: 'dizziness', label: text('Dizziness', 'Vertiges', 'Kizunguzungu') },
+    {
+      key: 'nausea',
+      label: text('Nausea or vomiting', 'Nausées ou vomissements', 'Kichefuchefu au kutapika')
+    },
+    {
+      key: 'excessive-sweating',
+      label: text(
+        'Heavy sweating or drooling',
+        'Transpiration ou salivation abondante',
+        'Kutokwa jasho au mate kwa wingi'
+      )
+    },
+    {
+      key: 'blurred-vision',
+      label: text('Blurred vision', 'Vision floue', 'Kuona ukungu')
+    },
+    {
+      key: 'muscle-twitching',
+      label: text('Muscle twitching', 'Contractions musculaires', 'Misuli kutetemeka')
+    },
+    {
+      key: 'breathing-difficulty',
+      label: text('Difficulty breathing', 'Difficulté à respirer', 'Shida ya kupumua')
+    },
+    { key: 'confusion', label: text('Confusion', 'Confusion', 'Kuchanganyikiwa') },
+    { key: 'seizures', label: text('Seizures', 'Convulsions', 'Degedege') },
+    {
+      key: 'unconscious',
+      label: text(
+        'Fainting or not responding',
+        'Évanouissement ou absence de réaction',
+        'Kuzimia au kutoitikia'
+      )
+    },
+    { key: 'bleeding', label: text('Bleeding', 'Saignement', 'Kutokwa damu') },
+    {
+      key: 'heavy-bleeding',
+      label: text(
+        'Bleeding that will not stop',
+        'Saignement qui ne s’arrête pas',
+        'Damu isiyokoma'
+      )
+    },
+    { key: 'deep-wound', label: text('Deep cut', 'Coupure profonde', 'Jeraha refu') },
+    { key: 'burn', label: text('Burn', 'Brûlure', 'Kuungua') },
+    {
+      key: 'suspected-fracture',
+      label: text('A bone may be broken', 'Un os est peut-être cassé', 'Huenda mfupa umevunjika')
+    }
+  ],
+  firstAid: [
+    {
+      key: 'call-emergency',
+      text: text(
+        'Get emergency help now: call 912 or go to the nearest hospital.',
+        'Demandez de l’aide d’urgence maintenant : appelez le 912 ou allez à l’hôpital le plus proche.',
+        'Pata msaada wa dharura sasa: piga 912 au nenda hospitali iliyo karibu.'
+      )
+    },
+    {
+      key: 'recovery-position',
+      text: text(
+        'If the person is drowsy or not responding, lay them on their side and keep the airway clear.',
+        'Si la personne est somnolente ou ne réagit pas, couchez-la sur le côté et dégagez les voies respiratoires.',
+        'Ikiwa mtu ana usingizi au haitikii, mlaze kwa ubavu na uhakikishe njia ya hewa iko wazi.'
+      )
+    },
+    {
+      key: 'bring-label',
+      text: text(
+        'Take the product label or container with you to the health facility.',
+        'Apportez l’étiquette ou l’emballage du produit au centre de santé.',
+        'Beba lebo au chombo cha dawa unapokwenda kituo cha afya.'
+      )
+    },
+    {
+      key: 'remove-clothing',
+      text: text(
+        'Remove contaminated clothing and shoes, wearing gloves if you can.',
+        'Retirez les vêtements et chaussures contaminés, avec des gants si possible.',
+        'Vua nguo na viatu vilivyochafuliwa, ukivaa glavu ikiwezekana.'
+      )
+    },
+    {
+      key: 'wash-skin',
+      text: text(
+        'Wash the skin with soap and plenty of running water for at least 15 minutes.',
+        'Lavez la peau avec du savon et beaucoup d’eau courante pendant au moins 15 minutes.',
+        'Osha ngozi kwa sabuni na maji mengi yanayotiririka kwa angalau dakika 15.'
+      )
+    },
+    {
+      key: 'rinse-eyes',
+      text: text(
+        'Rinse the eyes with clean running water for at least 15 minutes, holding the eyelids open.',
+        'Rincez les yeux à l’eau courante propre pendant au moins 15 minutes, en gardant les paupières ouvertes.',
+        'Suuza macho kwa maji safi yanayotiririka kwa angalau dakika 15, ukishikilia kope wazi.'
+      )
+    },
+    {
+      key: 'fresh-air',
+      text: text(
+        'Move to fresh air away from the sprayed area and loosen tight clothing.',
+        'Allez à l’air frais, loin de la zone traitée, et desserrez les vêtements.',
+        'Hamia kwenye hewa safi mbali na eneo lililonyunyiziwa na legeza nguo zinazobana.'
+      )
+    },
+    {
+      key: 'do-not-vomit',
+      text: text(
+        'Do not make the person vomit and do not give milk or oil. Rinse the mouth with water.',
+        'Ne faites pas vomir la personne et ne donnez ni lait ni huile. Rincez la bouche à l’eau.',
+        'Usimfanye mtu atapike na usimpe maziwa au mafuta. Suuza mdomo kwa maji.'
+      )
+    },
+    {
+      key: 'stop-bleeding',
+      text: text(
+        'Press firmly on the wound with a clean cloth until the bleeding stops.',
+        'Appuyez fermement sur la plaie avec un linge propre jusqu’à l’arrêt du saignement.',
+        'Bonyeza jeraha kwa nguvu kwa kitambaa safi hadi damu ikome.'
+      )
+    },
+    {
+      key: 'clean-wound',
+      text: text(
+        'Rinse the wound with clean water and cover it with a clean dressing.',
+        'Rincez la plaie à l’eau propre et couvrez-la d’un pansement propre.',
+        'Suuza jeraha kwa maji safi na ulifunike kwa kitambaa safi.'
+      )
+    },
+    {
+      key: 'tetanus',
+      text: text(
+        'Ask a health worker whether you need a tetanus injection.',
+        'Demandez à un agent de santé si vous avez besoin d’un vaccin antitétanique.',
+        'Muulize mhudumu wa afya kama unahitaji sindano ya pepopunda.'
+      )
+    },
+    {
+      key: 'immobilise',
+      text: text(
+        'Keep the injured limb still and do not try to straighten it.',
+        'Gardez le membre blessé immobile et n’essayez pas de le redresser.',
+        'Usisogeze kiungo kilichoumia na usijaribu kukinyoosha.'
+      )
+    },
+    {
+      key: 'watch-symptoms',
+      text: text(
+        'Rest and watch for new symptoms over the next 24 hours. Seek care if they appear or get worse.',
+        'Reposez-vous et surveillez l’apparition de symptômes pendant 24 heures. Consultez s’ils apparaissent ou s’aggravent.',
+        'Pumzika na angalia dalili mpya kwa saa 24 zijazo. Tafuta huduma zikitokea au zikizidi.'
+      ),
+      urgencies: ['self-care']
+    }
+  ],
+  rules: [
+    {
+      key: 'danger-signs',
+      description: 'Signs of severe poisoning or injury, whatever the cause',
+      urgency: 'emergency',
+      symptoms: ['seizures', 'unconscious', 'breathing-difficulty', 'confusion'],
+      firstAid: ['call-emergency', 'recovery-position', 'bring-label'],
+      serviceTypes: ['hospital', 'poison-centre'],
+      services: ['poisoning-treatment', 'emergency']
+    },
+    {
+      key: 'swallowed',
+      description: 'Any chemical that was swallowed',
+      urgency: 'emergency',
+      routes: ['ingestion'],
+      firstAid: ['call-emergency', 'do-not-vomit', 'bring-label'],
+      serviceTypes: ['hospital', 'poison-centre'],
+      services: ['poisoning-treatment']
+    },
+    {
+      key: 'highly-hazardous',
+      description: 'WHO class Ia or Ib products, by any route',
+      urgency: 'emergency',
+      routes: ['skin', 'eyes', 'inhalation', 'ingestion'],
+      toxicityClasses: ['Ia', 'Ib'],
+      firstAid: ['call-emergency', 'remove-clothing', 'wash-skin', 'bring-label'],
+      serviceTypes: ['hospital', 'poison-centre'],
+      services: ['poisoning-treatment']
+    },
+    {
+      key: 'cholinergic-signs',
+      description: 'Two or more signs typical of organophosphate or carbamate poisoning',
+      urgency: 'emergency',
+      symptoms: ['excessive-sweating', 'blurred-vision', 'muscle-twitching', 'nausea'],
+      minSymptoms: 2,
+      firstAid: ['call-emergency', 'remove-clothing', 'wash-skin', 'bring-label'],
+      serviceTypes: ['hospital', 'poison-centre'],
+      services: ['poisoning-treatment']
+    },
+    {
+      key: 'severe-injury',
+      description: 'Heavy bleeding or a suspected fracture',
+      urgency: 'emergency',
+      routes: ['injury'],
+      symptoms: ['heavy-bleeding', 'suspected-fracture'],
+      firstAid: ['call-emergency', 'stop-bleeding', 'immobilise'],
+      serviceTypes: ['hospital'],
+      services: ['emergency']
+    },
+    {
+      key: 'systemic-symptoms',
+      description: 'Symptoms beyond the point of contact after a chemical exposure',
+      urgency: 'see-clinic',
+      routes: ['skin', 'eyes', 'inhalation'],
+      symptoms: [
+        'headache',
+        'dizziness',
+        'nausea',
+        'excessive-sweating',
+        'blurred-vision',
+        'muscle-twitching'
+      ],
+      firstAid: ['remove-clothing', 'wash-skin', 'bring-label'],
+      serviceTypes: ['clinic', 'health-centre'],
+      services: ['poisoning-treatment']
+    },
+    {
+      key: 'eye-contact',
+      description: 'Chemical in the eyes',
+      urgency: 'see-clinic',
+      routes: ['eyes'],
+      firstAid: ['rinse-eyes', 'bring-label'],
+      serviceTypes: ['clinic', 'health-centre']
+    },
+    {
+      key: 'lasting-skin-irritation',
+      description: 'Skin irritation still there a day after contact',
+      urgency: 'see-clinic',
+      routes: ['skin'],
+      symptoms: ['skin-irritation'],
+      minHoursSinceExposure: 24,
+      firstAid: ['wash-skin', 'bring-label'],
+      serviceTypes: ['clinic', 'health-centre']
+    },
+    {
+      key: 'skin-contact',
+      description: 'Chemical on the skin',
+      urgency: 'self-care',
+      routes: ['skin'],
+      firstAid: ['remove-clothing', 'wash-skin', 'watch-symptoms']
+    },
+    {
+      key: 'breathed-in',
+      description: 'Spray or fumes breathed in',
+      urgency: 'self-care',
+      routes: ['inhalation'],
+      firstAid: ['fresh-air', 'watch-symptoms']
+    },
+    {
+      key: 'wound',
+      description: 'Cuts and burns that need cleaning or stitches',
+      urgency: 'see-clinic',
+      routes: ['injury'],
+      symptoms: ['deep-wound', 'bleeding', 'burn'],
+      firstAid: ['stop-bleeding', 'clean-wound', 'tetanus'],
+      serviceTypes: ['clinic', 'health-centre'],
+      services: ['first-aid']
+    },
+    {
+      key: 'minor-injury',
+      description: 'Other farm injuries',
+      urgency: 'self-care',
+      routes: ['injury'],
+      firstAid: ['clean-wound', 'watch-symptoms']
+    }
+  ]
+};
+
+module.exports = {
+  // Services returned with an assessment
+  maxServices: number(process.env.TRIAGE_MAX_SERVICES, 3),
+  // How far to look for services around the person, in km
+  searchRadiusKm: number(process.env.TRIAGE_SEARCH_RADIUS_KM, 50),
+  // Related First Aid and Chemical Safety articles returned
+  maxArticles: number(process.env.TRIAGE_MAX_ARTICLES, 5),
+  // National numbers given when no health service on record fits, e.g.
+  // none has been added near the person yet. Shaped like health services.
+  helplines: [
+    {
+      name: 'SAMU emergency ambulance',
+      type: 'helpline',
+      phones: [{ label: 'Emergency', number: '912', tollFree: true }],
+      open24Hours: true
+    },
+    {
+      name: 'RBC health hotline',
+      type: 'helpline',
+      phones: [{ label: 'Hotline', number: '114', tollFree: true }],
+      open24Hours: true
+    },
+    ...(process.env.TRIAGE_POISON_CENTRE_PHONE
+      ? [
+          {
+            name: process.env.TRIAGE_POISON_CENTRE_NAME || 'Poison centre',
+            type: 'poison-centre',
+            phones: [{ label: 'Poisoning', number: process.env.TRIAGE_POISON_CENTRE_PHONE }],
+            open24Hours: true
+          }
+        ]
+      : [])
+  ],
+
+  starterRules
+};
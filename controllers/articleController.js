@@ -1,5 +1,322 @@
-exports.getAllArticles = (req, res) => {
-  res.json({
-    message: 'All articles route working ✅'
+// controllers/articleController.js
+const Article = require('../models/Article');
+const Media = require('../models/Media');
+const Chemical = require('../models/Chemical');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { collapseTranslations } = require('../utils/language');
+const { listDocuments, sendList } = require('../utils/listQuery');
+const Revision = require('../models/Revision');
+const { diffSnapshots } = require('../utils/diff');
+
+const STAFF_ROLES = ['admin', 'editor', 'health-expert'];
+const isStaff = (req) => Boolean(req.user && STAFF_ROLES.includes(req.user.role));
+
+const LIST_OPTIONS = {
+  filters: {
+    category: 'string',
+    language: 'string',
+    readTime: 'number',
+    status: 'string',
+    createdAt: 'date',
+    publishedAt: 'date',
+    scheduledFor: 'date',
+    translationGroup: 'objectId',
+    slug: 'string'
+  },
+  sortable: ['createdAt', 'updatedAt', 'publishedAt', 'readTime', 'title'],
+  selectable: [
+    'slug',
+    'title',
+    'content',
+    'category',
+    'readTime',
+    'language',
+    'imageUrl',
+    'image',
+    'chemicals',
+    'externalLink',
+    'status',
+    'publishedAt',
+    'scheduledFor',
+    'version',
+    'createdAt',
+    'updatedAt',
+    'translationGroup',
+    'availableLanguages'
+  ],
+  exclude: { searchText: 0, textLanguage: 0 }
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+// Readers only ever see published articles; logged-in staff see every
+// status and can narrow it with ?status=
+exports.getAllArticles = catchAsync(async (req, res, next) => {
+  // An explicit language filter returns exactly that language; otherwise
+  // each translation set is shown once, in the reader's best language.
+  const result = await listDocuments(Article, req, {
+    ...LIST_OPTIONS,
+    baseFilter: isStaff(req) ? {} : Article.publishedFilter(),
+    pipeline: req.query.language ? [] : collapseTranslations(req.languages),
+    pagePipeline: Media.lookup('image')
+  });
+
+  sendList(res, 'articles', result);
+});
+
+// With ?lang= the matching translation is returned instead, falling back
+// to English and then to the requested document itself
+exports.getArticle = catchAsync(async (req, res, next) => {
+  const requested = await Article.findById(req.params.id);
+
+  if (!requested || (!isStaff(req) && !requested.isPublic())) {
+    return next(new AppError('No article found with that ID', 404));
+  }
+
+  const { doc: article, siblings } = await Article.findTranslation(
+    requested,
+    req.query.lang ? req.languages : [requested.language],
+    isStaff(req) ? {} : Article.publishedFilter()
+  );
+  await article.populate('image', Media.PUBLIC_FIELDS);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      article,
+      translations: siblings.map(({ _id, language }) => ({ _id, language })),
+      safetyCards: await Chemical.safetyCards(article.chemicals, [
+        article.language,
+        ...req.languages
+      ])
+    }
+  });
+});
+
+const findArticle = async (id, next) => {
+  const article = await Article.findById(id);
+  if (!article) next(new AppError('No article found with that ID', 404));
+  return article;
+};
+
+const saveArticle = (article, user, note) => {
+  article.updatedBy = user._id;
+  article.$locals.revisionAuthor = user._id;
+  article.$locals.revisionNote = note;
+  return article.save();
+};
+
+// New articles always start as drafts
+exports.createArticle = catchAsync(async (req, res, next) => {
+  const article = new Article({
+    ...(await Article.applyTranslationOf(req.body)),
+    status: 'draft',
+    createdBy: req.user._id
+  });
+  await saveArticle(article, req.user, 'Created');
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      article
+    }
+  });
+});
+
+// Editing approved or published content sends it back for review, unless
+// the change is made by someone who could approve it themselves.
+exports.updateArticle = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id, next);
+  if (!article) return;
+
+  article.set(req.body);
+
+  const contentChanged = Article.revisionFields.some((field) => article.isModified(field));
+  const needsReview =
+    contentChanged &&
+    ['approved', 'published', undefined].includes(article.status) &&
+    !['admin', 'health-expert'].includes(req.user.role);
+
+  if (needsReview) {
+    article.status = 'in-review';
+    article.approvedBy = undefined;
+    article.approvedAt = undefined;
+    article.scheduledFor = undefined;
+  }
+
+  await saveArticle(article, req.user, needsReview ? 'Edited; sent back for review' : 'Edited');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      article
+    }
   });
+});
+
+// Allowed status changes. Articles from before the workflow have no status
+// and are treated as published.
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in-review' },
+  approve: { from: ['in-review'], to: 'approved' },
+  reject: { from: ['in-review', 'approved'], to: 'draft' },
+  publish: { from: ['approved'], to: 'published' },
+  archive: { from: ['approved', 'published'], to: 'archived' },
+  unarchive: { from: ['archived'], to: 'draft' }
 };
+
+// POST /api/articles/:id/{submit|approve|reject|publish|archive|unarchive}
+// Body: { note } and, for publish, an optional future { publishAt }
+exports.transitionArticle = (action) =>
+  catchAsync(async (req, res, next) => {
+    const { from, to } = TRANSITIONS[action];
+
+    const article = await findArticle(req.params.id, next);
+    if (!article) return;
+
+    const current = article.status || 'published';
+    if (!from.includes(current)) {
+      return next(
+        new AppError(`Cannot ${action} an article that is ${current}`, 409, 'INVALID_TRANSITION')
+      );
+    }
+
+    const { note, publishAt } = req.body;
+    if (note) article.reviewNote = note;
+
+    if (action === 'approve') {
+      article.approvedBy = req.user._id;
+      article.approvedAt = Date.now();
+    }
+    if (action === 'reject' || action === 'unarchive') {
+      article.approvedBy = undefined;
+      article.approvedAt = undefined;
+      article.scheduledFor = undefined;
+    }
+
+    if (action === 'publish' && publishAt && new Date(publishAt) > Date.now()) {
+      // Stays approved until the scheduler publishes it
+      article.scheduledFor = publishAt;
+    } else {
+      article.status = to;
+      if (to === 'published') {
+        article.publishedAt = Date.now();
+        article.scheduledFor = undefined;
+      }
+    }
+
+    await saveArticle(article, req.user, note || `${action[0].toUpperCase()}${action.slice(1)}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        article
+      }
+    });
+  });
+
+exports.getRevisions = catchAsync(async (req, res, next) => {
+  const revisions = await Revision.find({ resourceType: 'Article', resourceId: req.params.id })
+    .select('-snapshot')
+    .populate('author', 'name role')
+    .sort('-version');
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: {
+      revisions
+    }
+  });
+});
+
+const findRevision = async (id, version, next) => {
+  const revision = await Revision.findOne({ resourceType: 'Article', resourceId: id, version });
+  if (!revision) next(new AppError(`No revision ${version} found for that article`, 404));
+  return revision;
+};
+
+exports.getRevision = catchAsync(async (req, res, next) => {
+  const revision = await findRevision(req.params.id, req.params.version, next);
+  if (!revision) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revision
+    }
+  });
+});
+
+// GET /api/articles/:id/revisions/:version/diff?against=current
+// Compares a revision with another version (default: the one before it)
+exports.diffRevision = catchAsync(async (req, res, next) => {
+  const revision = await findRevision(req.params.id, req.params.version, next);
+  if (!revision) return;
+
+  let against;
+  let againstVersion;
+  if (req.query.against === 'current') {
+    const article = await findArticle(req.params.id, next);
+    if (!article) return;
+    against = article.snapshot();
+    againstVersion = article.version;
+  } else {
+    againstVersion = req.query.against ? Number(req.query.against) : revision.version - 1;
+    if (againstVersion < 1) {
+      againstVersion = 0;
+      against = {};
+    } else {
+      const other = await findRevision(req.params.id, againstVersion, next);
+      if (!other) return;
+      against = other.snapshot;
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      from: againstVersion,
+      to: revision.version,
+      changes: diffSnapshots(against, revision.snapshot)
+    }
+  });
+});
+
+// Restoring brings back the old content as a new draft that needs review
+exports.restoreRevision = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id, next);
+  if (!article) return;
+
+  const revision = await findRevision(req.params.id, req.params.version, next);
+  if (!revision) return;
+
+  article.set(revision.snapshot);
+  article.status = 'draft';
+  article.approvedBy = undefined;
+  article.approvedAt = undefined;
+  article.scheduledFor = undefined;
+
+  await saveArticle(article, req.user, `Restored from version ${revision.version}`);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      article
+    }
+  });
+});
+
+exports.deleteArticle = catchAsync(async (req, res, next) => {
+  const article = await Article.findByIdAndDelete(req.params.id);
+
+  if (!article) {
+    return next(new AppError('No article found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,55 @@
+// controllers/auditController.js
+const AuditLog = require('../models/AuditLog');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { listDocuments, sendList } = require('../utils/listQuery');
+
+const LIST_OPTIONS = {
+  filters: {
+    actor: 'objectId',
+    action: 'string',
+    resourceType: 'string',
+    resourceId: 'objectId',
+    field: { type: 'string', path: 'changes.field' },
+    ip: 'string',
+    createdAt: 'date'
+  },
+  sortable: ['createdAt'],
+  selectable: [
+    'action',
+    'resourceType',
+    'resourceId',
+    'actor',
+    'actorName',
+    'actorRole',
+    'ip',
+    'changes',
+    'createdAt'
+  ],
+  defaultSort: '-createdAt'
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+// GET /api/admin/audit?resourceType=Article&resourceId=...&createdAt[gte]=2025-01-01
+// GET /api/admin/audit?actor=...&field=status
+exports.getAuditLog = catchAsync(async (req, res, next) => {
+  const result = await listDocuments(AuditLog, req, LIST_OPTIONS);
+
+  sendList(res, 'entries', result);
+});
+
+exports.getAuditEntry = catchAsync(async (req, res, next) => {
+  const entry = await AuditLog.findById(req.params.id);
+
+  if (!entry) {
+    return next(new AppError('No audit entry found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
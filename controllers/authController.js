@@ -0,0 +1,246 @@
+// controllers/authController.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { sendEmail } = require('../utils/email');
+const { frontendUrl } = require('../utils/frontend');
+
+const signToken = (id) =>
+  jwt.sign({ id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN
+  });
+
+const createSendToken = (user, statusCode, res) => {
+  const token = signToken(user._id);
+
+  res.cookie('jwt', token, {
+    expires: new Date(
+      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
+    ),
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production'
+  });
+
+  // Never send the password hash back to the client
+  user.password = undefined;
+  user.active = undefined;
+
+  res.status(statusCode).json({
+    status: 'success',
+    token,
+    data: {
+      user
+    }
+  });
+};
+
+const sendVerificationEmail = async (user, verificationToken) => {
+  const verifyURL = frontendUrl(`/verify-email/${verificationToken}`);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Confirm your AgriHealth Africa account',
+    text: `Hello ${user.name},\n\nAn AgriHealth Africa ${user.role} account has been created for you. Please confirm your email address within 24 hours by visiting:\n\n${verifyURL}\n\nIf you were not expecting this, you can ignore this email.`
+  });
+};
+
+// Claimed by the first registration; the counter makes sure only one
+// request can become the first admin, however many arrive at once
+const BOOTSTRAP_COUNTER = 'bootstrapAdmin';
+
+// Creates the first admin if `fields` may still claim that role, else
+// returns nothing. The account is validated before the claim is taken, and
+// the claim is given back if saving it fails.
+const bootstrapAdmin = async (fields) => {
+  if (await User.exists({})) return null;
+
+  const admin = new User({ ...fields, role: 'admin' });
+  await admin.validate();
+  if ((await Counter.next(BOOTSTRAP_COUNTER)) !== 1) return null;
+
+  try {
+    return await admin.save();
+  } catch (err) {
+    await Counter.deleteOne({ _id: BOOTSTRAP_COUNTER });
+    throw err;
+  }
+};
+
+// The very first account bootstraps the system as an admin. After that,
+// only a logged-in admin may create accounts and choose their role, and the
+// new account must confirm its email address before it can log in.
+exports.register = catchAsync(async (req, res, next) => {
+  const { name, email, password, role } = req.body;
+
+  if (!req.user || req.user.role !== 'admin') {
+    const admin = await bootstrapAdmin({ name, email, password });
+    if (!admin) {
+      return next(
+        new AppError('Only an admin can register new accounts', 403)
+      );
+    }
+    return createSendToken(admin, 201, res);
+  }
+
+  const newUser = await User.create({ name, email, password, role });
+
+  const verificationToken = newUser.createEmailVerificationToken();
+  await newUser.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(newUser, verificationToken);
+  } catch (err) {
+    console.error('Error sending verification email:', err);
+  }
+
+  newUser.password = undefined;
+  newUser.emailVerificationToken = undefined;
+  newUser.emailVerificationExpires = undefined;
+  res.status(201).json({
+    status: 'success',
+    data: {
+      user: newUser
+    }
+  });
+});
+
+exports.login = catchAsync(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return next(new AppError('Please provide email and password', 400));
+  }
+
+  const user = await User.findOne({ email }).select('+password +active');
+
+  if (!user || !user.active || !(await user.correctPassword(password, user.password))) {
+    return next(new AppError('Incorrect email or password', 401));
+  }
+
+  if (!user.emailVerified) {
+    return next(
+      new AppError('Please confirm your email address before logging in.', 403)
+    );
+  }
+
+  createSendToken(user, 200, res);
+});
+
+exports.logout = (req, res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+
+  res.status(200).json({ status: 'success' });
+};
+
+exports.getMe = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: req.user
+    }
+  });
+};
+
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(req.params.token),
+    emailVerificationExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email confirmed. You can now log in.'
+  });
+});
+
+exports.resendVerification = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('No user found with that ID', 404));
+  }
+  if (user.emailVerified) {
+    return next(new AppError('This email address is already confirmed', 400));
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendVerificationEmail(user, verificationToken);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent'
+  });
+});
+
+exports.forgotPassword = catchAsync(async (req, res, next) => {
+  const genericResponse = {
+    status: 'success',
+    message: 'If that email is registered, a reset link has been sent.'
+  };
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Respond the same way whether or not the account exists
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetURL = frontendUrl(`/reset-password/${resetToken}`);
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your AgriHealth Africa password reset link (valid for 10 minutes)',
+      text: `Hello ${user.name},\n\nSomeone asked to reset the password for your AgriHealth Africa account. To choose a new password, visit:\n\n${resetURL}\n\nIf you did not ask for this, you can ignore this email.`
+    });
+  } catch (err) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.error('Error sending password reset email:', err);
+    return next(
+      new AppError('There was an error sending the email. Try again later!', 500)
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+exports.resetPassword = catchAsync(async (req, res, next) => {
+  const user = await User.findOne({
+    passwordResetToken: User.hashToken(req.params.token),
+    passwordResetExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Following the emailed link proves the user owns the address
+  user.emailVerified = true;
+  await user.save();
+
+  createSendToken(user, 200, res);
+});
@@ -0,0 +1,146 @@
+// controllers/chemicalController.js
+const Chemical = require('../models/Chemical');
+const Article = require('../models/Article');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { collapseTranslations } = require('../utils/language');
+const { escapeRegExp, tokenize } = require('../utils/textNormalize');
+const { listDocuments, sendList } = require('../utils/listQuery');
+
+const LIST_OPTIONS = {
+  filters: {
+    language: 'string',
+    toxicityClass: 'string',
+    ppe: 'string',
+    country: { type: 'string', path: 'tradeNames.countries' },
+    createdAt: 'date',
+    translationGroup: 'objectId'
+  },
+  sortable: ['activeIngredient', 'toxicityClass', 'createdAt', 'updatedAt'],
+  selectable: [
+    'activeIngredient',
+    'casNumber',
+    'chemicalClass',
+    'tradeNames',
+    'toxicityClass',
+    'ppe',
+    'reEntryIntervalHours',
+    'preHarvestIntervalDays',
+    'exposureSymptoms',
+    'firstAid',
+    'language',
+    'createdAt',
+    'updatedAt',
+    'translationGroup',
+    'availableLanguages'
+  ],
+  defaultSort: 'activeIngredient',
+  exclude: { searchText: 0, textLanguage: 0 }
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+// GET /api/chemicals?tradeName=durs
+// GET /api/chemicals?q=chlorpyr&toxicityClass=II
+// tradeName matches the start of any word of a trade name, ignoring case,
+// so "dursban", "Durs" and "4e" all find Dursban 4E (but "ban" doesn't);
+// q matches word prefixes across the ingredient, trade names and class.
+exports.getAllChemicals = catchAsync(async (req, res, next) => {
+  const { tradeName, ...query } = req.query;
+  const and = [];
+
+  if (tradeName) {
+    const pattern = `(^|\\s)${escapeRegExp(tradeName.trim())}`;
+    and.push({ 'tradeNames.name': { $regex: pattern, $options: 'i' } });
+  }
+
+  tokenize(req.query.q || '').forEach((token) => {
+    and.push({ searchText: { $regex: `(^|[^a-z0-9])${escapeRegExp(token)}` } });
+  });
+
+  const result = await listDocuments(Chemical, req, {
+    ...LIST_OPTIONS,
+    query,
+    baseFilter: and.length ? { $and: and } : {},
+    pipeline: req.query.language ? [] : collapseTranslations(req.languages)
+  });
+
+  sendList(res, 'chemicals', result);
+});
+
+// Includes the published articles that link to this chemical (or any of its
+// translations), so a safety card can point back to the guidance
+exports.getChemical = catchAsync(async (req, res, next) => {
+  const requested = await Chemical.findById(req.params.id);
+
+  if (!requested) {
+    return next(new AppError('No chemical found with that ID', 404));
+  }
+
+  const { doc: chemical, siblings } = await Chemical.findTranslation(
+    requested,
+    req.query.lang ? req.languages : [requested.language]
+  );
+
+  const articles = await Article.find({
+    $and: [{ chemicals: { $in: siblings.map((s) => s._id) } }, Article.publishedFilter()]
+  })
+    .select('title category language')
+    .limit(20);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      chemical,
+      translations: siblings.map(({ _id, language }) => ({ _id, language })),
+      articles
+    }
+  });
+});
+
+exports.createChemical = catchAsync(async (req, res, next) => {
+  const newChemical = await Chemical.create(await Chemical.applyTranslationOf(req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      chemical: newChemical
+    }
+  });
+});
+
+exports.updateChemical = catchAsync(async (req, res, next) => {
+  const chemical = await Chemical.findById(req.params.id);
+
+  if (!chemical) {
+    return next(new AppError('No chemical found with that ID', 404));
+  }
+
+  // Load and save so trade name sub-documents are validated
+  chemical.set(req.body);
+  chemical.updatedAt = Date.now();
+  await chemical.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      chemical
+    }
+  });
+});
+
+exports.deleteChemical = catchAsync(async (req, res, next) => {
+  const chemical = await Chemical.findByIdAndDelete(req.params.id);
+
+  if (!chemical) {
+    return next(new AppError('No chemical found with that ID', 404));
+  }
+
+  // Drop the links so articles don't point at a missing safety card
+  await Article.updateMany({ chemicals: chemical._id }, { $pull: { chemicals: chemical._id } });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,265 @@
+// controllers/contactController.js
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { sendEmail } = require('../utils/email');
+const { escapeRegExp } = require('../utils/textNormalize');
+const { listDocuments, sendList } = require('../utils/listQuery');
+const { scoreSubmission, issueFormToken, formTokenAge } = require('../utils/spam');
+const spamConfig = require('../config/spam');
+
+const EXPERT_ROLES = ['admin', 'health-expert'];
+
+const LIST_OPTIONS = {
+  filters: {
+    status: 'string',
+    folder: 'string',
+    assignedTo: 'objectId',
+    subject: 'string',
+    email: 'string',
+    createdAt: 'date'
+  },
+  sortable: ['createdAt', 'updatedAt', 'status'],
+  selectable: ['name', 'email', 'subject', 'message', 'status', 'folder', 'spamScore', 'spamReasons', 'assignedTo', 'replies', 'createdAt', 'updatedAt', 'answeredAt'],
+  exclude: { history: 0, ip: 0 },
+  pipeline: [
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'assignedTo',
+        foreignField: '_id',
+        as: 'assignedTo',
+        pipeline: [{ $project: { name: 1, email: 1, role: 1 } }]
+      }
+    },
+    { $unwind: { path: '$assignedTo', preserveNullAndEmptyArrays: true } }
+  ]
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+const findMessage = async (id, next) => {
+  const message = await Contact.findById(id);
+  if (!message) next(new AppError('No message found with that ID', 404));
+  return message;
+};
+
+// GET /api/contact/form-token
+// Fetched when the contact or testimonial form is shown; the form sends it
+// back as formToken. Submissions without a valid one are quarantined.
+exports.getFormToken = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    status: 'success',
+    data: {
+      formToken: issueFormToken(),
+      minFillSeconds: spamConfig.minFillSeconds
+    }
+  });
+};
+
+const THANK_YOU = { message: 'Thank you for your message! We will get back to you soon.' };
+
+exports.createMessage = catchAsync(async (req, res, next) => {
+  const { name, email, subject, message, formToken } = req.body;
+
+  // Throttle by IP and by email address over a rolling window
+  const since = new Date(Date.now() - spamConfig.windowMinutes * 60 * 1000);
+  const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : undefined;
+  const [fromIp, fromEmail] = await Promise.all([
+    Contact.countDocuments({ ip: req.ip, createdAt: { $gte: since } }),
+    normalizedEmail
+      ? Contact.countDocuments({ email: normalizedEmail, createdAt: { $gte: since } })
+      : 0
+  ]);
+  if (fromIp >= spamConfig.maxPerIp || fromEmail >= spamConfig.maxPerEmail) {
+    res.set('Retry-After', String(spamConfig.windowMinutes * 60));
+    return next(
+      new AppError('Too many messages sent. Please try again later.', 429)
+    );
+  }
+
+  const contact = new Contact({ name, email, subject, message, ip: req.ip });
+  await contact.validate();
+
+  const { score, reasons, spam } = scoreSubmission(contact, {
+    honeypot: Boolean(req.body[spamConfig.honeypotField]),
+    fillSeconds: formTokenAge(formToken)
+  });
+
+  contact.spamScore = score;
+  contact.spamReasons = reasons;
+  if (spam) contact.folder = 'quarantine';
+  await contact.save();
+
+  // Bots get the same answer as everyone else
+  res.status(201).json(THANK_YOU);
+});
+
+// GET /api/contact?status=new&assignedTo=me&q=maize
+// Only the inbox is listed unless ?folder=quarantine is asked for
+exports.getAllMessages = catchAsync(async (req, res, next) => {
+  const query = { folder: 'inbox', ...req.query };
+  if (query.assignedTo === 'me') query.assignedTo = String(req.user._id);
+
+  const baseFilter = {};
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegExp(req.query.q.trim()), 'i');
+    baseFilter.$or = [
+      { name: pattern },
+      { email: pattern },
+      { subject: pattern },
+      { message: pattern }
+    ];
+  }
+
+  const result = await listDocuments(Contact, req, { ...LIST_OPTIONS, query, baseFilter });
+
+  sendList(res, 'messages', result);
+});
+
+exports.getMessage = catchAsync(async (req, res, next) => {
+  const message = await Contact.findById(req.params.id)
+    .populate('assignedTo', 'name email role')
+    .populate('replies.author', 'name role')
+    .populate('history.by', 'name role');
+
+  if (!message) {
+    return next(new AppError('No message found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message
+    }
+  });
+});
+
+// PATCH /api/contact/:id/assign { "assignedTo": "<userId>" }
+exports.assignMessage = catchAsync(async (req, res, next) => {
+  const { assignedTo } = req.body;
+  if (!assignedTo || !mongoose.isValidObjectId(assignedTo)) {
+    return next(new AppError('Please provide the ID of the expert to assign', 400));
+  }
+
+  const expert = await User.findById(assignedTo);
+  if (!expert || !EXPERT_ROLES.includes(expert.role)) {
+    return next(new AppError('Messages can only be assigned to health experts or admins', 400));
+  }
+
+  const message = await findMessage(req.params.id, next);
+  if (!message) return;
+
+  message.history.push({
+    action: 'assigned',
+    by: req.user._id,
+    from: message.assignedTo ? String(message.assignedTo) : undefined,
+    to: String(expert._id)
+  });
+  message.assignedTo = expert._id;
+  if (message.status === 'new') message.setStatus('in-progress', req.user);
+  message.updatedAt = Date.now();
+  await message.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message
+    }
+  });
+});
+
+// PATCH /api/contact/:id/status { "status": "closed" }
+exports.updateStatus = catchAsync(async (req, res, next) => {
+  const { status } = req.body;
+  if (!Contact.STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${Contact.STATUSES.join(', ')}`, 400));
+  }
+
+  const message = await findMessage(req.params.id, next);
+  if (!message) return;
+
+  message.setStatus(status, req.user);
+  message.updatedAt = Date.now();
+  await message.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message
+    }
+  });
+});
+
+// POST /api/contact/:id/replies { "body": "...", "internal": false }
+// Public replies are emailed to the farmer and mark the message answered.
+exports.addReply = catchAsync(async (req, res, next) => {
+  const message = await findMessage(req.params.id, next);
+  if (!message) return;
+
+  const internal = req.body.internal === true;
+  message.replies.push({
+    author: req.user._id,
+    authorName: req.user.name,
+    body: req.body.body,
+    internal
+  });
+  const reply = message.replies[message.replies.length - 1];
+
+  // Validate before emailing so a bad reply is never sent
+  await message.validate();
+
+  if (!internal) {
+    try {
+      await sendEmail({
+        to: message.email,
+        subject: `Re: ${message.subject || 'Your question to AgriHealth Africa'}`,
+        text: `Hello ${message.name},\n\n${reply.body}\n\n— ${req.user.name}, AgriHealth Africa health experts\n\nYour question:\n> ${message.message.split('\n').join('\n> ')}`
+      });
+      reply.emailStatus = 'sent';
+    } catch (err) {
+      console.error('Error emailing reply:', err);
+      reply.emailStatus = 'failed';
+    }
+  }
+
+  message.history.push({ action: internal ? 'noted' : 'replied', by: req.user._id });
+  if (!message.assignedTo) message.assignedTo = req.user._id;
+  if (!internal && reply.emailStatus === 'sent') message.setStatus('answered', req.user);
+  message.updatedAt = Date.now();
+  await message.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      reply,
+      message
+    }
+  });
+});
+
+// PATCH /api/contact/:id/folder { "folder": "inbox" }
+// Releases a false positive from quarantine, or quarantines missed spam
+exports.moveMessage = catchAsync(async (req, res, next) => {
+  const { folder } = req.body;
+  if (!Contact.FOLDERS.includes(folder)) {
+    return next(new AppError(`folder must be one of: ${Contact.FOLDERS.join(', ')}`, 400));
+  }
+
+  const message = await findMessage(req.params.id, next);
+  if (!message) return;
+
+  message.folder = folder;
+  message.updatedAt = Date.now();
+  await message.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      message
+    }
+  });
+});
@@ -0,0 +1,58 @@
+// controllers/docsController.js
+const mounts = require('../routes');
+const { buildSpec } = require('../utils/openapi');
+
+// Routes don't change while the server runs
+let spec;
+
+// GET /api/docs/openapi.json
+exports.getSpec = (req, res) => {
+  if (!spec) spec = buildSpec(mounts);
+  res.status(200).json(spec);
+};
+
+// Swagger UI, loaded from a CDN so it adds no dependency. The version is
+// pinned and the browser checks each file against its hash, so a changed
+// file on the CDN is refused rather than run; update both together.
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+const INTEGRITY = {
+  css: 'sha384-wxLW6kwyHktdDGr6Pv1zgm/VGJh99lfUbzSn6HNHBENZlCN7W602k9VkGdxuFvPn',
+  js: 'sha384-wmyclcVGX/WhUkdkATwhaK1X1JtiNrr2EoYJ+diV3vj4v6OC5yCeSu+yW13SYJep'
+};
+
+const VIEWER = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>AgriHealth Africa API</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI}/swagger-ui.css"
+      integrity="${INTEGRITY.css}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script
+      src="${SWAGGER_UI}/swagger-ui-bundle.js"
+      integrity="${INTEGRITY.js}"
+      crossorigin="anonymous"
+    ></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: '/api/docs/openapi.json',
+        dom_id: '#docs',
+        deepLinking: true,
+        persistAuthorization: true
+      });
+    </script>
+  </body>
+</html>
+`;
+
+// GET /api/docs
+exports.getViewer = (req, res) => {
+  res.type('html').status(200).send(VIEWER);
+};
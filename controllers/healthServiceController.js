@@ -0,0 +1,138 @@
+// controllers/healthServiceController.js
+const HealthService = require('../models/HealthService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { listDocuments, sendList } = require('../utils/listQuery');
+const { parseNear } = require('../utils/geo');
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const LIST_OPTIONS = {
+  filters: {
+    type: 'string',
+    district: 'string',
+    province: 'string',
+    country: 'string',
+    language: { type: 'string', path: 'languages' },
+    service: { type: 'string', path: 'servicesOffered', lowercase: true },
+    open24Hours: 'boolean',
+    createdAt: 'date',
+    slug: 'string'
+  },
+  sortable: ['name', 'createdAt', 'district'],
+  selectable: [
+    'slug',
+    'name',
+    'type',
+    'description',
+    'location',
+    'address',
+    'district',
+    'province',
+    'country',
+    'openingHours',
+    'open24Hours',
+    'languages',
+    'phones',
+    'email',
+    'website',
+    'servicesOffered',
+    'distance'
+  ],
+  defaultSort: 'name'
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+// GET /api/services?near=-1.95,30.06&radius=20&type=clinic&service=poisoning-treatment
+// With near=, results are ordered nearest first and carry `distance` in km.
+exports.getAllServices = catchAsync(async (req, res, next) => {
+  const { near, radius, ...query } = req.query;
+
+  let geoNear;
+  if (near) {
+    const radiusKm = radius === undefined ? DEFAULT_RADIUS_KM : Number(radius);
+    if (!(radiusKm > 0) || radiusKm > MAX_RADIUS_KM) {
+      return next(new AppError(`radius must be between 0 and ${MAX_RADIUS_KM} km`, 400));
+    }
+
+    geoNear = {
+      near: { type: 'Point', coordinates: parseNear(near) },
+      distanceField: 'distance',
+      distanceMultiplier: 0.001,
+      maxDistance: radiusKm * 1000,
+      spherical: true
+    };
+  } else if (radius !== undefined) {
+    return next(new AppError('radius needs a near=latitude,longitude point', 400));
+  }
+
+  const result = await listDocuments(HealthService, req, {
+    ...LIST_OPTIONS,
+    query,
+    geoNear,
+    sortable: geoNear ? [...LIST_OPTIONS.sortable, 'distance'] : LIST_OPTIONS.sortable,
+    defaultSort: geoNear ? 'distance' : LIST_OPTIONS.defaultSort
+  });
+
+  sendList(res, 'services', result);
+});
+
+exports.getService = catchAsync(async (req, res, next) => {
+  const service = await HealthService.findById(req.params.id);
+
+  if (!service) {
+    return next(new AppError('No health service found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      service
+    }
+  });
+});
+
+exports.createService = catchAsync(async (req, res, next) => {
+  const newService = await HealthService.create(req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      service: newService
+    }
+  });
+});
+
+exports.updateService = catchAsync(async (req, res, next) => {
+  const service = await HealthService.findById(req.params.id);
+
+  if (!service) {
+    return next(new AppError('No health service found with that ID', 404));
+  }
+
+  service.set(req.body);
+  service.updatedAt = Date.now();
+  await service.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      service
+    }
+  });
+});
+
+exports.deleteService = catchAsync(async (req, res, next) => {
+  const service = await HealthService.findByIdAndDelete(req.params.id);
+
+  if (!service) {
+    return next(new AppError('No health service found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,75 @@
+// controllers/mediaController.js
+const Media = require('../models/Media');
+const Article = require('../models/Article');
+const Video = require('../models/Video');
+const Testimonial = require('../models/Testimonial');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// POST /api/media (multipart, field "file")
+// Resizes the upload into WebP and JPEG variants and stores them; the
+// returned id is what articles (image) and videos (thumbnail) refer to.
+exports.uploadMedia = catchAsync(async (req, res, next) => {
+  const media = await Media.fromUpload(req.file, { alt: req.body.alt, uploadedBy: req.user.id });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+exports.getMedia = catchAsync(async (req, res, next) => {
+  const media = await Media.findById(req.params.id);
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+exports.updateMedia = catchAsync(async (req, res, next) => {
+  const media = await Media.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true
+  });
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      media
+    }
+  });
+});
+
+exports.deleteMedia = catchAsync(async (req, res, next) => {
+  const media = await Media.findByIdAndDelete(req.params.id);
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  // Drop the links so nothing shows a missing image
+  await Promise.all([
+    Article.updateMany({ image: media._id }, { $unset: { image: 1 } }),
+    Video.updateMany({ thumbnail: media._id }, { $unset: { thumbnail: 1 } }),
+    Testimonial.updateMany({ photo: media._id }, { $unset: { photo: 1 } })
+  ]);
+  await media.removeFiles();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,265 @@
+// controllers/offlineController.js
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const Article = require('../models/Article');
+const Tip = require('../models/Tip');
+const HealthService = require('../models/HealthService');
+const Chemical = require('../models/Chemical');
+const Media = require('../models/Media');
+const Counter = require('../models/Counter');
+const Tombstone = require('../models/Tombstone');
+const { SYNC_COUNTER } = require('../models/plugins/syncable');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { CATEGORIES } = require('../utils/constants');
+const { normalizeLanguage } = require('../utils/language');
+
+const gzip = promisify(zlib.gzip);
+
+// Bumped whenever the shape of a bundle changes incompatibly
+const BUNDLE_FORMAT = 1;
+
+// What goes into a bundle. `visible` is what readers may see; `scopedBy`
+// lists which of the client's language and category choices apply.
+const RESOURCES = {
+  articles: {
+    Model: Article,
+    visible: () => Article.publishedFilter(),
+    scopedBy: ['language', 'category'],
+    media: 'image',
+    fields: [
+      'title',
+      'content',
+      'category',
+      'readTime',
+      'language',
+      'imageUrl',
+      'image',
+      'chemicals',
+      'externalLink',
+      'publishedAt',
+      'translationGroup'
+    ]
+  },
+  tips: {
+    Model: Tip,
+    visible: () => ({ active: true }),
+    scopedBy: ['language', 'category'],
+    fields: [
+      'title',
+      'content',
+      'category',
+      'language',
+      'icon',
+      'region',
+      'seasons',
+      'crops',
+      'scheduledFor',
+      'translationGroup'
+    ]
+  },
+  services: {
+    Model: HealthService,
+    visible: () => ({}),
+    fields: [
+      'name',
+      'type',
+      'description',
+      'location',
+      'address',
+      'district',
+      'province',
+      'country',
+      'openingHours',
+      'open24Hours',
+      'languages',
+      'phones',
+      'email',
+      'website',
+      'servicesOffered'
+    ]
+  },
+  // Safety cards, so articles that link to a product can show them offline
+  chemicals: {
+    Model: Chemical,
+    visible: () => ({}),
+    scopedBy: ['language'],
+    fields: Chemical.CARD_FIELDS.split(' ')
+  }
+};
+
+const equalsIgnoreCase = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// ?lang=sw&categories=nutrition,first aid -> { language, categories }
+const parseScope = (query) => {
+  const scope = {};
+
+  if (query.lang) {
+    scope.language = normalizeLanguage(query.lang);
+    if (!scope.language) {
+      throw new AppError(`Unsupported language "${query.lang}"`, 400);
+    }
+  }
+
+  if (query.categories) {
+    const requested = query.categories.split(',').map((c) => c.trim());
+    const unknown = requested.filter((c) => !CATEGORIES.some((known) => equalsIgnoreCase(known, c)));
+    if (unknown.length) {
+      throw new AppError(`Unknown categories: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR', [
+        {
+          field: 'categories',
+          location: 'query',
+          message: `categories must be any of: ${CATEGORIES.join(', ')}`
+        }
+      ]);
+    }
+
+    scope.categories = CATEGORIES.filter((known) => requested.some((c) => equalsIgnoreCase(known, c)));
+  }
+
+  return scope;
+};
+
+// Documents a client with this scope should hold
+const inScope = (resource, { language, categories }) => {
+  const filter = { ...resource.visible() };
+  const scopedBy = resource.scopedBy || [];
+  if (!scopedBy.length) return filter;
+
+  const and = [filter];
+  if (language && scopedBy.includes('language')) and.push({ language });
+  if (categories && scopedBy.includes('category')) and.push({ category: { $in: categories } });
+  return { $and: and };
+};
+
+// Fetches documents with the bundle fields. Attached images are reduced to
+// their placeholder and smallest variants to keep the download light.
+const fetchItems = async (resource, filter) => {
+  const projection = Object.fromEntries(
+    [...resource.fields, 'syncVersion'].map((field) => [field, 1])
+  );
+
+  const docs = await resource.Model.aggregate([
+    { $match: filter },
+    { $sort: { _id: 1 } },
+    { $project: projection },
+    ...(resource.media ? Media.lookup(resource.media) : [])
+  ]);
+
+  if (resource.media) {
+    for (const doc of docs) {
+      const image = doc[resource.media];
+      if (image) image.variants = image.variants.filter((v) => v.name === 'small');
+    }
+  }
+
+  return docs;
+};
+
+// Approved articles go live at their scheduled time before any write
+// marks them published (the scheduler catches up within a minute), so the
+// bundle's ETag also covers the last one that went live
+const lastScheduledRelease = async (now = new Date()) => {
+  const article = await Article.findOne({ status: 'approved', scheduledFor: { $lte: now } })
+    .sort('-scheduledFor')
+    .select('scheduledFor')
+    .lean();
+  return article ? article.scheduledFor.getTime() : 0;
+};
+
+// Offline clients sync over slow, metered links, so the payload is always
+// gzipped when the client accepts it
+const sendCompressed = async (req, res, body) => {
+  res.vary('Accept-Encoding');
+  res.type('json');
+
+  const json = JSON.stringify(body);
+  if (req.acceptsEncodings('gzip') !== 'gzip') return res.status(200).send(json);
+
+  res.set('Content-Encoding', 'gzip');
+  res.status(200).send(await gzip(json));
+};
+
+// GET /api/offline/bundle?lang=sw&categories=nutrition,first aid
+// Everything a reader can see, stamped with the sync version it reflects.
+// Clients keep `version` and pass it to /delta on their next sync.
+exports.getBundle = catchAsync(async (req, res, next) => {
+  const scope = parseScope(req.query);
+
+  // Read the version first: anything written while the bundle is being
+  // built, or still being written now, has a higher version and is picked
+  // up by the next delta
+  const version = await Counter.committed(SYNC_COUNTER);
+  const released = await lastScheduledRelease();
+
+  // The same version, releases and scope always give the same bundle, so a
+  // client that already has it gets a 304 without anything being rebuilt
+  res.vary('Accept-Encoding');
+  const scopeKey = JSON.stringify([scope.language, scope.categories]);
+  const scopeHash = crypto.createHash('sha1').update(scopeKey).digest('hex').slice(0, 12);
+  res.set('ETag', `W/"${BUNDLE_FORMAT}-${version}-${released}-${scopeHash}"`);
+  if (req.fresh) return res.status(304).end();
+
+  const data = {
+    format: BUNDLE_FORMAT,
+    version,
+    generatedAt: new Date(),
+    language: scope.language || null,
+    categories: scope.categories || null
+  };
+
+  for (const [name, resource] of Object.entries(RESOURCES)) {
+    data[name] = await fetchItems(resource, inScope(resource, scope));
+  }
+
+  await sendCompressed(req, res, { status: 'success', data });
+});
+
+// GET /api/offline/delta?since=120&lang=sw&categories=nutrition
+// Items changed after `since` that the client should hold, and the ids of
+// items it should drop: deleted, unpublished or moved out of its scope.
+// Pass the same lang and categories as the original bundle.
+exports.getDelta = catchAsync(async (req, res, next) => {
+  const scope = parseScope(req.query);
+  const since = req.query.since;
+  // Writes still in flight are left for the next delta
+  const version = await Counter.committed(SYNC_COUNTER);
+
+  if (since > version) {
+    return next(
+      new AppError(
+        'This bundle is newer than the server; please download a fresh bundle',
+        409,
+        'RESYNC_REQUIRED'
+      )
+    );
+  }
+
+  const changed = {};
+  const deleted = {};
+
+  for (const [name, resource] of Object.entries(RESOURCES)) {
+    const newer = { syncVersion: { $gt: since, $lte: version } };
+    const wanted = inScope(resource, scope);
+
+    changed[name] = await fetchItems(resource, { $and: [newer, wanted] });
+
+    const [dropped, tombstones] = await Promise.all([
+      resource.Model.find({ $and: [newer, { $nor: [wanted] }] }).select('_id').lean(),
+      Tombstone.find({
+        resourceType: resource.Model.syncType,
+        syncVersion: { $gt: since, $lte: version }
+      })
+        .select('resourceId')
+        .lean()
+    ]);
+
+    deleted[name] = [...dropped.map((doc) => doc._id), ...tombstones.map((t) => t.resourceId)];
+  }
+
+  await sendCompressed(req, res, {
+    status: 'success',
+    data: { format: BUNDLE_FORMAT, since, version, changed, deleted }
+  });
+});
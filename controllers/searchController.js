@@ -0,0 +1,87 @@
+// controllers/searchController.js
+const Article = require('../models/Article');
+const Tip = require('../models/Tip');
+const Video = require('../models/Video');
+const SearchStat = require('../models/SearchStat');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { tokenize } = require('../utils/textNormalize');
+const { findCandidates, score, highlight } = require('../utils/search');
+
+const SEARCH_TYPES = {
+  // Only published articles are searchable
+  article: { Model: Article, path: 'articles', snippetField: 'content', filter: () => Article.publishedFilter() },
+  // ...and only active tips
+  tip: { Model: Tip, path: 'tips', snippetField: 'content', filter: () => ({ active: true }) },
+  video: { Model: Video, path: 'videos', snippetField: 'description' }
+};
+
+// GET /api/search?q=pestic&type=article,video&category=Chemical Safety&page=1&limit=10
+exports.search = catchAsync(async (req, res, next) => {
+  const q = (req.query.q || '').trim();
+  const tokens = tokenize(q);
+  if (tokens.length === 0) {
+    return next(new AppError('Please provide a search term with q=', 400));
+  }
+  if (q.length > 100) {
+    return next(new AppError('Search term cannot exceed 100 characters', 400));
+  }
+
+  const types = req.query.type ? req.query.type.split(',') : Object.keys(SEARCH_TYPES);
+  const unknown = types.filter((type) => !SEARCH_TYPES[type]);
+  if (unknown.length) {
+    return next(
+      new AppError(`type must be one of: ${Object.keys(SEARCH_TYPES).join(', ')}`, 400)
+    );
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.language) filter.language = req.query.language;
+
+  const hits = [];
+  for (const type of types) {
+    const { Model, path, snippetField, filter: typeFilter } = SEARCH_TYPES[type];
+    const docs = await findCandidates(Model, q, typeFilter ? { ...filter, ...typeFilter() } : filter);
+
+    docs.forEach((doc) => {
+      hits.push({
+        type,
+        _id: doc._id,
+        title: doc.title,
+        category: doc.category,
+        language: doc.language,
+        score: Math.round(score(doc, tokens, Model.searchWeights, req.language) * 100) / 100,
+        titleHighlight: highlight(doc.title, tokens, 200),
+        snippet: highlight(doc[snippetField], tokens),
+        url: `/api/${path}/${doc._id}`
+      });
+    });
+  }
+
+  hits.sort((a, b) => b.score - a.score || String(a._id).localeCompare(String(b._id)));
+
+  const total = hits.length;
+  const results = hits.slice((page - 1) * limit, page * limit);
+
+  // Counted once per search, not again for each page of it
+  if (page === 1) {
+    SearchStat.record(tokens.join(' '), req.query.language || req.language, total).catch((err) =>
+      console.error('Error recording search:', err)
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: results.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: {
+      results
+    }
+  });
+});
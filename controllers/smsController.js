@@ -0,0 +1,73 @@
+// controllers/smsController.js
+const crypto = require('crypto');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const config = require('../config/sms');
+const { getProvider, sendSms, usesSimulator } = require('../utils/sms');
+const { handleSms, handleUssd, broadcastDailyTips } = require('../utils/smsCommands');
+
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Gateways can't log in, so webhook URLs carry a shared token instead. Only
+// the simulator on a developer's machine may be called without one; with a
+// real provider (or in production) and no SMS_WEBHOOK_TOKEN the webhooks are
+// refused rather than left open.
+exports.verifyWebhook = (req, res, next) => {
+  if (!config.webhookToken) {
+    if (usesSimulator() && process.env.NODE_ENV !== 'production') return next();
+    return next(new AppError('SMS webhooks are disabled until SMS_WEBHOOK_TOKEN is set', 503));
+  }
+  if (!tokensMatch(req.query.token, config.webhookToken)) {
+    return next(new AppError('Invalid webhook token', 401));
+  }
+  next();
+};
+
+// POST /api/sms/inbound
+// The reply goes back as outbound SMS; it is also returned in the response
+// so the simulator (and whoever is testing) can see it.
+exports.receiveSms = catchAsync(async (req, res, next) => {
+  const { from, text } = getProvider().parseSms(req);
+  if (!from) {
+    return next(new AppError('Inbound message has no sender', 400));
+  }
+
+  const replies = await handleSms({ from, text });
+  await sendSms(from, replies);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      replies
+    }
+  });
+});
+
+// POST /api/sms/ussd
+exports.receiveUssd = catchAsync(async (req, res, next) => {
+  const provider = getProvider();
+  const session = provider.parseUssd(req);
+  if (!session.from) {
+    return next(new AppError('USSD request has no phone number', 400));
+  }
+
+  provider.replyUssd(res, await handleUssd(session));
+});
+
+// POST /api/sms/broadcast
+// Sends today's tip to subscribers who haven't had it yet, without waiting
+// for the scheduler
+exports.broadcastTips = catchAsync(async (req, res, next) => {
+  const sent = await broadcastDailyTips();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sent
+    }
+  });
+});
@@ -0,0 +1,422 @@
+// controllers/statsController.js
+const Article = require('../models/Article');
+const Video = require('../models/Video');
+const Tip = require('../models/Tip');
+const Contact = require('../models/Contact');
+const Subscriber = require('../models/Subscriber');
+const ContentStat = require('../models/ContentStat');
+const SearchStat = require('../models/SearchStat');
+const Throttle = require('../models/Throttle');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { startOfDay } = require('../utils/tipSchedule');
+const { toCsv, sendCsv } = require('../utils/csv');
+const spamConfig = require('../config/spam');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_LIMIT = 20;
+
+// What the site's own pages may report. Hidden content isn't counted.
+const TRACKED = {
+  article: { Model: Article, resourceType: 'Article', visible: (doc) => doc.isPublic() },
+  video: { Model: Video, resourceType: 'Video', visible: () => true },
+  tip: { Model: Tip, resourceType: 'Tip', visible: (doc) => doc.active }
+};
+
+const MODELS = { Article, Video, Tip };
+
+// Browsers that ask not to be tracked, through Do Not Track or Global
+// Privacy Control
+const optedOut = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+// POST /api/track { type: 'article', id, event: 'view' | 'complete' }
+// Sent by our own pages when content is opened and when it has been read
+// (or watched) to the end. Only daily totals are kept; there are no
+// cookies, no third-party scripts and nothing about the reader is stored.
+exports.track = catchAsync(async (req, res, next) => {
+  const { type, id, event } = req.body;
+  const { Model, resourceType, visible } = TRACKED[type];
+
+  const doc = await Model.findById(id);
+  if (!doc || !visible(doc)) {
+    return next(new AppError(`No ${type} found with that ID`, 404));
+  }
+
+  if (!optedOut(req)) {
+    // Past the limit the request still succeeds, so a script replaying it
+    // learns nothing, but it isn't counted
+    const counted = await Throttle.attempt(
+      { [`track:${event}:${type}:${doc.id}:ip:${req.ip}`]: spamConfig.trackMaxPerIp },
+      spamConfig.trackWindowMinutes
+    );
+    if (counted) await ContentStat.record(resourceType, doc, event);
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// ?from=2025-01-01&to=2025-01-31, both days included; by default the last
+// 30 days up to today. `until` is the exclusive end used in queries.
+const parseRange = ({ from, to }) => {
+  const last = startOfDay(to);
+  const first = from
+    ? startOfDay(from)
+    : new Date(last.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (first > last) throw new AppError('from cannot be after to', 400);
+  return { from: first, to: last, until: new Date(last.getTime() + DAY_MS) };
+};
+
+const round = (value, places = 2) =>
+  value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const totals = (key) => [
+  {
+    $group: {
+      _id: `$${key}`,
+      views: { $sum: '$views' },
+      completions: { $sum: '$completions' }
+    }
+  },
+  { $sort: { views: -1, _id: 1 } }
+];
+
+// Most viewed content, with views and completions by language and category
+const contentReport = async ({ from, until }, query) => {
+  const match = { day: { $gte: from, $lt: until } };
+  if (query.type) match.resourceType = TRACKED[query.type].resourceType;
+  if (query.language) match.language = query.language;
+  if (query.category) match.category = query.category;
+
+  const [{ top, byLanguage, byCategory }] = await ContentStat.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        top: [
+          {
+            $group: {
+              _id: { resourceType: '$resourceType', resourceId: '$resourceId' },
+              language: { $last: '$language' },
+              category: { $last: '$category' },
+              views: { $sum: '$views' },
+              completions: { $sum: '$completions' }
+            }
+          },
+          { $sort: { views: -1, '_id.resourceId': 1 } },
+          { $limit: query.limit || DEFAULT_LIMIT }
+        ],
+        byLanguage: totals('language'),
+        byCategory: totals('category')
+      }
+    }
+  ]);
+
+  // Titles are looked up now, so renamed content shows its current title
+  const titles = new Map();
+  for (const [resourceType, Model] of Object.entries(MODELS)) {
+    const ids = top.filter((row) => row._id.resourceType === resourceType);
+    if (!ids.length) continue;
+    const docs = await Model.find({ _id: { $in: ids.map((row) => row._id.resourceId) } })
+      .select('title')
+      .lean();
+    docs.forEach((doc) => titles.set(String(doc._id), doc.title));
+  }
+
+  const withRate = (row) => ({
+    ...row,
+    completionRate: row.views ? round(row.completions / row.views) : null
+  });
+  const named = (key) => ({ _id, ...row }) => withRate({ [key]: _id, ...row });
+
+  return {
+    rows: top.map((row) =>
+      withRate({
+        type: row._id.resourceType.toLowerCase(),
+        id: row._id.resourceId,
+        title: titles.get(String(row._id.resourceId)) || null,
+        language: row.language,
+        category: row.category,
+        views: row.views,
+        completions: row.completions
+      })
+    ),
+    byLanguage: byLanguage.map(named('language')),
+    byCategory: byCategory.map(named('category'))
+  };
+};
+
+// Search terms that found nothing, most frequent first
+const searchReport = async ({ from, until }, query) => {
+  const match = { day: { $gte: from, $lt: until } };
+  if (query.language) match.language = query.language;
+
+  const [{ summary, terms }] = await SearchStat.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: '$searches' },
+              zeroResults: { $sum: '$zeroResults' }
+            }
+          }
+        ],
+        terms: [
+          {
+            $group: {
+              _id: '$term',
+              searches: { $sum: '$searches' },
+              zeroResults: { $sum: '$zeroResults' },
+              lastSeen: { $max: '$day' }
+            }
+          },
+          { $match: { zeroResults: { $gt: 0 } } },
+          { $sort: { zeroResults: -1, _id: 1 } },
+          { $limit: query.limit || DEFAULT_LIMIT }
+        ]
+      }
+    }
+  ]);
+
+  const { searches = 0, zeroResults = 0 } = summary[0] || {};
+  return {
+    summary: {
+      searches,
+      zeroResults,
+      zeroResultRate: searches ? round(zeroResults / searches) : null
+    },
+    rows: terms.map(({ _id, ...row }) => ({ term: _id, ...row }))
+  };
+};
+
+// Messages received per day and how long they waited for a first reply.
+// Quarantined spam is left out.
+const contactReport = async ({ from, until }) => {
+  const [{ byDay, byStatus, waits }] = await Contact.aggregate([
+    { $match: { folder: 'inbox', createdAt: { $gte: from, $lt: until } } },
+    {
+      $project: {
+        status: 1,
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        // The first reply the sender saw (internal notes don't count);
+        // answered by phone or in person counts too
+        respondedAt: {
+          $ifNull: [
+            {
+              $min: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ['$replies', []] },
+                      cond: { $ne: ['$$this.internal', true] }
+                    }
+                  },
+                  in: '$$this.createdAt'
+                }
+              }
+            },
+            '$answeredAt'
+          ]
+        },
+        createdAt: 1
+      }
+    },
+    {
+      $set: {
+        responseHours: {
+          $cond: [
+            { $ifNull: ['$respondedAt', false] },
+            { $divide: [{ $subtract: ['$respondedAt', '$createdAt'] }, 60 * 60 * 1000] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        byDay: [
+          {
+            $group: {
+              _id: '$day',
+              received: { $sum: 1 },
+              answered: { $sum: { $cond: [{ $ne: ['$responseHours', null] }, 1, 0] } },
+              averageResponseHours: { $avg: '$responseHours' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        waits: [
+          { $match: { responseHours: { $ne: null } } },
+          { $group: { _id: null, hours: { $push: '$responseHours' } } }
+        ]
+      }
+    }
+  ]);
+
+  const hours = waits.length ? waits[0].hours : [];
+  const received = byDay.reduce((sum, day) => sum + day.received, 0);
+  return {
+    summary: {
+      received,
+      answered: hours.length,
+      unanswered: received - hours.length,
+      averageResponseHours: hours.length
+        ? round(hours.reduce((sum, h) => sum + h, 0) / hours.length, 1)
+        : null,
+      medianResponseHours: round(median(hours), 1),
+      byStatus: Object.fromEntries(byStatus.map((row) => [row._id, row.count]))
+    },
+    rows: byDay.map(({ _id, averageResponseHours, ...row }) => ({
+      day: _id,
+      ...row,
+      averageResponseHours: round(averageResponseHours, 1)
+    }))
+  };
+};
+
+// Confirmed sign-ups and unsubscribes per district in the range, next to
+// how many are subscribed now
+const subscriberReport = async ({ from, until }) => {
+  const inRange = { $gte: from, $lt: until };
+  const byDistrict = (match) => [
+    { $match: match },
+    { $group: { _id: '$district', count: { $sum: 1 } } }
+  ];
+
+  const [{ joined, left, active }] = await Subscriber.aggregate([
+    {
+      $facet: {
+        joined: byDistrict({ confirmedAt: inRange }),
+        left: byDistrict({ unsubscribedAt: inRange }),
+        active: byDistrict({ status: 'confirmed' })
+      }
+    }
+  ]);
+
+  const districts = new Map();
+  const add = (rows, key) =>
+    rows.forEach(({ _id, count }) => {
+      const district = _id || 'Unknown';
+      if (!districts.has(district)) {
+        districts.set(district, { district, joined: 0, left: 0, active: 0 });
+      }
+      districts.get(district)[key] = count;
+    });
+  add(joined, 'joined');
+  add(left, 'left');
+  add(active, 'active');
+
+  const rows = [...districts.values()]
+    .map((row) => ({ ...row, net: row.joined - row.left }))
+    .sort((a, b) => b.net - a.net || a.district.localeCompare(b.district));
+
+  return {
+    summary: {
+      joined: rows.reduce((sum, row) => sum + row.joined, 0),
+      left: rows.reduce((sum, row) => sum + row.left, 0),
+      active: rows.reduce((sum, row) => sum + row.active, 0)
+    },
+    rows
+  };
+};
+
+// Each report, and the columns of its main table when exported as CSV
+const REPORTS = {
+  content: {
+    build: contentReport,
+    columns: [
+      { header: 'Type', value: 'type' },
+      { header: 'ID', value: (row) => String(row.id) },
+      { header: 'Title', value: 'title' },
+      { header: 'Language', value: 'language' },
+      { header: 'Category', value: 'category' },
+      { header: 'Views', value: 'views' },
+      { header: 'Completions', value: 'completions' },
+      { header: 'Completion rate', value: 'completionRate' }
+    ]
+  },
+  searches: {
+    build: searchReport,
+    columns: [
+      { header: 'Term', value: 'term' },
+      { header: 'Searches', value: 'searches' },
+      { header: 'Zero results', value: 'zeroResults' },
+      { header: 'Last seen', value: (row) => row.lastSeen.toISOString().slice(0, 10) }
+    ]
+  },
+  contacts: {
+    build: contactReport,
+    columns: [
+      { header: 'Day', value: 'day' },
+      { header: 'Received', value: 'received' },
+      { header: 'Answered', value: 'answered' },
+      { header: 'Average response (hours)', value: 'averageResponseHours' }
+    ]
+  },
+  subscribers: {
+    build: subscriberReport,
+    columns: [
+      { header: 'District', value: 'district' },
+      { header: 'Joined', value: 'joined' },
+      { header: 'Left', value: 'left' },
+      { header: 'Net', value: 'net' },
+      { header: 'Active', value: 'active' }
+    ]
+  }
+};
+
+exports.REPORTS = Object.keys(REPORTS);
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// GET /api/admin/stats?from=2025-01-01&to=2025-01-31
+// Every report for the dashboard in one response
+exports.getOverview = catchAsync(async (req, res, next) => {
+  const range = parseRange(req.query);
+
+  const data = { from: day(range.from), to: day(range.to) };
+  for (const [name, report] of Object.entries(REPORTS)) {
+    data[name] = await report.build(range, {});
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data
+  });
+});
+
+// GET /api/admin/stats/content?language=Swahili&type=article&format=csv
+// One report; with format=csv its main table is downloaded
+exports.getReport = catchAsync(async (req, res, next) => {
+  const range = parseRange(req.query);
+  const report = REPORTS[req.params.report];
+  const result = await report.build(range, req.query);
+
+  if (req.query.format === 'csv') {
+    const filename = `${req.params.report}-${day(range.from)}-to-${day(range.to)}.csv`;
+    return sendCsv(res, filename, toCsv(result.rows, report.columns));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      from: day(range.from),
+      to: day(range.to),
+      ...result
+    }
+  });
+});
@@ -0,0 +1,363 @@
+// controllers/subscriberController.js
+const Subscriber = require('../models/Subscriber');
+const Throttle = require('../models/Throttle');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const config = require('../config/sms');
+const spamConfig = require('../config/spam');
+const { sendEmail } = require('../utils/email');
+const { sendSms } = require('../utils/sms');
+const { t } = require('../utils/smsMessages');
+const { fitSegments } = require('../utils/smsText');
+const { frontendUrl } = require('../utils/frontend');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { listDocuments, sendList } = require('../utils/listQuery');
+
+const LIST_OPTIONS = {
+  filters: {
+    status: 'string',
+    district: 'string',
+    language: 'string',
+    channel: { type: 'string', path: 'channels' },
+    crop: { type: 'string', path: 'crops', lowercase: true },
+    createdAt: 'date',
+    confirmedAt: 'date'
+  },
+  sortable: ['createdAt', 'confirmedAt', 'name', 'district'],
+  selectable: [
+    'name',
+    'email',
+    'phone',
+    'language',
+    'district',
+    'crops',
+    'channels',
+    'status',
+    'confirmedAt',
+    'unsubscribedAt',
+    'createdAt',
+    'updatedAt'
+  ],
+  // Aggregations ignore select: false, so hidden fields are dropped here
+  exclude: { confirmationToken: 0, confirmationExpires: 0 }
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+// The fields a subscriber may change from their preferences link. Email and
+// phone are left out: a new address has to be confirmed by joining again.
+const PREFERENCE_FIELDS = ['name', 'language', 'district', 'crops', 'channels'];
+
+// The same answer whether or not the address is already on the list, so
+// the form can't be used to find out who has joined
+const JOINED = {
+  message: 'Thank you for joining! Please confirm using the link we have sent you.'
+};
+
+const pick = (body, fields) =>
+  Object.fromEntries(fields.filter((field) => body[field] !== undefined).map((f) => [f, body[f]]));
+
+// The address a subscription is confirmed through, and known by: the email
+// address when email is one of its channels, otherwise the phone
+const confirmedBy = (subscriber) => (subscriber.channels.includes('email') ? 'email' : 'phone');
+
+const sendConfirmation = async (subscriber, token) => {
+  const url = frontendUrl(`/subscribe/confirm/${token}`);
+
+  if (confirmedBy(subscriber) === 'email') {
+    return sendEmail({
+      to: subscriber.email,
+      subject: 'Confirm your AgriHealth Africa subscription',
+      text: `Hello ${subscriber.name},\n\nThank you for joining the AgriHealth Farmer Health Network. Please confirm your subscription within 48 hours by visiting:\n\n${url}\n\nIf you did not sign up, you can ignore this message and you will not hear from us again.`
+    });
+  }
+
+  const message = t(subscriber.language, 'confirmSubscription', { url });
+  return sendSms(subscriber.phone, fitSegments(message, { maxSegments: config.maxSegments }));
+};
+
+// Sent when someone who is already subscribed joins again: rather than
+// changing their preferences, remind them where they can do it themselves
+const sendManageLink = async (subscriber) => {
+  if (!subscriber.email) return;
+
+  await sendEmail({
+    to: subscriber.email,
+    subject: 'Your AgriHealth Africa subscription',
+    text: `Hello ${subscriber.name},\n\nYou are already part of the AgriHealth Farmer Health Network. You can change what you receive, or unsubscribe, at:\n\n${frontendUrl(`/subscription/${subscriber.manageToken()}`)}`
+  });
+};
+
+// POST /api/subscribers
+// Every call sends an email or SMS, so it is throttled by IP and by address
+exports.join = catchAsync(async (req, res, next) => {
+  const fields = pick(req.body, ['email', 'phone', ...PREFERENCE_FIELDS]);
+  const candidate = new Subscriber({ language: req.language, ...fields });
+  if (!fields.channels) {
+    candidate.channels = [candidate.email && 'email', candidate.phone && 'sms'].filter(Boolean);
+  }
+  await candidate.validate();
+
+  const by = confirmedBy(candidate);
+  const address = candidate[by];
+  const allowed = await Throttle.attempt(
+    {
+      [`subscribe:ip:${req.ip}`]: spamConfig.joinMaxPerIp,
+      [`subscribe:${by}:${address}`]: spamConfig.joinMaxPerAddress
+    },
+    spamConfig.joinWindowMinutes
+  );
+  if (!allowed) {
+    res.set('Retry-After', String(spamConfig.joinWindowMinutes * 60));
+    return next(new AppError('Too many sign-ups. Please try again later.', 429));
+  }
+
+  // Matched on the address it is confirmed through only: matching on either
+  // address could merge two people who share a phone or an email
+  const existing = await Subscriber.findOne({ [by]: address });
+
+  if (existing && existing.status === 'confirmed') {
+    try {
+      await sendManageLink(existing);
+    } catch (err) {
+      console.error('Error sending subscription reminder:', err);
+    }
+    return res.status(202).json({ status: 'success', ...JOINED });
+  }
+
+  // The other address is kept only if no one else has it
+  const other = by === 'email' ? 'phone' : 'email';
+  if (candidate[other]) {
+    const owner = await Subscriber.findOne({ [other]: candidate[other] }).select('_id');
+    if (owner && !(existing && owner._id.equals(existing._id))) {
+      delete fields[other];
+      candidate[other] = undefined;
+      // Without the phone there is no SMS (email is never `other` as a channel)
+      if (other === 'phone') candidate.channels = candidate.channels.filter((c) => c !== 'sms');
+    }
+  }
+
+  // A pending or unsubscribed record starts over with the new details;
+  // nothing is sent to it until it is confirmed again
+  const subscriber = existing || candidate;
+  if (existing) {
+    existing.set({ ...fields, channels: [...candidate.channels], status: 'pending' });
+  }
+  const token = subscriber.createConfirmationToken();
+  await subscriber.save();
+
+  try {
+    await sendConfirmation(subscriber, token);
+  } catch (err) {
+    console.error('Error sending subscription confirmation:', err);
+  }
+
+  res.status(202).json({ status: 'success', ...JOINED });
+});
+
+// GET /api/subscribers/confirm/:token
+exports.confirm = catchAsync(async (req, res, next) => {
+  const subscriber = await Subscriber.findOne({
+    confirmationToken: Subscriber.hashToken(req.params.token),
+    confirmationExpires: { $gt: Date.now() }
+  });
+
+  if (!subscriber) {
+    return next(new AppError('Confirmation link is invalid or has expired', 400));
+  }
+
+  subscriber.status = 'confirmed';
+  subscriber.confirmedAt = Date.now();
+  subscriber.confirmationToken = undefined;
+  subscriber.confirmationExpires = undefined;
+  await subscriber.save();
+  await subscriber.syncSms({ channelsChanged: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Subscription confirmed. Welcome to the Farmer Health Network!',
+    data: {
+      subscriber,
+      manageToken: subscriber.manageToken()
+    }
+  });
+});
+
+const findByManageToken = async (token, next) => {
+  const id = Subscriber.verifyManageToken(token);
+  const subscriber = id && (await Subscriber.findById(id));
+  if (!subscriber) next(new AppError('This preferences link is invalid', 404));
+  return subscriber;
+};
+
+// GET /api/subscribers/preferences/:token
+exports.getPreferences = catchAsync(async (req, res, next) => {
+  const subscriber = await findByManageToken(req.params.token, next);
+  if (!subscriber) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      subscriber
+    }
+  });
+});
+
+// PATCH /api/subscribers/preferences/:token
+// `subscribed: false` unsubscribes; `subscribed: true` comes back after
+// unsubscribing (only for addresses that were confirmed before)
+exports.updatePreferences = catchAsync(async (req, res, next) => {
+  const subscriber = await findByManageToken(req.params.token, next);
+  if (!subscriber) return;
+
+  subscriber.set(pick(req.body, PREFERENCE_FIELDS));
+
+  if (req.body.subscribed === false && subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'unsubscribed';
+    subscriber.unsubscribedAt = Date.now();
+  } else if (req.body.subscribed === true && subscriber.status === 'unsubscribed') {
+    if (!subscriber.confirmedAt) {
+      return next(new AppError('Please confirm your subscription first', 409));
+    }
+    subscriber.status = 'confirmed';
+    subscriber.unsubscribedAt = undefined;
+  }
+
+  const channelsChanged = subscriber.isModified('channels') || subscriber.isModified('status');
+  await subscriber.save();
+  await subscriber.syncSms({ channelsChanged });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      subscriber
+    }
+  });
+});
+
+// POST /api/subscribers/preferences/:token/unsubscribe
+// One-click unsubscribe, for links in emails and SMS
+exports.unsubscribe = catchAsync(async (req, res, next) => {
+  const subscriber = await findByManageToken(req.params.token, next);
+  if (!subscriber) return;
+
+  if (subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'unsubscribed';
+    subscriber.unsubscribedAt = Date.now();
+    await subscriber.save();
+    await subscriber.syncSms({ channelsChanged: true });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'You have been unsubscribed. We are sorry to see you go.'
+  });
+});
+
+exports.getAllSubscribers = catchAsync(async (req, res, next) => {
+  const result = await listDocuments(Subscriber, req, LIST_OPTIONS);
+
+  sendList(res, 'subscribers', result);
+});
+
+// Confirmed subscribers (by default) matching the export filters
+const segmentFilter = (query) => ({
+  status: query.status || 'confirmed',
+  ...(query.district ? { district: query.district } : {}),
+  ...(query.language ? { language: query.language } : {}),
+  ...(query.channel ? { channels: query.channel } : {})
+});
+
+// GET /api/subscribers/segments
+// Subscriber counts per district and language, largest first
+exports.getSegments = catchAsync(async (req, res, next) => {
+  const segments = await Subscriber.aggregate([
+    { $match: segmentFilter(req.query) },
+    {
+      $group: {
+        _id: { district: '$district', language: '$language' },
+        count: { $sum: 1 },
+        email: { $sum: { $cond: [{ $in: ['email', '$channels'] }, 1, 0] } },
+        sms: { $sum: { $cond: [{ $in: ['sms', '$channels'] }, 1, 0] } }
+      }
+    },
+    { $sort: { count: -1, '_id.district': 1, '_id.language': 1 } },
+    {
+      $project: {
+        _id: 0,
+        district: { $ifNull: ['$_id.district', null] },
+        language: '$_id.language',
+        count: 1,
+        channels: { email: '$email', sms: '$sms' }
+      }
+    }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: segments.length,
+    data: {
+      segments
+    }
+  });
+});
+
+const EXPORT_COLUMNS = [
+  { header: 'District', value: (s) => s.district || 'Unknown' },
+  { header: 'Language', value: 'language' },
+  { header: 'Name', value: 'name' },
+  { header: 'Email', value: 'email' },
+  { header: 'Phone', value: 'phone' },
+  { header: 'Channels', value: 'channels' },
+  { header: 'Crops', value: 'crops' },
+  { header: 'Status', value: 'status' },
+  { header: 'Confirmed at', value: 'confirmedAt' }
+];
+
+// GET /api/subscribers/export?format=csv&district=Musanze&language=Kinyarwanda
+// Rows are ordered by district and then language so each segment is one
+// block; format=json returns the same rows grouped into segments
+exports.exportSubscribers = catchAsync(async (req, res, next) => {
+  const subscribers = await Subscriber.find(segmentFilter(req.query))
+    .sort({ district: 1, language: 1, name: 1 })
+    .lean();
+
+  if (req.query.format === 'json') {
+    const segments = new Map();
+    for (const subscriber of subscribers) {
+      const key = `${subscriber.district || ''}\u0000${subscriber.language}`;
+      if (!segments.has(key)) {
+        segments.set(key, {
+          district: subscriber.district || null,
+          language: subscriber.language,
+          subscribers: []
+        });
+      }
+      segments.get(key).subscribers.push(subscriber);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      results: subscribers.length,
+      data: {
+        segments: [...segments.values()]
+      }
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  sendCsv(res, `subscribers-${date}.csv`, toCsv(subscribers, EXPORT_COLUMNS));
+});
+
+exports.deleteSubscriber = catchAsync(async (req, res, next) => {
+  const subscriber = await Subscriber.findByIdAndDelete(req.params.id);
+
+  if (!subscriber) {
+    return next(new AppError('No subscriber found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
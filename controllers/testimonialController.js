@@ -0,0 +1,297 @@
+// controllers/testimonialController.js
+const Testimonial = require('../models/Testimonial');
+const Media = require('../models/Media');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { sendEmail } = require('../utils/email');
+const { frontendUrl } = require('../utils/frontend');
+const { listDocuments, sendList } = require('../utils/listQuery');
+const { scoreSubmission, formTokenAge } = require('../utils/spam');
+const spamConfig = require('../config/spam');
+
+const isAdmin = (req) => Boolean(req.user && req.user.role === 'admin');
+
+const LIST_OPTIONS = {
+  filters: {
+    status: 'string',
+    language: 'string',
+    createdAt: 'date',
+    moderatedAt: 'date'
+  },
+  sortable: ['createdAt', 'moderatedAt', 'name'],
+  selectable: [
+    'name',
+    'occupation',
+    'location',
+    'quote',
+    'language',
+    'photo',
+    'status',
+    'consent',
+    'moderatedAt',
+    'moderationNote',
+    'spamScore',
+    'spamReasons',
+    'createdAt',
+    'updatedAt'
+  ],
+  // Aggregations ignore select: false, so hidden fields are dropped here
+  exclude: { email: 0, ip: 0, takedownToken: 0 }
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+// What visitors may see of an approved testimonial (used as the list
+// projection for them instead of LIST_OPTIONS.exclude)
+const PUBLIC_PROJECTION = {
+  name: 1,
+  occupation: 1,
+  location: 1,
+  quote: 1,
+  language: 1,
+  photo: 1,
+  createdAt: 1
+};
+
+// GET /api/testimonials
+// Visitors get approved testimonials in their language (?language= or the
+// negotiated one). Admins see everything and work the moderation queue with
+// ?status=pending&sort=createdAt.
+exports.getAllTestimonials = catchAsync(async (req, res, next) => {
+  const admin = isAdmin(req);
+
+  const result = await listDocuments(Testimonial, req, {
+    ...LIST_OPTIONS,
+    // $and keeps a visitor's own ?status= from widening the filter
+    baseFilter: admin
+      ? {}
+      : { $and: [{ status: 'approved' }, { language: req.query.language || req.language }] },
+    pagePipeline: Media.lookup('photo'),
+    ...(admin ? {} : { exclude: PUBLIC_PROJECTION, selectable: Object.keys(PUBLIC_PROJECTION) })
+  });
+
+  sendList(res, 'testimonials', result);
+});
+
+exports.getTestimonial = catchAsync(async (req, res, next) => {
+  const testimonial = await Testimonial.findById(req.params.id)
+    .select(isAdmin(req) ? '+email' : Object.keys(PUBLIC_PROJECTION).concat('status').join(' '))
+    .populate('photo', Media.PUBLIC_FIELDS);
+
+  if (!testimonial || (!isAdmin(req) && testimonial.status !== 'approved')) {
+    return next(new AppError('No testimonial found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      testimonial
+    }
+  });
+});
+
+const RECEIVED = {
+  message: 'Thank you for sharing your story! It will appear on the site once it has been reviewed.'
+};
+
+// POST /api/testimonials (JSON, or multipart with an optional "photo")
+// The response carries a takedown token, the author's way to withdraw the
+// story later; it is also emailed to them when they leave an address.
+exports.submitTestimonial = catchAsync(async (req, res, next) => {
+  const since = new Date(Date.now() - spamConfig.windowMinutes * 60 * 1000);
+  const recent = await Testimonial.countDocuments({ ip: req.ip, createdAt: { $gte: since } });
+  if (recent >= spamConfig.maxPerIp) {
+    res.set('Retry-After', String(spamConfig.windowMinutes * 60));
+    return next(new AppError('Too many submissions. Please try again later.', 429));
+  }
+
+  const { name, occupation, location, quote, email, consent, formToken } = req.body;
+  const testimonial = new Testimonial({
+    name,
+    occupation,
+    location,
+    quote,
+    email,
+    language: req.body.language || req.language,
+    consent: { publish: consent },
+    ip: req.ip
+  });
+  await testimonial.validate();
+
+  const { score, reasons, spam } = scoreSubmission(
+    { name, message: quote },
+    {
+      honeypot: Boolean(req.body[spamConfig.honeypotField]),
+      fillSeconds: formTokenAge(formToken)
+    }
+  );
+  testimonial.spamScore = score;
+  testimonial.spamReasons = reasons;
+  if (spam) {
+    testimonial.status = 'rejected';
+    testimonial.moderationNote = 'Rejected automatically as spam';
+  }
+
+  // Photos from obvious spam aren't worth processing
+  if (req.file && !spam) {
+    const photo = await Media.fromUpload(req.file, { alt: `Photo of ${testimonial.name}` });
+    testimonial.photo = photo._id;
+  }
+
+  const takedownToken = testimonial.createTakedownToken();
+  await testimonial.save();
+
+  if (testimonial.email && !spam) {
+    try {
+      await sendEmail({
+        to: testimonial.email,
+        subject: 'Thank you for your AgriHealth Africa story',
+        text: `Hello ${testimonial.name},\n\nThank you for sharing your story with AgriHealth Africa. Our team will review it before it appears on the site.\n\nIf you ever want it removed, visit:\n\n${frontendUrl(`/testimonials/takedown/${takedownToken}`)}`
+      });
+    } catch (err) {
+      console.error('Error sending testimonial receipt:', err);
+    }
+  }
+
+  res.status(201).json({
+    status: 'success',
+    ...RECEIVED,
+    data: {
+      takedownToken
+    }
+  });
+});
+
+const findTestimonial = async (id, next) => {
+  const testimonial = await Testimonial.findById(id);
+  if (!testimonial) next(new AppError('No testimonial found with that ID', 404));
+  return testimonial;
+};
+
+const moderate = (testimonial, user, status, note) => {
+  testimonial.status = status;
+  testimonial.moderatedBy = user._id;
+  testimonial.moderatedAt = Date.now();
+  if (note !== undefined) testimonial.moderationNote = note;
+};
+
+// Admins can tidy up wording, spelling or the photo before approving
+exports.updateTestimonial = catchAsync(async (req, res, next) => {
+  const testimonial = await findTestimonial(req.params.id, next);
+  if (!testimonial) return;
+
+  if (testimonial.status === 'removed') {
+    return next(new AppError('A removed testimonial cannot be edited', 409, 'INVALID_TRANSITION'));
+  }
+
+  testimonial.set(req.body);
+  await testimonial.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      testimonial
+    }
+  });
+});
+
+// Allowed moves for each moderation action
+const TRANSITIONS = {
+  approve: { from: ['pending', 'rejected'], to: 'approved' },
+  reject: { from: ['pending', 'approved'], to: 'rejected' }
+};
+
+// POST /api/testimonials/:id/approve | /reject { note }
+exports.moderateTestimonial = (action) =>
+  catchAsync(async (req, res, next) => {
+    const { from, to } = TRANSITIONS[action];
+    const testimonial = await findTestimonial(req.params.id, next);
+    if (!testimonial) return;
+
+    if (!from.includes(testimonial.status)) {
+      return next(
+        new AppError(`A ${testimonial.status} testimonial cannot be ${to}`, 409, 'INVALID_TRANSITION')
+      );
+    }
+
+    moderate(testimonial, req.user, to, req.body.note);
+    await testimonial.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        testimonial
+      }
+    });
+  });
+
+// Takes a story off the site for good and deletes its photo. Used when the
+// author withdraws consent or someone reports it; the record stays so we
+// know it must not come back.
+const takeDown = async (testimonial) => {
+  if (testimonial.photo) {
+    const photo = await Media.findByIdAndDelete(testimonial.photo);
+    if (photo) await photo.removeFiles();
+    testimonial.photo = undefined;
+  }
+  testimonial.status = 'removed';
+  testimonial.removedAt = Date.now();
+  testimonial.quote = '[removed]';
+  testimonial.email = undefined;
+  testimonial.takedownToken = undefined;
+  await testimonial.save();
+};
+
+// POST /api/testimonials/:id/takedown { note }
+exports.takeDownTestimonial = catchAsync(async (req, res, next) => {
+  const testimonial = await findTestimonial(req.params.id, next);
+  if (!testimonial) return;
+
+  moderate(testimonial, req.user, 'removed', req.body.note);
+  await takeDown(testimonial);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      testimonial
+    }
+  });
+});
+
+// DELETE /api/testimonials/takedown/:token
+// For the author, using the token they were given when they submitted
+exports.withdrawTestimonial = catchAsync(async (req, res, next) => {
+  const testimonial = await Testimonial.findOne({
+    takedownToken: Testimonial.hashToken(req.params.token)
+  });
+
+  if (!testimonial) {
+    return next(new AppError('This takedown link is invalid or has already been used', 404));
+  }
+
+  testimonial.moderationNote = 'Withdrawn by the author';
+  await takeDown(testimonial);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your story has been removed from AgriHealth Africa.'
+  });
+});
+
+exports.deleteTestimonial = catchAsync(async (req, res, next) => {
+  const testimonial = await Testimonial.findByIdAndDelete(req.params.id);
+
+  if (!testimonial) {
+    return next(new AppError('No testimonial found with that ID', 404));
+  }
+
+  if (testimonial.photo) {
+    const photo = await Media.findByIdAndDelete(testimonial.photo);
+    if (photo) await photo.removeFiles();
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,276 @@
+// controllers/tipController.js
+const Tip = require('../models/Tip');
+const TipRotation = require('../models/TipRotation');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { startOfDay, dayKey, addDays, seasonFor, pickTip } = require('../utils/tipSchedule');
+const { LANGUAGES, SEASONS } = require('../utils/constants');
+const { collapseTranslations } = require('../utils/language');
+const { listDocuments, sendList } = require('../utils/listQuery');
+
+const STAFF_ROLES = ['admin', 'editor', 'health-expert'];
+const isStaff = (req) => Boolean(req.user && STAFF_ROLES.includes(req.user.role));
+
+// Deactivated tips are only shown to staff; $and keeps a visitor's own
+// ?active= from widening the filter
+const visibleTo = (req) => (isStaff(req) ? {} : { $and: [{ active: true }] });
+
+const parseCalendarQuery = (query, next) => {
+  const date = startOfDay(query.date);
+  if (!date) {
+    next(new AppError('date must be in YYYY-MM-DD format', 400));
+    return null;
+  }
+
+  if (query.language && !LANGUAGES.includes(query.language)) {
+    next(new AppError(`language must be one of: ${LANGUAGES.join(', ')}`, 400));
+    return null;
+  }
+
+  if (query.season && !SEASONS.includes(query.season)) {
+    next(new AppError(`season must be one of: ${SEASONS.join(', ')}`, 400));
+    return null;
+  }
+
+  return {
+    date,
+    season: query.season,
+    crop: query.crop ? query.crop.toLowerCase() : undefined
+  };
+};
+
+const LIST_OPTIONS = {
+  filters: {
+    category: 'string',
+    language: 'string',
+    season: { type: 'string', path: 'seasons' },
+    crop: { type: 'string', path: 'crops', lowercase: true },
+    active: 'boolean',
+    scheduledFor: 'date',
+    createdAt: 'date',
+    translationGroup: 'objectId',
+    slug: 'string'
+  },
+  sortable: ['createdAt', 'updatedAt', 'title'],
+  selectable: [
+    'slug',
+    'title',
+    'content',
+    'category',
+    'language',
+    'icon',
+    'region',
+    'seasons',
+    'crops',
+    'scheduledFor',
+    'active',
+    'createdAt',
+    'updatedAt',
+    'translationGroup',
+    'availableLanguages'
+  ],
+  exclude: { searchText: 0, textLanguage: 0 }
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+exports.getAllTips = catchAsync(async (req, res, next) => {
+  const result = await listDocuments(Tip, req, {
+    ...LIST_OPTIONS,
+    baseFilter: visibleTo(req),
+    pipeline: req.query.language ? [] : collapseTranslations(req.languages)
+  });
+
+  sendList(res, 'tips', result);
+});
+
+// GET /api/tips/today?lang=sw&crop=coffee&date=2025-03-01
+exports.getTipOfTheDay = catchAsync(async (req, res, next) => {
+  const options = parseCalendarQuery(req.query, next);
+  if (!options) return;
+
+  const languages = req.query.language ? [req.query.language] : req.languages;
+  const { tip } = await Tip.pickForDay(languages, options.date, options);
+
+  if (!tip) {
+    return next(new AppError('No tips available for that language yet', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      date: dayKey(options.date),
+      season: options.season || seasonFor(options.date),
+      tip
+    }
+  });
+});
+
+// GET /api/tips/upcoming?days=14&language=English
+// Shows what /today will return on each of the coming days
+exports.getUpcomingTips = catchAsync(async (req, res, next) => {
+  const options = parseCalendarQuery(req.query, next);
+  if (!options) return;
+
+  const days = Number(req.query.days || 14);
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    return next(new AppError('days must be a whole number between 1 and 90', 400));
+  }
+
+  const language = req.query.language || req.language;
+  const tips = await Tip.find({ language, active: true });
+  // Advanced day by day below, as showing each tip would
+  const lastShown = await TipRotation.lastShown(tips.map((t) => t._id));
+
+  const schedule = [];
+  for (let i = 0; i < days; i += 1) {
+    const date = addDays(options.date, i);
+    const { tip, reason } = pickTip(tips, date, { ...options, lastShown });
+    if (tip) lastShown.set(String(tip._id), date);
+
+    schedule.push({
+      date: dayKey(date),
+      season: options.season || seasonFor(date),
+      language,
+      reason,
+      tip: tip ? { _id: tip._id, title: tip.title, category: tip.category } : null
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: schedule.length,
+    data: {
+      schedule
+    }
+  });
+});
+
+exports.getTip = catchAsync(async (req, res, next) => {
+  const requested = await Tip.findById(req.params.id);
+
+  if (!requested || (!isStaff(req) && !requested.active)) {
+    return next(new AppError('No tip found with that ID', 404));
+  }
+
+  const { doc: tip, siblings } = await Tip.findTranslation(
+    requested,
+    req.query.lang ? req.languages : [requested.language],
+    visibleTo(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tip,
+      translations: siblings.map(({ _id, language }) => ({ _id, language }))
+    }
+  });
+});
+
+exports.createTip = catchAsync(async (req, res, next) => {
+  const newTip = await Tip.create(await Tip.applyTranslationOf(req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      tip: newTip
+    }
+  });
+});
+
+exports.updateTip = catchAsync(async (req, res, next) => {
+  const tip = await Tip.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, updatedAt: Date.now() },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!tip) {
+    return next(new AppError('No tip found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tip
+    }
+  });
+});
+
+// POST /api/tips/:id/schedule { "date": "2025-03-01" }
+exports.scheduleTip = catchAsync(async (req, res, next) => {
+  const date = req.body.date && startOfDay(req.body.date);
+  if (!date) {
+    return next(new AppError('Please provide a date in YYYY-MM-DD format', 400));
+  }
+
+  const tip = await Tip.findById(req.params.id);
+  if (!tip) {
+    return next(new AppError('No tip found with that ID', 404));
+  }
+
+  const clash = await Tip.findOne({
+    _id: { $ne: tip._id },
+    language: tip.language,
+    scheduledFor: date
+  });
+  if (clash) {
+    return next(
+      new AppError(`"${clash.title}" is already scheduled for ${dayKey(date)}`, 409)
+    );
+  }
+
+  await Tip.updateOne(
+    { _id: tip._id },
+    { $addToSet: { scheduledFor: date }, updatedAt: Date.now() }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tip: await Tip.findById(tip._id)
+    }
+  });
+});
+
+exports.unscheduleTip = catchAsync(async (req, res, next) => {
+  const date = startOfDay(req.params.date);
+  if (!date) {
+    return next(new AppError('date must be in YYYY-MM-DD format', 400));
+  }
+
+  const tip = await Tip.findByIdAndUpdate(
+    req.params.id,
+    { $pull: { scheduledFor: date }, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!tip) {
+    return next(new AppError('No tip found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tip
+    }
+  });
+});
+
+exports.deleteTip = catchAsync(async (req, res, next) => {
+  const tip = await Tip.findByIdAndDelete(req.params.id);
+
+  if (!tip) {
+    return next(new AppError('No tip found with that ID', 404));
+  }
+  await TipRotation.deleteOne({ _id: tip._id });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
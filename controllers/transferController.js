@@ -0,0 +1,58 @@
+// controllers/transferController.js
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { sendCsv } = require('../utils/csv');
+const { parseRows, importRows, exportRows, rowsToCsv } = require('../utils/transfer');
+
+// The rows of an import: an uploaded .csv or .json file (field "file"),
+// a text/csv body, or a JSON body of { rows }
+const readRows = (req) => {
+  if (req.file) {
+    const isJson =
+      /\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json';
+    return parseRows(req.file.buffer.toString('utf8'), isJson ? 'json' : 'csv');
+  }
+  if (typeof req.body === 'string') return parseRows(req.body, 'csv');
+  if (req.body && req.body.rows) return parseRows(req.body, 'json');
+
+  throw new AppError(
+    'Please upload a CSV or JSON file in the "file" field, or send { rows }',
+    400,
+    'INVALID_FILE'
+  );
+};
+
+// POST /api/admin/import/:resource?dryRun=true
+// With dryRun nothing is saved and every row is reported; otherwise the
+// import is refused (422) unless every row is valid, and rows that still
+// fail as they are saved are listed with a 409.
+exports.importResource = catchAsync(async (req, res, next) => {
+  const report = await importRows(req.params.resource, readRows(req), {
+    dryRun: req.query.dryRun,
+    user: req.user
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      resource: req.params.resource,
+      ...report
+    }
+  });
+});
+
+// GET /api/admin/export/:resource?format=csv&language=Swahili
+// Downloads rows in the same columns the import reads
+exports.exportResource = catchAsync(async (req, res, next) => {
+  const { resource } = req.params;
+  const { format, language } = req.query;
+  const rows = await exportRows(resource, { language });
+
+  const suffix = language ? `-${language.toLowerCase()}` : '';
+  const filename = `${resource}${suffix}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'csv') return sendCsv(res, filename, rowsToCsv(resource, rows));
+
+  res.attachment(filename);
+  res.status(200).json(rows);
+});
@@ -0,0 +1,158 @@
+// controllers/translationController.js
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Tip = require('../models/Tip');
+const Video = require('../models/Video');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { LANGUAGES } = require('../utils/constants');
+const { normalizeLanguage } = require('../utils/language');
+
+const MODELS = {
+  article: Article,
+  tip: Tip,
+  video: Video
+};
+
+// Which set a document belongs to isn't an edit of its content, so it is
+// changed with updateOne rather than save: no revision is recorded and the
+// version stays the same (the audit log and sync version still see it)
+const setTranslationGroup = (Model, id, translationGroup) =>
+  Model.updateOne({ _id: id }, { $set: { translationGroup } });
+
+const getModel = (type, next) => {
+  const Model = MODELS[type];
+  if (!Model) {
+    next(new AppError(`type must be one of: ${Object.keys(MODELS).join(', ')}`, 400));
+  }
+  return Model;
+};
+
+// GET /api/translations/missing?type=article&language=sw&category=Hygiene
+// Lists translation sets that lack one or more languages, so translators
+// can see what is left to do.
+exports.getMissingTranslations = catchAsync(async (req, res, next) => {
+  const types = req.query.type ? [req.query.type] : Object.keys(MODELS);
+  const models = types.map((type) => getModel(type, next));
+  if (models.includes(undefined)) return;
+
+  let wanted = LANGUAGES;
+  if (req.query.language) {
+    const language = normalizeLanguage(req.query.language);
+    if (!language) {
+      return next(new AppError(`language must be one of: ${LANGUAGES.join(', ')}`, 400));
+    }
+    wanted = [language];
+  }
+
+  const match = {};
+  if (req.query.category) match.category = req.query.category;
+
+  const items = [];
+  const summary = Object.fromEntries(wanted.map((language) => [language, 0]));
+
+  for (const [index, Model] of models.entries()) {
+    const groups = await Model.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { $ifNull: ['$translationGroup', '$_id'] },
+          documents: { $push: { _id: '$_id', language: '$language', title: '$title' } },
+          category: { $first: '$category' }
+        }
+      }
+    ]);
+
+    groups.forEach((group) => {
+      const present = group.documents.map((d) => d.language);
+      const missing = wanted.filter((language) => !present.includes(language));
+      if (missing.length === 0) return;
+
+      missing.forEach((language) => {
+        summary[language] += 1;
+      });
+
+      const source =
+        group.documents.find((d) => d.language === 'English') || group.documents[0];
+
+      items.push({
+        type: types[index],
+        translationGroup: group._id,
+        title: source.title,
+        category: group.category,
+        sourceId: source._id,
+        languages: present,
+        missing
+      });
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    data: {
+      summary,
+      items
+    }
+  });
+});
+
+// POST /api/translations/link { type, sourceId, targetId }
+// Joins an existing document to the source's translation set
+exports.linkTranslation = catchAsync(async (req, res, next) => {
+  const { type, sourceId, targetId } = req.body;
+  const Model = getModel(type, next);
+  if (!Model) return;
+
+  const translationGroup = await Model.translationGroupOf(sourceId);
+
+  const target = await Model.findById(targetId);
+  if (!target) {
+    return next(new AppError('No document found with that targetId', 404));
+  }
+
+  const clash = await Model.findOne({
+    translationGroup,
+    language: target.language,
+    _id: { $ne: target._id }
+  });
+  if (clash) {
+    return next(
+      new AppError(`This set already has a ${target.language} translation`, 409)
+    );
+  }
+
+  await setTranslationGroup(Model, target._id, translationGroup);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      translationGroup,
+      document: { _id: target._id, language: target.language }
+    }
+  });
+});
+
+// POST /api/translations/unlink { type, id }
+// Takes a document out of its set so it stands on its own again
+exports.unlinkTranslation = catchAsync(async (req, res, next) => {
+  const Model = getModel(req.body.type, next);
+  if (!Model) return;
+
+  const doc = await Model.findById(req.body.id);
+  if (!doc) {
+    return next(new AppError('No document found with that ID', 404));
+  }
+
+  // A new set of its own: its _id may be the group the others share
+  const translationGroup = new mongoose.Types.ObjectId();
+  await setTranslationGroup(Model, doc._id, translationGroup);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      translationGroup
+    }
+  });
+});
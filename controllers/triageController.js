@@ -0,0 +1,461 @@
+// controllers/triageController.js
+const TriageRuleSet = require('../models/TriageRuleSet');
+const TriageDecision = require('../models/TriageDecision');
+const Chemical = require('../models/Chemical');
+const HealthService = require('../models/HealthService');
+const Article = require('../models/Article');
+const Counter = require('../models/Counter');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const config = require('../config/triage');
+const { parseNear } = require('../utils/geo');
+const { escapeRegExp } = require('../utils/textNormalize');
+const { collapseTranslations } = require('../utils/language');
+const { listDocuments, sendList } = require('../utils/listQuery');
+
+const RULE_SET_COUNTER = 'triageRuleSet';
+
+// What experts can change in a draft
+const EDITABLE = ['notes', 'symptoms', 'firstAid', 'rules', 'defaultUrgency'];
+
+// Services that can be reached without travelling
+const REMOTE_SERVICE_TYPES = ['helpline', 'poison-centre'];
+
+const SERVICE_FIELDS = [
+  'name',
+  'type',
+  'address',
+  'district',
+  'province',
+  'location',
+  'phones',
+  'openingHours',
+  'open24Hours'
+];
+
+const LIST_OPTIONS = {
+  filters: {
+    urgency: 'string',
+    ruleSetVersion: 'number',
+    reviewStatus: { type: 'string', path: 'review.status' },
+    route: { type: 'string', path: 'answers.route' },
+    rule: { type: 'string', path: 'matchedRules' },
+    language: 'string',
+    district: 'string',
+    createdAt: 'date'
+  },
+  sortable: ['createdAt', 'ruleSetVersion'],
+  selectable: [
+    'ruleSet',
+    'ruleSetVersion',
+    'answers',
+    'language',
+    'district',
+    'urgency',
+    'matchedRules',
+    'firstAid',
+    'services',
+    'review',
+    'createdAt'
+  ],
+  defaultSort: '-createdAt'
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+const currentRuleSet = async () => {
+  const ruleSet = await TriageRuleSet.current();
+  if (!ruleSet) throw new AppError('The symptom checker is not available yet', 503);
+  return ruleSet;
+};
+
+const findRuleSet = async (version) => {
+  const ruleSet = await TriageRuleSet.findOne({ version });
+  if (!ruleSet) throw new AppError(`No triage rules version ${version} found`, 404);
+  return ruleSet;
+};
+
+const requireDraft = (ruleSet) => {
+  if (ruleSet.status !== 'draft') {
+    throw new AppError(
+      `Version ${ruleSet.version} is ${ruleSet.status} and can no longer be changed; ` +
+        'create a new draft',
+      409
+    );
+  }
+};
+
+// The chemical picked from the list, or the one whose trade name or active
+// ingredient is exactly what the person typed
+const findChemical = async ({ chemical, chemicalName }) => {
+  if (chemical) {
+    const found = await Chemical.findById(chemical).select('toxicityClass translationGroup');
+    if (!found) throw new AppError('No chemical found with that ID', 404);
+    return found;
+  }
+  if (!chemicalName) return null;
+
+  const name = new RegExp(`^${escapeRegExp(chemicalName.trim())}$`, 'i');
+  return Chemical.findOne({
+    $or: [{ 'tradeNames.name': name }, { activeIngredient: name }]
+  }).select('toxicityClass translationGroup');
+};
+
+// Answers as the rules see them. Symptoms must come from the version's list.
+const readAnswers = async (ruleSet, body) => {
+  const known = ruleSet.symptoms.map((s) => s.key);
+  const unknown = (body.symptoms || []).filter((s) => !known.includes(s));
+  if (unknown.length) {
+    throw new AppError(`Unknown symptoms: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR', [
+      {
+        field: 'symptoms',
+        location: 'body',
+        message: `symptoms must be any of: ${known.join(', ')}`
+      }
+    ]);
+  }
+
+  const chemical = await findChemical(body);
+  return {
+    chemical,
+    answers: {
+      chemical: chemical ? chemical._id : undefined,
+      chemicalName: body.chemicalName,
+      toxicityClass: chemical ? chemical.toxicityClass : 'unknown',
+      route: body.route,
+      symptoms: body.symptoms || [],
+      hoursSinceExposure: body.hoursSinceExposure
+    }
+  };
+};
+
+const localizeSteps = (steps, languages) =>
+  steps.map((step) => ({ key: step.key, text: TriageRuleSet.localize(step.text, languages) }));
+
+// Helplines and poison centres on record, else the national numbers in
+// config/triage.js: there is always someone to call
+const remoteServices = async () => {
+  const services = await HealthService.find({ type: { $in: REMOTE_SERVICE_TYPES } })
+    .select(SERVICE_FIELDS.join(' '))
+    .sort('name')
+    .limit(config.maxServices);
+  return services.length ? services : config.helplines;
+};
+
+// Nearest services of the kinds the deciding rules ask for. Without a
+// location, or with none nearby, we can only point to helplines and poison
+// centres.
+const findServices = async (outcome, { near, district }) => {
+  const wanted = [];
+  if (outcome.serviceTypes.length) wanted.push({ type: { $in: outcome.serviceTypes } });
+  if (outcome.services.length) wanted.push({ servicesOffered: { $in: outcome.services } });
+  const matching = wanted.length ? { $or: wanted } : {};
+
+  let local = [];
+  if (near) {
+    local = await HealthService.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: parseNear(near) },
+          distanceField: 'distance',
+          distanceMultiplier: 0.001,
+          maxDistance: config.searchRadiusKm * 1000,
+          spherical: true,
+          query: matching
+        }
+      },
+      { $limit: config.maxServices },
+      { $project: Object.fromEntries([...SERVICE_FIELDS, 'distance'].map((f) => [f, 1])) }
+    ]);
+  } else if (district) {
+    const name = new RegExp(`^${escapeRegExp(district.trim())}$`, 'i');
+    const inDistrict = { $or: [{ district: name }, { province: name }] };
+    local = await HealthService.find({ $and: [matching, inDistrict] })
+      .select(SERVICE_FIELDS.join(' '))
+      .sort('name')
+      .limit(config.maxServices);
+  }
+
+  return local.length ? local : remoteServices();
+};
+
+// First Aid articles, plus Chemical Safety ones for chemical exposures, each
+// in the reader's best language (English last). Articles about the chemical
+// itself, or one of its translations, come first.
+const relatedArticles = async (route, chemical, languages) => {
+  const categories = route === 'injury' ? ['First Aid'] : ['First Aid', 'Chemical Safety'];
+
+  let chemicals = [];
+  if (chemical) {
+    const group = chemical.translationGroup || chemical._id;
+    chemicals = await Chemical.find({
+      $or: [{ _id: group }, { translationGroup: group }]
+    }).distinct('_id');
+  }
+
+  return Article.aggregate([
+    {
+      $match: {
+        $and: [
+          Article.publishedFilter(),
+          { language: { $in: languages } },
+          { $or: [{ category: { $in: categories } }, { chemicals: { $in: chemicals } }] }
+        ]
+      }
+    },
+    ...collapseTranslations(languages),
+    {
+      $addFields: {
+        _aboutChemical: {
+          $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$chemicals', []] }, chemicals] } }, 0]
+        }
+      }
+    },
+    { $sort: { _aboutChemical: -1, publishedAt: -1 } },
+    { $limit: config.maxArticles },
+    { $project: { title: 1, category: 1, language: 1, readTime: 1 } }
+  ]);
+};
+
+// GET /api/triage/questionnaire
+// The questions for the current rules, with symptoms in the reader's language
+exports.getQuestionnaire = catchAsync(async (req, res, next) => {
+  const ruleSet = await currentRuleSet();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      version: ruleSet.version,
+      routes: TriageRuleSet.EXPOSURE_ROUTES,
+      symptoms: ruleSet.symptoms.map((s) => ({
+        key: s.key,
+        label: TriageRuleSet.localize(s.label, req.languages)
+      })),
+      urgencyLevels: TriageRuleSet.URGENCY_LEVELS
+    }
+  });
+});
+
+// POST /api/triage
+// { chemical | chemicalName, route, symptoms, hoursSinceExposure, near | district }
+// Every outcome is logged for expert review; the response carries the
+// decision id so a health worker can look it up.
+exports.assess = catchAsync(async (req, res, next) => {
+  const ruleSet = await currentRuleSet();
+  const { chemical, answers } = await readAnswers(ruleSet, req.body);
+  const outcome = ruleSet.assess(answers);
+
+  const [services, articles, safetyCards] = await Promise.all([
+    findServices(outcome, req.body),
+    relatedArticles(answers.route, chemical, req.languages),
+    chemical ? Chemical.safetyCards([chemical._id], req.languages) : []
+  ]);
+
+  const decision = await TriageDecision.create({
+    ruleSet: ruleSet._id,
+    ruleSetVersion: ruleSet.version,
+    answers,
+    language: req.language,
+    district: req.body.district,
+    urgency: outcome.urgency,
+    matchedRules: outcome.matchedRules,
+    firstAid: outcome.firstAid.map((step) => step.key),
+    // The national numbers from config have no record to point at
+    services: services.filter((service) => service._id).map((service) => service._id)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      decision: decision._id,
+      version: ruleSet.version,
+      urgency: outcome.urgency,
+      firstAid: localizeSteps(outcome.firstAid, req.languages),
+      chemical: safetyCards[0] || null,
+      services,
+      articles
+    }
+  });
+});
+
+// GET /api/triage/rules
+// Every version, newest first, without the rules themselves
+exports.getRuleSets = catchAsync(async (req, res, next) => {
+  const ruleSets = await TriageRuleSet.find()
+    .select('-symptoms -firstAid -rules')
+    .sort('-version')
+    .populate('createdBy publishedBy', 'name');
+
+  res.status(200).json({
+    status: 'success',
+    results: ruleSets.length,
+    data: {
+      ruleSets
+    }
+  });
+});
+
+exports.getRuleSet = catchAsync(async (req, res, next) => {
+  const ruleSet = await findRuleSet(req.params.version);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ruleSet
+    }
+  });
+});
+
+// POST /api/triage/rules { from?, notes? }
+// Starts a draft as a copy of version `from`, else of the published
+// version, else of the starter rules in config/triage.js
+exports.createRuleSet = catchAsync(async (req, res, next) => {
+  let base = config.starterRules;
+  if (req.body.from) {
+    base = (await findRuleSet(req.body.from)).toObject();
+  } else {
+    const current = await TriageRuleSet.current();
+    if (current) base = current.toObject();
+  }
+
+  const ruleSet = new TriageRuleSet({
+    ...Object.fromEntries(EDITABLE.map((field) => [field, base[field]])),
+    notes: req.body.notes,
+    createdBy: req.user._id
+  });
+  ruleSet.version = await Counter.next(RULE_SET_COUNTER);
+  await ruleSet.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      ruleSet
+    }
+  });
+});
+
+exports.updateRuleSet = catchAsync(async (req, res, next) => {
+  const ruleSet = await findRuleSet(req.params.version);
+  requireDraft(ruleSet);
+
+  ruleSet.set(req.body);
+  ruleSet.updatedAt = Date.now();
+  await ruleSet.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ruleSet
+    }
+  });
+});
+
+// POST /api/triage/rules/:version/test
+// Runs answers through any version, draft or not, without logging them
+exports.testRuleSet = catchAsync(async (req, res, next) => {
+  const ruleSet = await findRuleSet(req.params.version);
+  const { answers } = await readAnswers(ruleSet, req.body);
+  const outcome = ruleSet.assess(answers);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      version: ruleSet.version,
+      ...outcome,
+      firstAid: localizeSteps(outcome.firstAid, req.languages)
+    }
+  });
+});
+
+// The published version is retired; from now on /api/triage uses this one.
+// This version is saved first, so a failure in between leaves two published
+// versions (current() takes the later) rather than none. Only versions
+// published before it are retired, so two publishes at once keep the later.
+exports.publishRuleSet = catchAsync(async (req, res, next) => {
+  const ruleSet = await findRuleSet(req.params.version);
+  requireDraft(ruleSet);
+
+  ruleSet.status = 'published';
+  ruleSet.publishedBy = req.user._id;
+  ruleSet.publishedAt = Date.now();
+  await ruleSet.save();
+
+  await TriageRuleSet.updateMany(
+    { status: 'published', publishedAt: { $lt: ruleSet.publishedAt } },
+    { status: 'retired' }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ruleSet
+    }
+  });
+});
+
+// Only drafts can be deleted; decisions keep pointing at published versions
+exports.deleteRuleSet = catchAsync(async (req, res, next) => {
+  const ruleSet = await findRuleSet(req.params.version);
+  requireDraft(ruleSet);
+  await ruleSet.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// GET /api/triage/decisions?reviewStatus=pending&urgency=emergency
+exports.getAllDecisions = catchAsync(async (req, res, next) => {
+  const result = await listDocuments(TriageDecision, req, LIST_OPTIONS);
+
+  sendList(res, 'decisions', result);
+});
+
+exports.getDecision = catchAsync(async (req, res, next) => {
+  const decision = await TriageDecision.findById(req.params.id)
+    .populate('answers.chemical', 'activeIngredient tradeNames toxicityClass')
+    .populate('services', 'name type district')
+    .populate('review.reviewedBy', 'name');
+
+  if (!decision) {
+    return next(new AppError('No triage decision found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      decision
+    }
+  });
+});
+
+// PATCH /api/triage/decisions/:id/review { status, urgency?, note? }
+// A reviewer who disagrees says which urgency they would have given
+exports.reviewDecision = catchAsync(async (req, res, next) => {
+  const { status, urgency, note } = req.body;
+  if (status === 'disagreed' && !urgency) {
+    return next(new AppError('Please give the urgency you would have chosen', 400));
+  }
+
+  const decision = await TriageDecision.findById(req.params.id);
+  if (!decision) {
+    return next(new AppError('No triage decision found with that ID', 404));
+  }
+
+  decision.review = {
+    status,
+    urgency: status === 'disagreed' ? urgency : undefined,
+    note,
+    reviewedBy: req.user._id,
+    reviewedAt: Date.now()
+  };
+  await decision.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      decision
+    }
+  });
+});
@@ -0,0 +1,189 @@
+// controllers/videoController.js
+const Video = require('../models/Video');
+const Media = require('../models/Media');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { collapseTranslations } = require('../utils/language');
+const { listDocuments, sendList } = require('../utils/listQuery');
+
+const LIST_OPTIONS = {
+  filters: {
+    category: 'string',
+    language: 'string',
+    duration: 'number',
+    createdAt: 'date',
+    translationGroup: 'objectId'
+  },
+  sortable: ['createdAt', 'updatedAt', 'duration', 'title'],
+  selectable: [
+    'title',
+    'description',
+    'category',
+    'language',
+    'duration',
+    'thumbnailUrl',
+    'thumbnail',
+    'captions.language',
+    'captions.label',
+    'captions.url',
+    'renditions',
+    'createdAt',
+    'updatedAt',
+    'translationGroup',
+    'availableLanguages'
+  ],
+  // Inline WebVTT can be large; it is served from the captions endpoint
+  exclude: { 'captions.vtt': 0, searchText: 0, textLanguage: 0 }
+};
+
+exports.listOptions = LIST_OPTIONS;
+
+exports.getAllVideos = catchAsync(async (req, res, next) => {
+  const result = await listDocuments(Video, req, {
+    ...LIST_OPTIONS,
+    pipeline: req.query.language ? [] : collapseTranslations(req.languages),
+    pagePipeline: Media.lookup('thumbnail')
+  });
+
+  sendList(res, 'videos', result);
+});
+
+exports.getVideo = catchAsync(async (req, res, next) => {
+  const requested = await Video.findById(req.params.id);
+
+  if (!requested) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  const { doc, siblings } = await Video.findTranslation(
+    requested,
+    req.query.lang ? req.languages : [requested.language]
+  );
+  await doc.populate('thumbnail', Media.PUBLIC_FIELDS);
+  const video = doc.toObject();
+  video.captions = video.captions.map(({ vtt, ...track }) => track);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      video,
+      translations: siblings.map(({ _id, language }) => ({ _id, language }))
+    }
+  });
+});
+
+// GET /api/videos/:id/rendition?maxBitrate=64
+// Returns the best rendition that fits the client's bandwidth (in kbps),
+// or the lightest one when nothing fits or no limit is given.
+exports.getRendition = catchAsync(async (req, res, next) => {
+  const video = await Video.findById(req.params.id).select('renditions');
+
+  if (!video) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  const maxBitrate = req.query.maxBitrate ? Number(req.query.maxBitrate) : undefined;
+  if (maxBitrate !== undefined && !(maxBitrate > 0)) {
+    return next(new AppError('maxBitrate must be a positive number', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rendition: video.pickRendition(maxBitrate)
+    }
+  });
+});
+
+exports.getCaptions = catchAsync(async (req, res, next) => {
+  const video = await Video.findById(req.params.id).select('captions');
+
+  if (!video) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  const track = video.captions.find((c) => c.language === req.params.language);
+  if (!track) {
+    return next(new AppError('No captions found in that language', 404));
+  }
+
+  if (!track.vtt) return res.redirect(track.url);
+
+  res.type('text/vtt').send(track.vtt);
+});
+
+exports.createVideo = catchAsync(async (req, res, next) => {
+  const newVideo = await Video.create(await Video.applyTranslationOf(req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      video: newVideo
+    }
+  });
+});
+
+exports.updateVideo = catchAsync(async (req, res, next) => {
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  // Load and save so caption and rendition sub-documents are validated
+  video.set(req.body);
+  video.updatedAt = Date.now();
+  await video.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      video
+    }
+  });
+});
+
+// Adds or replaces the caption track for one language
+exports.upsertCaptions = catchAsync(async (req, res, next) => {
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  const track = {
+    language: req.params.language,
+    label: req.body.label || req.params.language,
+    url: req.body.url,
+    vtt: req.is('text/vtt') ? req.body : req.body.vtt
+  };
+
+  const existing = video.captions.find((c) => c.language === req.params.language);
+  if (existing) {
+    existing.set(track);
+  } else {
+    video.captions.push(track);
+  }
+  video.updatedAt = Date.now();
+  await video.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      captions: video.captions
+    }
+  });
+});
+
+exports.deleteVideo = catchAsync(async (req, res, next) => {
+  const video = await Video.findByIdAndDelete(req.params.id);
+
+  if (!video) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,91 @@
+// middleware/auth.js
+const jwt = require('jsonwebtoken');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const User = require('../models/User');
+
+const getToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  if (req.cookies && req.cookies.jwt && req.cookies.jwt !== 'loggedout') {
+    return req.cookies.jwt;
+  }
+  return undefined;
+};
+
+exports.protect = catchAsync(async (req, res, next) => {
+  // 1) Get token from header or cookie
+  const token = getToken(req);
+
+  if (!token) {
+    return next(
+      new AppError('You are not logged in! Please log in to get access.', 401)
+    );
+  }
+
+  // 2) Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // 3) Check if user still exists
+  const currentUser = await User.findById(decoded.id).select('+active');
+  if (!currentUser || !currentUser.active) {
+    return next(
+      new AppError('The user belonging to this token no longer exists.', 401)
+    );
+  }
+
+  // 4) Check if user changed password after the token was issued
+  if (currentUser.changedPasswordAfter(decoded.iat)) {
+    return next(
+      new AppError('User recently changed password! Please log in again.', 401)
+    );
+  }
+
+  // 5) Grant access to protected route
+  req.user = currentUser;
+  next();
+});
+
+// Like protect, but lets anonymous requests through without req.user. A
+// token that is invalid, expired or no longer valid for its user counts as
+// no token, so public pages still load for visitors with a stale cookie.
+exports.identify = catchAsync(async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return next();
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return next();
+  }
+
+  const currentUser = await User.findById(decoded.id).select('+active');
+  if (
+    currentUser &&
+    currentUser.active &&
+    !currentUser.changedPasswordAfter(decoded.iat)
+  ) {
+    req.user = currentUser;
+  }
+  next();
+});
+
+// Role-based access control
+exports.restrictTo = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new AppError('You do not have permission to perform this action', 403)
+      );
+    }
+    next();
+  };
+  // Read by utils/openapi.js to document the route
+  middleware.roles = roles;
+  return middleware;
+};
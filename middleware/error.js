@@ -0,0 +1,114 @@
+// middleware/error.js
+const AppError = require('../utils/appError');
+
+// Every error response has the same shape:
+// { status, code, message, details?: [{ field, message }], stack? }
+
+const handleCastErrorDB = (err) =>
+  new AppError(
+    `Invalid ${err.path}: ${err.value}`,
+    400,
+    err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+    [{ field: err.path, message: `${JSON.stringify(err.value)} is not a valid ${err.kind}` }]
+  );
+
+const handleValidationErrorDB = (err) => {
+  const details = Object.entries(err.errors).map(([field, el]) => ({
+    field,
+    message: el.name === 'CastError' ? `${field} has an invalid value` : el.message
+  }));
+
+  return new AppError(
+    `Invalid input data. ${details.map((d) => d.message).join('. ')}`,
+    400,
+    'VALIDATION_ERROR',
+    details
+  );
+};
+
+const handleDuplicateFieldsDB = (err) => {
+  const fields = Object.entries(err.keyValue || {});
+  const details = fields.map(([field, value]) => ({
+    field,
+    message: `${JSON.stringify(value)} is already in use`
+  }));
+
+  return new AppError(
+    fields.length
+      ? `Duplicate value for ${fields.map(([field]) => field).join(', ')}. Please use another value.`
+      : 'Duplicate value. Please use another value.',
+    409,
+    'DUPLICATE_VALUE',
+    details
+  );
+};
+
+const handleJWTError = () =>
+  new AppError('Invalid token. Please log in again!', 401, 'INVALID_TOKEN');
+
+const handleJWTExpiredError = () =>
+  new AppError('Your token has expired! Please log in again.', 401, 'TOKEN_EXPIRED');
+
+// Errors raised by express.json() and friends
+const handleBodyError = (err) => {
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413, 'PAYLOAD_TOO_LARGE');
+  }
+  return new AppError('Request body is not valid JSON', 400, 'INVALID_JSON');
+};
+
+// Errors raised by multer while reading a multipart upload
+const handleUploadError = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new AppError('File is too large', 413, 'PAYLOAD_TOO_LARGE');
+  }
+  const details = err.field ? [{ field: err.field, message: err.message }] : undefined;
+  return new AppError(err.message, 400, 'INVALID_UPLOAD', details);
+};
+
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.name === 'CastError') return handleCastErrorDB(err);
+  if (err.name === 'ValidationError') return handleValidationErrorDB(err);
+  if (err.code === 11000) return handleDuplicateFieldsDB(err);
+  if (err.name === 'JsonWebTokenError') return handleJWTError();
+  if (err.name === 'TokenExpiredError') return handleJWTExpiredError();
+  if (err.type && err.type.startsWith('entity.')) return handleBodyError(err);
+  if (err.name === 'MulterError') return handleUploadError(err);
+  return err;
+};
+
+// Unknown routes get a JSON 404 instead of Express's HTML page
+exports.notFound = (req, res, next) => {
+  next(
+    new AppError(`Can't find ${req.method} ${req.originalUrl} on this server`, 404, 'ROUTE_NOT_FOUND')
+  );
+};
+
+exports.errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (!error.isOperational) {
+    console.error('Unhandled error:', err);
+  }
+
+  const statusCode = error.isOperational ? error.statusCode : 500;
+  const body = error.isOperational
+    ? {
+        status: error.status,
+        code: error.code,
+        message: error.message
+      }
+    : {
+        status: 'error',
+        code: 'INTERNAL_ERROR',
+        // Programming or unknown errors: don't leak details in production
+        message: isProduction ? 'Something went wrong. Please try again later.' : err.message
+      };
+
+  if (error.details && error.details.length) body.details = error.details;
+  if (!isProduction) body.stack = err.stack;
+
+  res.status(statusCode).json(body);
+};
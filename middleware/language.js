@@ -0,0 +1,12 @@
+// middleware/language.js
+const { negotiateLanguages } = require('../utils/language');
+
+// Sets req.languages (best first, always ending in English) and
+// req.language, the top choice
+module.exports = (req, res, next) => {
+  req.languages = negotiateLanguages(req);
+  req.language = req.languages[0];
+
+  res.vary('Accept-Language');
+  next();
+};
@@ -0,0 +1,71 @@
+// middleware/upload.js
+const express = require('express');
+const multer = require('multer');
+const AppError = require('../utils/appError');
+const { sniffImageType } = require('../utils/imagePipeline');
+const { maxImportBytes } = require('../config/transfer');
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Files are kept in memory only long enough to be resized and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// `upload` describes the file field for utils/openapi.js; `raw` has the
+// schema of each other body type accepted instead of multipart
+const describe = (middleware, upload) => Object.assign(middleware, { upload });
+
+// Accepts a single image in the given multipart field. The type is taken
+// from the file's magic bytes; the client's Content-Type is ignored.
+// With `optional`, requests without a file (including plain JSON ones)
+// go through untouched.
+exports.singleImage = (field, { optional = false } = {}) => [
+  describe(upload.single(field), { field, required: !optional, types: IMAGE_TYPES }),
+  (req, res, next) => {
+    if (!req.file && optional) return next();
+    if (!req.file) {
+      return next(
+        new AppError(`Please upload an image in the "${field}" field`, 400, 'VALIDATION_ERROR', [
+          { field, location: 'body', message: `${field} is required` }
+        ])
+      );
+    }
+
+    const mimeType = sniffImageType(req.file.buffer);
+    if (!IMAGE_TYPES.includes(mimeType)) {
+      return next(new AppError('Only JPEG, PNG, WebP and GIF images can be uploaded', 415));
+    }
+
+    req.file.mimetype = mimeType;
+    next();
+  }
+];
+
+// CSV or JSON files for bulk imports. CSV may also be sent as the raw
+// request body (Content-Type: text/csv); requests without a file go through.
+const dataUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImportBytes, files: 1 }
+});
+
+exports.dataFile = (field) => [
+  describe(dataUpload.single(field), {
+    field,
+    required: false,
+    types: ['text/csv', 'application/json'],
+    raw: {
+      'text/csv': { type: 'string' },
+      'application/json': {
+        type: 'object',
+        properties: { rows: { type: 'array', items: { type: 'object' } } },
+        required: ['rows']
+      }
+    }
+  }),
+  express.text({ type: 'text/csv', limit: maxImportBytes })
+];
+
+exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
@@ -0,0 +1,161 @@
+// middleware/validation.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const AppError = require('../utils/appError');
+
+// Request schemas are plain JSON Schema. Unknown fields are rejected by
+// setting additionalProperties: false in each schema, and values are coerced
+// to the declared types ("5" -> 5, "true" -> true) before controllers run.
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  useDefaults: true,
+  strict: false
+});
+addFormats(ajv);
+
+const LOCATIONS = ['params', 'query', 'body'];
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+const describe = (error) => {
+  const { keyword, params } = error;
+  const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+
+  switch (keyword) {
+    case 'required': {
+      const field = path ? `${path}.${params.missingProperty}` : params.missingProperty;
+      return { field, message: `${field} is required` };
+    }
+    case 'additionalProperties': {
+      const field = path ? `${path}.${params.additionalProperty}` : params.additionalProperty;
+      return { field, message: `${field} is not allowed` };
+    }
+    case 'const':
+      return { field: path, message: `${path} must be ${JSON.stringify(params.allowedValue)}` };
+    case 'enum':
+      return { field: path, message: `${path} must be one of: ${params.allowedValues.join(', ')}` };
+    case 'format':
+      return { field: path, message: `${path} must be a valid ${params.format}` };
+    case 'type':
+      return { field: path, message: `${path} must be a ${params.type}` };
+    case 'maxLength':
+      return { field: path, message: `${path} cannot exceed ${params.limit} characters` };
+    case 'minLength':
+      return {
+        field: path,
+        message:
+          params.limit === 1
+            ? `${path} cannot be empty`
+            : `${path} must be at least ${params.limit} characters`
+      };
+    case 'minimum':
+    case 'exclusiveMinimum':
+    case 'maximum':
+    case 'exclusiveMaximum':
+      return { field: path, message: `${path} must be ${params.comparison} ${params.limit}` };
+    case 'minProperties':
+      return { field: path, message: 'Please provide at least one field to update' };
+    case 'pattern':
+      return {
+        field: path,
+        message:
+          params.pattern === OBJECT_ID_PATTERN
+            ? `${path} must be a valid ID`
+            : `${path} has an invalid format`
+      };
+    default:
+      return { field: path, message: `${path || 'value'} ${error.message}` };
+  }
+};
+
+const compiled = new WeakMap();
+const compile = (schema) => {
+  if (!compiled.has(schema)) compiled.set(schema, ajv.compile(schema));
+  return compiled.get(schema);
+};
+
+/**
+ * Validates req.params, req.query and req.body against JSON Schemas:
+ *
+ *   router.post('/', validate(articleSchemas.createArticle), createArticle)
+ *
+ * Every problem is reported at once as a 400 VALIDATION_ERROR whose
+ * `details` lists { field, location, message } for each bad input.
+ */
+exports.validate = (schemas) => {
+  LOCATIONS.forEach((location) => {
+    if (schemas[location]) compile(schemas[location]);
+  });
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    LOCATIONS.forEach((location) => {
+      const schema = schemas[location];
+      if (!schema) return;
+
+      // Express 5 re-parses req.query on every access, so validate a copy
+      const data =
+        location === 'query' ? { ...req.query } : req[location] === undefined ? {} : req[location];
+      const check = compile(schema);
+
+      if (!check(data)) {
+        check.errors
+          // anyOf reports each failed branch; the branch errors say enough
+          .filter((error) => error.keyword !== 'anyOf')
+          .forEach((error) => details.push({ ...describe(error), location }));
+        return;
+      }
+
+      if (location === 'query') {
+        Object.defineProperty(req, 'query', { value: data, writable: true, configurable: true });
+      } else {
+        req[location] = data;
+      }
+    });
+
+    if (details.length) {
+      return next(
+        new AppError(
+          `Invalid input data. ${details.map((d) => d.message).join('. ')}`,
+          400,
+          'VALIDATION_ERROR',
+          details
+        )
+      );
+    }
+    next();
+  };
+  // Read by utils/openapi.js to document the route
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+// Schema fragments shared by the request schemas in validation/
+exports.fragments = {
+  objectId: { type: 'string', pattern: OBJECT_ID_PATTERN },
+  idParams: {
+    type: 'object',
+    properties: { id: { type: 'string', pattern: OBJECT_ID_PATTERN } },
+    required: ['id'],
+    additionalProperties: false
+  },
+  day: { type: 'string', format: 'date' },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  url: { type: 'string', maxLength: 2048 },
+  slug: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 100 },
+  lang: { type: 'string', maxLength: 20 },
+  // The other languages of a document, as sent back next to it
+  translations: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string', pattern: OBJECT_ID_PATTERN },
+        language: { type: 'string' }
+      }
+    }
+  }
+};
+
+exports.ajv = ajv;
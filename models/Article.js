@@ -0,0 +1,156 @@
+// models/Article.js
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { CATEGORIES, LANGUAGES } = require('../utils/constants');
+const translatable = require('./plugins/translatable');
+const searchable = require('./plugins/searchable');
+const revisioned = require('./plugins/revisioned');
+const syncable = require('./plugins/syncable');
+const audited = require('./plugins/audited');
+const sluggable = require('./plugins/sluggable');
+
+const STATUSES = ['draft', 'in-review', 'approved', 'published', 'archived'];
+
+const articleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Please provide content'],
+    trim: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Please select a category'],
+    enum: {
+      values: CATEGORIES,
+      message: 'Please select a valid category'
+    }
+  },
+  readTime: {
+    type: Number,
+    required: [true, 'Please provide estimated read time'],
+    min: [1, 'Read time must be at least 1 minute']
+  },
+  language: {
+    type: String,
+    required: [true, 'Please select language'],
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    }
+  },
+  imageUrl: {
+    type: String,
+    validate: [validator.isURL, 'Please provide a valid URL']
+  },
+  // Uploaded image; its resized variants are returned with the article
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  // Products the article discusses; their safety cards are shown with it
+  chemicals: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chemical'
+    }
+  ],
+  externalLink: {
+    type: String,
+    validate: [validator.isURL, 'Please provide a valid URL']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: 'Please select a valid status'
+    }
+  },
+  // Set when a health expert approves the content
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review note cannot exceed 1000 characters']
+  },
+  // An approved article goes live at this time
+  scheduledFor: Date,
+  publishedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+articleSchema.index({ status: 1, scheduledFor: 1 });
+
+// No schema default: articles saved before the editorial workflow existed
+// have no status and are treated as published.
+articleSchema.pre('validate', function () {
+  if (this.isNew && !this.status) this.status = 'draft';
+});
+
+articleSchema.pre('save', function () {
+  if (!this.isNew) this.updatedAt = Date.now();
+});
+
+// What the public may see
+articleSchema.statics.publishedFilter = (now = new Date()) => ({
+  $or: [
+    { status: 'published' },
+    { status: { $exists: false } },
+    { status: 'approved', scheduledFor: { $lte: now } }
+  ]
+});
+
+articleSchema.methods.isPublic = function (now = new Date()) {
+  return (
+    !this.status ||
+    this.status === 'published' ||
+    (this.status === 'approved' && this.scheduledFor && this.scheduledFor <= now)
+  );
+};
+
+articleSchema.statics.STATUSES = STATUSES;
+
+articleSchema.plugin(translatable);
+articleSchema.plugin(sluggable, { from: 'title' });
+articleSchema.plugin(searchable, { fields: { title: 10, category: 3, content: 2 } });
+articleSchema.plugin(revisioned, {
+  resourceType: 'Article',
+  fields: [
+    'title',
+    'content',
+    'category',
+    'readTime',
+    'language',
+    'imageUrl',
+    'image',
+    'externalLink',
+    'chemicals'
+  ]
+});
+articleSchema.plugin(syncable, { resourceType: 'Article' });
+articleSchema.plugin(audited, { resourceType: 'Article' });
+
+module.exports = mongoose.model('Article', articleSchema);
@@ -0,0 +1,81 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+const config = require('../config/audit');
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Who changed what, written by the audited plugin. Entries are never
+// edited or deleted through the app; only the retention purge removes them.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ACTIONS
+  },
+  resourceType: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Missing for changes made by the system, or by visitors who aren't
+  // logged in (e.g. registering)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied so the entry still reads right after the user is renamed or deleted
+  actorName: String,
+  actorRole: String,
+  ip: String,
+  // Field by field, as produced by utils/diff.js diffSnapshots
+  changes: [mongoose.Schema.Types.Mixed],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const appendOnly = () => {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+  ],
+  { document: true, query: true },
+  appendOnly
+);
+
+// Deletes entries older than the configured retention. Goes to the driver
+// directly, past the append-only guard above.
+auditLogSchema.statics.purgeExpired = async function (now = new Date()) {
+  if (!config.retentionDays) return 0;
+
+  const cutoff = new Date(now.getTime() - config.retentionDays * DAY_MS);
+  const { deletedCount } = await this.collection.deleteMany({ createdAt: { $lt: cutoff } });
+  return deletedCount;
+};
+
+auditLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
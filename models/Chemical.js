@@ -0,0 +1,190 @@
+// models/Chemical.js
+const mongoose = require('mongoose');
+const { LANGUAGES } = require('../utils/constants');
+const translatable = require('./plugins/translatable');
+const searchable = require('./plugins/searchable');
+const syncable = require('./plugins/syncable');
+const audited = require('./plugins/audited');
+
+// WHO recommended classification of pesticides by hazard
+const TOXICITY_CLASSES = {
+  Ia: 'Extremely hazardous',
+  Ib: 'Highly hazardous',
+  II: 'Moderately hazardous',
+  III: 'Slightly hazardous',
+  U: 'Unlikely to present acute hazard in normal use'
+};
+
+const PPE = [
+  'gloves',
+  'goggles',
+  'face-shield',
+  'respirator',
+  'dust-mask',
+  'coveralls',
+  'apron',
+  'boots',
+  'hat'
+];
+
+const tradeNameSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide the trade name'],
+      trim: true,
+      maxlength: [80, 'Trade name cannot exceed 80 characters']
+    },
+    manufacturer: {
+      type: String,
+      trim: true
+    },
+    // Where the product is sold under this name, e.g. ["Rwanda", "Uganda"]
+    countries: [
+      {
+        type: String,
+        trim: true
+      }
+    ]
+  },
+  { _id: false }
+);
+
+// A pesticide or other agro-chemical safety card. Like articles, each
+// language is its own document within a translation set.
+const chemicalSchema = new mongoose.Schema({
+  activeIngredient: {
+    type: String,
+    required: [true, 'Please provide the active ingredient'],
+    trim: true,
+    maxlength: [100, 'Active ingredient cannot exceed 100 characters']
+  },
+  casNumber: {
+    type: String,
+    trim: true,
+    match: [/^\d{2,7}-\d{2}-\d$/, 'Please provide a valid CAS number']
+  },
+  // e.g. "Organophosphate insecticide"
+  chemicalClass: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Chemical class cannot exceed 100 characters']
+  },
+  tradeNames: [tradeNameSchema],
+  toxicityClass: {
+    type: String,
+    required: [true, 'Please select the toxicity class'],
+    enum: {
+      values: Object.keys(TOXICITY_CLASSES),
+      message: 'Toxicity class must be Ia, Ib, II, III or U'
+    }
+  },
+  ppe: [
+    {
+      type: String,
+      enum: {
+        values: PPE,
+        message: 'Please select valid protective equipment'
+      }
+    }
+  ],
+  // Hours before people may go back into a treated field without PPE
+  reEntryIntervalHours: {
+    type: Number,
+    min: [0, 'Re-entry interval cannot be negative']
+  },
+  // Days between the last spray and harvest
+  preHarvestIntervalDays: {
+    type: Number,
+    min: [0, 'Pre-harvest interval cannot be negative']
+  },
+  exposureSymptoms: [
+    {
+      type: String,
+      trim: true
+    }
+  ],
+  // In the order they should be carried out
+  firstAid: [
+    {
+      type: String,
+      trim: true
+    }
+  ],
+  language: {
+    type: String,
+    required: [true, 'Please select language'],
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+chemicalSchema.index({ 'tradeNames.name': 1 });
+chemicalSchema.index({ activeIngredient: 1, language: 1 });
+
+chemicalSchema.virtual('toxicityLabel').get(function () {
+  return TOXICITY_CLASSES[this.toxicityClass];
+});
+chemicalSchema.set('toJSON', { virtuals: true, id: false });
+
+// The fields shown on a safety card next to an article
+chemicalSchema.statics.CARD_FIELDS = [
+  'activeIngredient',
+  'chemicalClass',
+  'tradeNames',
+  'toxicityClass',
+  'ppe',
+  'reEntryIntervalHours',
+  'preHarvestIntervalDays',
+  'exposureSymptoms',
+  'firstAid',
+  'language',
+  'translationGroup'
+].join(' ');
+
+/**
+ * Safety cards for the chemicals with the given ids, each in the best of
+ * `languages` it has been translated into (else as linked).
+ */
+chemicalSchema.statics.safetyCards = async function (ids, languages) {
+  if (!ids || !ids.length) return [];
+
+  const linked = await this.find({ _id: { $in: ids } }).select(this.CARD_FIELDS);
+  const groups = linked.map((chemical) => chemical.translationGroup || chemical._id);
+  const translations = await this.find({
+    translationGroup: { $in: groups },
+    language: { $in: languages }
+  }).select(this.CARD_FIELDS);
+
+  return linked.map((chemical) => {
+    const group = String(chemical.translationGroup || chemical._id);
+    for (const language of languages) {
+      const match = translations.find(
+        (t) => String(t.translationGroup) === group && t.language === language
+      );
+      if (match) return match;
+    }
+    return chemical;
+  });
+};
+
+chemicalSchema.statics.TOXICITY_CLASSES = TOXICITY_CLASSES;
+chemicalSchema.statics.PPE = PPE;
+
+chemicalSchema.plugin(translatable);
+chemicalSchema.plugin(searchable, {
+  fields: { activeIngredient: 10, 'tradeNames.name': 10, chemicalClass: 3 }
+});
+chemicalSchema.plugin(syncable, { resourceType: 'Chemical' });
+chemicalSchema.plugin(audited, { resourceType: 'Chemical' });
+
+module.exports = mongoose.model('Chemical', chemicalSchema);
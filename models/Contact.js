@@ -1,12 +1,141 @@
 // models/Contact.js
 const mongoose = require('mongoose');
+const validator = require('validator');
+const { stripHtml } = require('../utils/sanitize');
+const audited = require('./plugins/audited');
+
+const STATUSES = ['new', 'in-progress', 'answered', 'closed'];
+const FOLDERS = ['inbox', 'quarantine'];
+
+const replySchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorName: String,
+  body: {
+    type: String,
+    required: [true, 'Please write a reply'],
+    trim: true,
+    maxlength: [5000, 'Reply cannot exceed 5000 characters']
+  },
+  // Internal notes are visible to experts only and never emailed
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  emailStatus: {
+    type: String,
+    enum: ['not-sent', 'sent', 'failed'],
+    default: 'not-sent'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const historySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['received', 'assigned', 'status-changed', 'replied', 'noted'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    from: String,
+    to: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
 
 const contactSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  email: { type: String, required: true },
-  subject: { type: String },
-  message: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now }
+  name: {
+    type: String,
+    required: [true, 'Please provide your name'],
+    set: stripHtml,
+    maxlength: [80, 'Name cannot exceed 80 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide your email'],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  subject: {
+    type: String,
+    set: stripHtml,
+    maxlength: [120, 'Subject cannot exceed 120 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Please write your question'],
+    set: stripHtml,
+    maxlength: [3000, 'Message cannot exceed 3000 characters']
+  },
+  // Suspected spam is kept in quarantine, out of the experts' inbox
+  folder: {
+    type: String,
+    enum: FOLDERS,
+    default: 'inbox'
+  },
+  spamScore: { type: Number, default: 0 },
+  spamReasons: [String],
+  ip: { type: String, select: false },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: 'Please select a valid status'
+    },
+    default: 'new'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  replies: [replySchema],
+  history: {
+    type: [historySchema],
+    default: () => [{ action: 'received', to: 'new' }]
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+  answeredAt: { type: Date }
+});
+
+contactSchema.index({ status: 1, createdAt: -1 });
+contactSchema.index({ assignedTo: 1, status: 1 });
+contactSchema.index({ ip: 1, createdAt: -1 });
+contactSchema.index({ email: 1, createdAt: -1 });
+
+contactSchema.methods.setStatus = function (status, user) {
+  if (this.status === status) return;
+
+  this.history.push({ action: 'status-changed', by: user && user._id, from: this.status, to: status });
+  this.status = status;
+  if (status === 'answered' && !this.answeredAt) this.answeredAt = Date.now();
+};
+
+contactSchema.statics.STATUSES = STATUSES;
+contactSchema.statics.FOLDERS = FOLDERS;
+
+// Messages are written by the public; only the experts' handling of them
+// (status, assignment, quarantine) goes into the audit log
+contactSchema.plugin(audited, {
+  resourceType: 'Contact',
+  fields: ['status', 'assignedTo', 'folder'],
+  actions: ['update']
 });
 
-module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,54 @@
+// models/ContentStat.js
+const mongoose = require('mongoose');
+const { startOfDay } = require('../utils/tipSchedule');
+
+const RESOURCE_TYPES = ['Article', 'Video', 'Tip'];
+const EVENTS = { view: 'views', complete: 'completions' };
+
+// Daily view and read-completion counts for one piece of content. Only the
+// counts are kept: nothing about who viewed it, not even an IP address.
+// Language and category are copied in so reports don't need a join.
+const contentStatSchema = new mongoose.Schema({
+  day: {
+    type: Date,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    required: true,
+    enum: RESOURCE_TYPES
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  language: String,
+  category: String,
+  views: {
+    type: Number,
+    default: 0
+  },
+  completions: {
+    type: Number,
+    default: 0
+  }
+});
+
+contentStatSchema.index({ day: 1, resourceType: 1, resourceId: 1 }, { unique: true });
+
+// Counts one `event` ("view" or "complete") against today's row for `doc`
+contentStatSchema.statics.record = function (resourceType, doc, event, now = new Date()) {
+  return this.updateOne(
+    { day: startOfDay(now), resourceType, resourceId: doc._id },
+    {
+      $inc: { [EVENTS[event]]: 1 },
+      $set: { language: doc.language, category: doc.category }
+    },
+    { upsert: true }
+  );
+};
+
+contentStatSchema.statics.RESOURCE_TYPES = RESOURCE_TYPES;
+contentStatSchema.statics.EVENTS = Object.keys(EVENTS);
+
+module.exports = mongoose.model('ContentStat', contentStatSchema);
@@ -0,0 +1,88 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// A reservation older than this is taken to belong to a write that died
+// (e.g. the process crashed) and no longer holds back committed()
+const RESERVATION_TTL_MS = 60 * 1000;
+
+// Named sequences, e.g. the offline sync version
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers handed out by reserve() whose writes haven't finished yet
+  pending: [
+    {
+      _id: false,
+      seq: Number,
+      at: Date
+    }
+  ]
+});
+
+// Atomically increments and returns the sequence called `name`
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+counterSchema.statics.current = async function (name) {
+  const counter = await this.findById(name);
+  return counter ? counter.seq : 0;
+};
+
+// Like next(), but the number stays pending until release() is called, so
+// readers of committed() never skip a write that hasn't landed yet. The
+// increment and the reservation are one atomic update.
+counterSchema.statics.reserve = async function (name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    [
+      { $set: { seq: { $add: [{ $ifNull: ['$seq', 0] }, 1] } } },
+      {
+        $set: {
+          pending: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$pending', []] },
+                  cond: { $gt: ['$$this.at', { $subtract: ['$$NOW', RESERVATION_TTL_MS] }] }
+                }
+              },
+              [{ seq: '$seq', at: '$$NOW' }]
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+counterSchema.statics.release = async function (name, seq) {
+  await this.updateOne({ _id: name }, { $pull: { pending: { seq } } });
+};
+
+// The highest number below every pending reservation: all writes up to it
+// have finished
+counterSchema.statics.committedSeq = (counter, now = new Date()) => {
+  if (!counter) return 0;
+  const pending = (counter.pending || []).filter(
+    (reservation) => now - reservation.at < RESERVATION_TTL_MS
+  );
+  if (!pending.length) return counter.seq;
+  return Math.min(...pending.map((reservation) => reservation.seq)) - 1;
+};
+
+counterSchema.statics.committed = async function (name) {
+  return this.committedSeq(await this.findById(name).lean());
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
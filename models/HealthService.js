@@ -0,0 +1,180 @@
+// models/HealthService.js
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { LANGUAGES } = require('../utils/constants');
+const syncable = require('./plugins/syncable');
+const audited = require('./plugins/audited');
+const sluggable = require('./plugins/sluggable');
+
+const SERVICE_TYPES = [
+  'clinic',
+  'hospital',
+  'health-centre',
+  'pharmacy',
+  'poison-centre',
+  'helpline',
+  'support-group'
+];
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const openingHoursSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String,
+      required: true,
+      enum: {
+        values: DAYS,
+        message: 'Please use mon, tue, wed, thu, fri, sat or sun'
+      }
+    },
+    opens: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Please use HH:MM for opening times']
+    },
+    closes: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Please use HH:MM for closing times']
+    }
+  },
+  { _id: false }
+);
+
+const phoneSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+      default: 'Main'
+    },
+    number: {
+      type: String,
+      required: [true, 'Please provide the phone number'],
+      trim: true,
+      match: [/^\+?[0-9 ()-]{3,20}$/, 'Please provide a valid phone number']
+    },
+    tollFree: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { _id: false }
+);
+
+const healthServiceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name'],
+    trim: true,
+    maxlength: [120, 'Name cannot exceed 120 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Please select a service type'],
+    enum: {
+      values: SERVICE_TYPES,
+      message: 'Please select a valid service type'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // GeoJSON point; coordinates are [longitude, latitude]. Helplines and
+  // online support groups may have no location.
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: ([lng, lat] = []) =>
+          lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  province: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'Rwanda'
+  },
+  openingHours: [openingHoursSchema],
+  open24Hours: {
+    type: Boolean,
+    default: false
+  },
+  languages: [
+    {
+      type: String,
+      enum: {
+        values: LANGUAGES,
+        message: 'Please select a valid language'
+      }
+    }
+  ],
+  phones: [phoneSchema],
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  website: {
+    type: String,
+    validate: [validator.isURL, 'Please provide a valid URL']
+  },
+  // Free-form tags such as "poisoning-treatment", "first-aid", "counselling"
+  servicesOffered: [
+    {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+healthServiceSchema.index({ location: '2dsphere' });
+healthServiceSchema.index({ type: 1, district: 1 });
+
+// Drop an empty location so the 2dsphere index doesn't reject the document
+healthServiceSchema.pre('validate', function () {
+  if (this.location && !(this.location.coordinates && this.location.coordinates.length)) {
+    this.location = undefined;
+  }
+});
+
+healthServiceSchema.statics.SERVICE_TYPES = SERVICE_TYPES;
+
+healthServiceSchema.plugin(sluggable, { from: 'name' });
+healthServiceSchema.plugin(syncable, { resourceType: 'HealthService' });
+healthServiceSchema.plugin(audited, { resourceType: 'HealthService' });
+
+module.exports = mongoose.model('HealthService', healthServiceSchema);
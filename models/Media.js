@@ -0,0 +1,144 @@
+// models/Media.js
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const { getStorage } = require('../utils/storage');
+const { processImage } = require('../utils/imagePipeline');
+
+const EXTENSIONS = { webp: 'webp', jpeg: 'jpg' };
+
+const variantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true
+    },
+    format: {
+      type: String,
+      enum: ['webp', 'jpeg'],
+      required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number,
+    key: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    }
+  },
+  { _id: false }
+);
+
+// An uploaded image and the resized copies generated from it. Only the
+// variants are stored; the original upload is discarded.
+const mediaSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  variants: [variantSchema],
+  // Tiny blurred JPEG as a data URI, shown while the real image loads
+  placeholder: String,
+  storage: {
+    type: String,
+    default: 'local'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Resizes an uploaded file (from the upload middleware) into WebP and JPEG
+ * variants, stores them and saves the Media document.
+ */
+mediaSchema.statics.fromUpload = async function (file, { alt, uploadedBy } = {}) {
+  let processed;
+  try {
+    processed = await processImage(file.buffer);
+  } catch (err) {
+    if (err instanceof AppError) throw err;
+    throw new AppError('The uploaded file could not be read as an image', 415);
+  }
+
+  const storage = getStorage();
+  const media = new this({
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    width: processed.width,
+    height: processed.height,
+    alt,
+    placeholder: processed.placeholder,
+    storage: storage.name,
+    uploadedBy
+  });
+
+  try {
+    for (const variant of processed.variants) {
+      const key = `media/${media.id}/${variant.name}.${EXTENSIONS[variant.format]}`;
+      const { url } = await storage.save(key, variant.data, variant.mimeType);
+
+      const { data, mimeType, ...meta } = variant;
+      media.variants.push({ ...meta, key, url });
+    }
+    await media.save();
+  } catch (err) {
+    // Don't leave orphaned files behind when storing or saving fails
+    await media.removeFiles().catch(() => {});
+    throw err;
+  }
+
+  return media;
+};
+
+mediaSchema.methods.removeFiles = function () {
+  const storage = getStorage();
+  return Promise.all(this.variants.map((variant) => storage.remove(variant.key)));
+};
+
+// The fields returned wherever an image is attached to another document
+mediaSchema.statics.PUBLIC_FIELDS = 'alt width height variants placeholder';
+
+// Aggregation stages that replace a Media id in `field` with its public
+// fields, for list endpoints that cannot use populate()
+mediaSchema.statics.lookup = function (field) {
+  return [
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField: field,
+        foreignField: '_id',
+        pipeline: [{ $project: { alt: 1, width: 1, height: 1, variants: 1, placeholder: 1 } }],
+        as: field
+      }
+    },
+    { $set: { [field]: { $first: `$${field}` } } }
+  ];
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
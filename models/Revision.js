@@ -0,0 +1,36 @@
+// models/Revision.js
+const mongoose = require('mongoose');
+
+// A stored snapshot of a document's editable fields, taken on every save
+const revisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  status: String,
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revisionSchema.index({ resourceType: 1, resourceId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
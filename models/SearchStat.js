@@ -0,0 +1,38 @@
+// models/SearchStat.js
+const mongoose = require('mongoose');
+const { startOfDay } = require('../utils/tipSchedule');
+
+// Daily counts per search term, so editors can see what people look for and
+// don't find. Terms are stored normalised (lowercase, accents folded) and
+// with nothing about who searched.
+const searchStatSchema = new mongoose.Schema({
+  day: {
+    type: Date,
+    required: true
+  },
+  term: {
+    type: String,
+    required: true
+  },
+  language: String,
+  searches: {
+    type: Number,
+    default: 0
+  },
+  zeroResults: {
+    type: Number,
+    default: 0
+  }
+});
+
+searchStatSchema.index({ day: 1, term: 1, language: 1 }, { unique: true });
+
+searchStatSchema.statics.record = function (term, language, total, now = new Date()) {
+  return this.updateOne(
+    { day: startOfDay(now), term, language },
+    { $inc: { searches: 1, zeroResults: total === 0 ? 1 : 0 } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('SearchStat', searchStatSchema);
@@ -0,0 +1,56 @@
+// models/SmsSubscriber.js
+const mongoose = require('mongoose');
+const { LANGUAGES } = require('../utils/constants');
+
+// A phone number that has used the SMS or USSD service. Remembers the
+// language it chose and whether it wants the daily tip.
+const smsSubscriberSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Please provide a phone number'],
+    unique: true,
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    },
+    default: 'English'
+  },
+  dailyTips: {
+    type: Boolean,
+    default: false
+  },
+  optedInAt: Date,
+  optedOutAt: Date,
+  lastTipSentAt: Date,
+  lastMessageAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+smsSubscriberSchema.index({ dailyTips: 1, lastTipSentAt: 1 });
+
+// Finds the subscriber for a number, creating it on first contact
+smsSubscriberSchema.statics.forPhone = async function (phone) {
+  return this.findOneAndUpdate(
+    { phone },
+    { $set: { lastMessageAt: new Date() }, $setOnInsert: { phone } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+smsSubscriberSchema.methods.setDailyTips = function (enabled) {
+  this.dailyTips = enabled;
+  if (enabled) {
+    this.optedInAt = new Date();
+  } else {
+    this.optedOutAt = new Date();
+  }
+};
+
+module.exports = mongoose.model('SmsSubscriber', smsSubscriberSchema);
@@ -0,0 +1,178 @@
+// models/Subscriber.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { LANGUAGES } = require('../utils/constants');
+const { stripHtml } = require('../utils/sanitize');
+const SmsSubscriber = require('./SmsSubscriber');
+
+const STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+const CHANNELS = ['email', 'sms'];
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// "Join Our Farmer Health Network" sign-ups. Nothing is sent to a
+// subscriber until they confirm through the link we send them.
+const subscriberSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide your name'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    set: stripHtml
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  phone: {
+    type: String,
+    // "+250 788 123 456" -> "+250788123456"
+    set: (value) => (typeof value === 'string' ? value.replace(/[\s()-]/g, '') : value),
+    validate: {
+      validator: (value) => PHONE_PATTERN.test(value),
+      message: 'Please provide a valid phone number'
+    }
+  },
+  language: {
+    type: String,
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    },
+    default: 'English'
+  },
+  district: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'District cannot exceed 60 characters']
+  },
+  crops: [
+    {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  ],
+  channels: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: CHANNELS,
+          message: 'Channels must be email or sms'
+        }
+      }
+    ],
+    validate: {
+      validator: (value) => value.length > 0,
+      message: 'Please choose at least one channel'
+    }
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  confirmationToken: {
+    type: String,
+    select: false
+  },
+  confirmationExpires: {
+    type: Date,
+    select: false
+  },
+  confirmedAt: Date,
+  unsubscribedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+subscriberSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
+subscriberSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phone: { $type: 'string' } } }
+);
+subscriberSchema.index({ status: 1, district: 1, language: 1 });
+
+subscriberSchema.pre('validate', function () {
+  if (!this.email && !this.phone) {
+    this.invalidate('email', 'Please provide an email address or a phone number');
+  }
+  if (this.channels.includes('email') && !this.email) {
+    this.invalidate('channels', 'Email updates need an email address');
+  }
+  if (this.channels.includes('sms') && !this.phone) {
+    this.invalidate('channels', 'SMS updates need a phone number');
+  }
+});
+
+subscriberSchema.pre('save', function () {
+  if (!this.isNew) this.updatedAt = Date.now();
+});
+
+// Only the hash is stored; the raw token goes out in the confirmation link
+subscriberSchema.methods.createConfirmationToken = function () {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  this.confirmationToken = hashToken(token);
+  this.confirmationExpires = Date.now() + 48 * 60 * 60 * 1000;
+
+  return token;
+};
+
+const manageSecret = () => process.env.SUBSCRIBER_SECRET || process.env.JWT_SECRET;
+
+const signId = (id) =>
+  crypto.createHmac('sha256', manageSecret()).update(`subscriber:${id}`).digest('base64url');
+
+// The preferences/unsubscribe link token. It is derived from the id, so
+// every email or SMS can carry it without storing anything, and it stays
+// valid for as long as the subscriber exists.
+subscriberSchema.methods.manageToken = function () {
+  return `${this.id}.${signId(this.id)}`;
+};
+
+// Returns the subscriber id a manage token was issued for, or null
+subscriberSchema.statics.verifyManageToken = function (token) {
+  const [id, signature] = String(token).split('.');
+  if (!mongoose.isValidObjectId(id) || !signature) return null;
+
+  const expected = Buffer.from(signId(id));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? id : null;
+};
+
+// Keeps the SMS daily-tip list in line with this subscription. Pass
+// `channelsChanged` when the status or channels were just changed; otherwise
+// only the language is copied, so a farmer who texted STOP isn't opted back
+// in by an unrelated edit.
+subscriberSchema.methods.syncSms = async function ({ channelsChanged = false } = {}) {
+  if (!this.phone) return;
+
+  const wantsSms = this.status === 'confirmed' && this.channels.includes('sms');
+  const smsSubscriber = await SmsSubscriber.findOne({ phone: this.phone });
+  if (!smsSubscriber && !wantsSms) return;
+
+  const target = smsSubscriber || new SmsSubscriber({ phone: this.phone });
+  target.language = this.language;
+  if (channelsChanged && target.dailyTips !== wantsSms) target.setDailyTips(wantsSms);
+  await target.save();
+};
+
+subscriberSchema.statics.hashToken = hashToken;
+subscriberSchema.statics.STATUSES = STATUSES;
+subscriberSchema.statics.CHANNELS = CHANNELS;
+subscriberSchema.statics.PHONE_PATTERN = PHONE_PATTERN;
+
+module.exports = mongoose.model('Subscriber', subscriberSchema);
@@ -0,0 +1,142 @@
+// models/Testimonial.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { LANGUAGES } = require('../utils/constants');
+const { stripHtml } = require('../utils/sanitize');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'removed'];
+
+// Bump when the consent wording on the submission form changes, so we know
+// what each person agreed to
+const CONSENT_VERSION = '2025-01';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// "Voices from the Fields". Submitted by farmers, shown publicly only after
+// an admin approves it, and only with the author's consent.
+const testimonialSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide your name'],
+    trim: true,
+    maxlength: [80, 'Name cannot exceed 80 characters'],
+    set: stripHtml
+  },
+  // e.g. "Coffee farmer"
+  occupation: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Occupation cannot exceed 80 characters'],
+    set: stripHtml
+  },
+  // e.g. "Musanze, Rwanda"
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Location cannot exceed 80 characters'],
+    set: stripHtml
+  },
+  quote: {
+    type: String,
+    required: [true, 'Please share your story'],
+    trim: true,
+    maxlength: [1000, 'Your story cannot exceed 1000 characters'],
+    set: stripHtml
+  },
+  language: {
+    type: String,
+    required: [true, 'Please select language'],
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    }
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  // Only used to reach the author about their story; never shown
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email'],
+    select: false
+  },
+  consent: {
+    publish: {
+      type: Boolean,
+      required: true,
+      validate: {
+        validator: (value) => value === true,
+        message: 'We can only publish your story with your consent'
+      }
+    },
+    version: {
+      type: String,
+      default: CONSENT_VERSION
+    },
+    givenAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: 'Please select a valid status'
+    },
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  removedAt: Date,
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: [String],
+  // Lets the author take their story down without an account
+  takedownToken: {
+    type: String,
+    select: false
+  },
+  ip: {
+    type: String,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+testimonialSchema.index({ status: 1, language: 1, createdAt: -1 });
+
+testimonialSchema.pre('save', function () {
+  if (!this.isNew) this.updatedAt = Date.now();
+});
+
+// Only the hash is stored; the raw token is shown to the author once
+testimonialSchema.methods.createTakedownToken = function () {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.takedownToken = hashToken(token);
+  return token;
+};
+
+testimonialSchema.statics.hashToken = hashToken;
+testimonialSchema.statics.STATUSES = STATUSES;
+testimonialSchema.statics.CONSENT_VERSION = CONSENT_VERSION;
+
+module.exports = mongoose.model('Testimonial', testimonialSchema);
@@ -0,0 +1,44 @@
+// models/Throttle.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Longest window a limit can use; entries are deleted after it
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+
+// One use of a rate-limited action, e.g. "sign-up from this IP". Keys are
+// stored hashed and expire after a day, so no addresses are kept.
+const throttleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: MAX_WINDOW_SECONDS
+  }
+});
+
+throttleSchema.index({ key: 1, createdAt: 1 });
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Records one use of every key in `limits` ({ key: max }) unless a key has
+ * already been used `max` times in the last `windowMinutes`. Returns false
+ * (and records nothing) when the action should be refused.
+ */
+throttleSchema.statics.attempt = async function (limits, windowMinutes, now = new Date()) {
+  const since = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const keys = Object.entries(limits).map(([key, max]) => ({ key: hashKey(key), max }));
+
+  const counts = await Promise.all(
+    keys.map(({ key }) => this.countDocuments({ key, createdAt: { $gte: since } }))
+  );
+  if (counts.some((count, i) => count >= keys[i].max)) return false;
+
+  await this.insertMany(keys.map(({ key }) => ({ key, createdAt: now })));
+  return true;
+};
+
+module.exports = mongoose.model('Throttle', throttleSchema);
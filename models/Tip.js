@@ -0,0 +1,113 @@
+// models/Tip.js
+const mongoose = require('mongoose');
+const { CATEGORIES, LANGUAGES, SEASONS } = require('../utils/constants');
+const translatable = require('./plugins/translatable');
+const searchable = require('./plugins/searchable');
+const syncable = require('./plugins/syncable');
+const audited = require('./plugins/audited');
+const sluggable = require('./plugins/sluggable');
+const TipRotation = require('./TipRotation');
+const { pickTip, startOfDay, dayKey } = require('../utils/tipSchedule');
+
+const tipSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true,
+    maxlength: [80, 'Title cannot exceed 80 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Please provide content'],
+    trim: true,
+    maxlength: [600, 'Tip cannot exceed 600 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Please select a category'],
+    enum: {
+      values: CATEGORIES,
+      message: 'Please select a valid category'
+    }
+  },
+  language: {
+    type: String,
+    required: [true, 'Please select language'],
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    }
+  },
+  icon: {
+    type: String,
+    trim: true
+  },
+  region: {
+    type: String,
+    trim: true,
+    default: 'All regions'
+  },
+  // Empty means the tip is relevant all year round
+  seasons: [
+    {
+      type: String,
+      enum: {
+        values: SEASONS,
+        message: 'Please select a valid season'
+      }
+    }
+  ],
+  // Empty means the tip applies to every crop
+  crops: [
+    {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  ],
+  // Days (UTC midnight) on which this tip must be the tip of the day
+  scheduledFor: [Date],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+tipSchema.index({ language: 1, active: 1 });
+tipSchema.index({ scheduledFor: 1 });
+
+// Walks the reader's languages (best first, English last) and returns the
+// first one that has a tip for the day. Only today's pick is recorded in
+// the rotation; other dates are previews.
+tipSchema.statics.pickForDay = async function (languages, date, options) {
+  const tips = await this.find({ language: { $in: languages }, active: true });
+  const lastShown = await TipRotation.lastShown(tips.map((t) => t._id));
+
+  for (const language of languages) {
+    const { tip, reason } = pickTip(
+      tips.filter((t) => t.language === language),
+      date,
+      { ...options, lastShown }
+    );
+    if (tip) {
+      if (dayKey(date) === dayKey(startOfDay())) await TipRotation.record(tip._id, date);
+      return { tip, reason };
+    }
+  }
+  return { tip: null, reason: 'none' };
+};
+
+tipSchema.plugin(translatable);
+tipSchema.plugin(sluggable, { from: 'title' });
+tipSchema.plugin(searchable, { fields: { title: 10, crops: 4, content: 2 } });
+tipSchema.plugin(syncable, { resourceType: 'Tip' });
+tipSchema.plugin(audited, { resourceType: 'Tip' });
+
+module.exports = mongoose.model('Tip', tipSchema);
@@ -0,0 +1,28 @@
+// models/TipRotation.js
+const mongoose = require('mongoose');
+
+// The last day each tip was the tip of the day, keyed by the tip's id.
+// Kept apart from the tips so that showing one isn't an edit: no sync
+// version, audit entry or revision is written for it.
+const tipRotationSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tip'
+  },
+  shownOn: {
+    type: Date,
+    required: true
+  }
+});
+
+// Map of tip id (as a string) to the day it was last shown
+tipRotationSchema.statics.lastShown = async function (tipIds) {
+  const rows = await this.find({ _id: { $in: tipIds } }).lean();
+  return new Map(rows.map((row) => [String(row._id), row.shownOn]));
+};
+
+tipRotationSchema.statics.record = async function (tipId, day) {
+  await this.updateOne({ _id: tipId }, { $set: { shownOn: day } }, { upsert: true });
+};
+
+module.exports = mongoose.model('TipRotation', tipRotationSchema);
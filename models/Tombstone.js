@@ -0,0 +1,26 @@
+// models/Tombstone.js
+const mongoose = require('mongoose');
+
+// Marks a deleted document so offline clients can drop their copy
+const tombstoneSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  syncVersion: {
+    type: Number,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tombstoneSchema.index({ resourceType: 1, syncVersion: 1 });
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
@@ -0,0 +1,90 @@
+// models/TriageDecision.js
+const mongoose = require('mongoose');
+const { LANGUAGES } = require('../utils/constants');
+const TriageRuleSet = require('./TriageRuleSet');
+
+const REVIEW_STATUSES = ['pending', 'agreed', 'disagreed'];
+
+// Every triage outcome, kept so health experts can check the rules against
+// real questionnaires. Nothing identifying is stored: no IP, no exact
+// location, only the district if one was given.
+const triageDecisionSchema = new mongoose.Schema({
+  ruleSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TriageRuleSet',
+    required: true
+  },
+  ruleSetVersion: {
+    type: Number,
+    required: true
+  },
+  answers: {
+    chemical: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chemical'
+    },
+    // What the person typed when they couldn't pick the chemical
+    chemicalName: String,
+    toxicityClass: String,
+    route: {
+      type: String,
+      enum: TriageRuleSet.EXPOSURE_ROUTES
+    },
+    symptoms: [String],
+    hoursSinceExposure: Number
+  },
+  language: {
+    type: String,
+    enum: LANGUAGES
+  },
+  district: String,
+  urgency: {
+    type: String,
+    required: true,
+    enum: TriageRuleSet.URGENCY_LEVELS
+  },
+  matchedRules: [String],
+  firstAid: [String],
+  services: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HealthService'
+    }
+  ],
+  review: {
+    status: {
+      type: String,
+      default: 'pending',
+      enum: {
+        values: REVIEW_STATUSES,
+        message: 'Please select a valid review status'
+      }
+    },
+    // The urgency the reviewer would have given, when they disagree
+    urgency: {
+      type: String,
+      enum: TriageRuleSet.URGENCY_LEVELS
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+triageDecisionSchema.index({ 'review.status': 1, createdAt: -1 });
+triageDecisionSchema.index({ ruleSetVersion: 1, urgency: 1 });
+
+triageDecisionSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('TriageDecision', triageDecisionSchema);
@@ -0,0 +1,255 @@
+// models/TriageRuleSet.js
+const mongoose = require('mongoose');
+const { LANGUAGES } = require('../utils/constants');
+const Chemical = require('./Chemical');
+const HealthService = require('./HealthService');
+
+const STATUSES = ['draft', 'published', 'retired'];
+
+// Lowest to highest
+const URGENCY_LEVELS = ['self-care', 'see-clinic', 'emergency'];
+const URGENCY_MESSAGE = 'Urgency must be self-care, see-clinic or emergency';
+
+const EXPOSURE_ROUTES = ['skin', 'eyes', 'inhalation', 'ingestion', 'injury'];
+
+// Chemicals the person can't name are matched as toxicity class "unknown"
+const TOXICITY_CLASSES = [...Object.keys(Chemical.TOXICITY_CLASSES), 'unknown'];
+
+const KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const key = (what) => ({
+  type: String,
+  required: [true, `Please provide the ${what} key`],
+  trim: true,
+  match: [KEY_PATTERN, `The ${what} key must be lowercase words joined by dashes`]
+});
+
+// The same text in each language; English is the fallback
+const localizedSchema = new mongoose.Schema(
+  Object.fromEntries(
+    LANGUAGES.map((language) => [
+      language,
+      {
+        type: String,
+        trim: true,
+        required: language === 'English' ? [true, 'Please provide the English text'] : false
+      }
+    ])
+  ),
+  { _id: false }
+);
+
+const symptomSchema = new mongoose.Schema(
+  {
+    key: key('symptom'),
+    label: {
+      type: localizedSchema,
+      required: true
+    }
+  },
+  { _id: false }
+);
+
+const stepSchema = new mongoose.Schema(
+  {
+    key: key('first-aid step'),
+    text: {
+      type: localizedSchema,
+      required: true
+    },
+    // Shown only when the outcome is one of these; empty means always.
+    // e.g. "watch for new symptoms" makes no sense next to "call 912"
+    urgencies: [{ type: String, enum: URGENCY_LEVELS }]
+  },
+  { _id: false }
+);
+
+// A rule matches when every condition it sets holds; conditions left empty
+// match anything
+const ruleSchema = new mongoose.Schema(
+  {
+    key: key('rule'),
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    urgency: {
+      type: String,
+      required: [true, 'Please select the urgency of the rule'],
+      enum: { values: URGENCY_LEVELS, message: URGENCY_MESSAGE }
+    },
+    routes: [{ type: String, enum: EXPOSURE_ROUTES }],
+    symptoms: [String],
+    // How many of `symptoms` must be reported
+    minSymptoms: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    toxicityClasses: [{ type: String, enum: TOXICITY_CLASSES }],
+    minHoursSinceExposure: {
+      type: Number,
+      min: 0
+    },
+    maxHoursSinceExposure: {
+      type: Number,
+      min: 0
+    },
+    firstAid: [String],
+    // Where to send the person: health service types and servicesOffered tags
+    serviceTypes: [{ type: String, enum: HealthService.SERVICE_TYPES }],
+    services: [{ type: String, lowercase: true, trim: true }]
+  },
+  { _id: false }
+);
+
+// One version of the triage rules. Health experts edit drafts; publishing a
+// draft retires the version before it. Published versions never change, so
+// every logged decision can be traced to the exact rules that made it.
+const triageRuleSetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    default: 'draft',
+    enum: {
+      values: STATUSES,
+      message: 'Please select a valid status'
+    }
+  },
+  // What changed in this version, for the experts reviewing it
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  symptoms: [symptomSchema],
+  firstAid: [stepSchema],
+  rules: [ruleSchema],
+  // Used when no rule matches
+  defaultUrgency: {
+    type: String,
+    default: 'see-clinic',
+    enum: { values: URGENCY_LEVELS, message: URGENCY_MESSAGE }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+triageRuleSetSchema.index({ status: 1, version: -1 });
+
+const duplicates = (keys) => keys.filter((k, i) => keys.indexOf(k) !== i);
+
+// Rules may only refer to symptoms and steps defined in the same version
+triageRuleSetSchema.pre('validate', function () {
+  const symptomKeys = this.symptoms.map((s) => s.key);
+  const stepKeys = this.firstAid.map((s) => s.key);
+
+  [
+    ['symptoms', duplicates(symptomKeys)],
+    ['firstAid', duplicates(stepKeys)],
+    ['rules', duplicates(this.rules.map((r) => r.key))]
+  ].forEach(([path, keys]) => {
+    if (keys.length) this.invalidate(path, `Duplicate keys: ${[...new Set(keys)].join(', ')}`);
+  });
+
+  this.rules.forEach((rule, i) => {
+    const unknownSymptoms = rule.symptoms.filter((s) => !symptomKeys.includes(s));
+    if (unknownSymptoms.length) {
+      this.invalidate(`rules.${i}.symptoms`, `Unknown symptoms: ${unknownSymptoms.join(', ')}`);
+    }
+    const unknownSteps = rule.firstAid.filter((s) => !stepKeys.includes(s));
+    if (unknownSteps.length) {
+      this.invalidate(`rules.${i}.firstAid`, `Unknown first-aid steps: ${unknownSteps.join(', ')}`);
+    }
+    if (rule.minSymptoms > Math.max(rule.symptoms.length, 1)) {
+      this.invalidate(`rules.${i}.minSymptoms`, 'minSymptoms cannot exceed the number of symptoms');
+    }
+  });
+});
+
+const matches = (rule, answers) => {
+  const { route, symptoms = [], toxicityClass = 'unknown', hoursSinceExposure } = answers;
+
+  if (rule.routes.length && !rule.routes.includes(route)) return false;
+  if (rule.symptoms.length) {
+    const reported = rule.symptoms.filter((s) => symptoms.includes(s)).length;
+    if (reported < rule.minSymptoms) return false;
+  }
+  if (rule.toxicityClasses.length && !rule.toxicityClasses.includes(toxicityClass)) return false;
+
+  const { minHoursSinceExposure: min, maxHoursSinceExposure: max } = rule;
+  if (min === undefined && max === undefined) return true;
+  if (hoursSinceExposure === undefined) return false;
+  return (
+    (min === undefined || hoursSinceExposure >= min) &&
+    (max === undefined || hoursSinceExposure <= max)
+  );
+};
+
+const rank = (urgency) => URGENCY_LEVELS.indexOf(urgency);
+
+/**
+ * Runs the answers ({ route, symptoms, toxicityClass, hoursSinceExposure })
+ * through the rules. The outcome is the highest urgency of any matching
+ * rule; first-aid steps come from every matching rule, most urgent first.
+ * The rules deciding the outcome also say which services to look for.
+ */
+triageRuleSetSchema.methods.assess = function (answers) {
+  const matched = this.rules
+    .filter((rule) => matches(rule, answers))
+    .sort((a, b) => rank(b.urgency) - rank(a.urgency));
+
+  const urgency = matched.length ? matched[0].urgency : this.defaultUrgency;
+  const deciding = matched.filter((rule) => rule.urgency === urgency);
+
+  const stepKeys = [...new Set(matched.flatMap((rule) => rule.firstAid))];
+  const firstAid = stepKeys
+    .map((k) => this.firstAid.find((step) => step.key === k))
+    .filter((step) => step && (!step.urgencies.length || step.urgencies.includes(urgency)));
+
+  return {
+    urgency,
+    matchedRules: matched.map((rule) => rule.key),
+    firstAid,
+    serviceTypes: [...new Set(deciding.flatMap((rule) => rule.serviceTypes))],
+    services: [...new Set(deciding.flatMap((rule) => rule.services))]
+  };
+};
+
+// The text in the first of `languages` it has been translated into
+triageRuleSetSchema.statics.localize = (localized, languages) => {
+  const language = languages.find((l) => localized[l]) || 'English';
+  return localized[language];
+};
+
+// The version the public endpoint uses: the last one published, should a
+// publish have stopped before retiring the one before it
+triageRuleSetSchema.statics.current = function () {
+  return this.findOne({ status: 'published' }).sort('-publishedAt -version');
+};
+
+triageRuleSetSchema.statics.STATUSES = STATUSES;
+triageRuleSetSchema.statics.URGENCY_LEVELS = URGENCY_LEVELS;
+triageRuleSetSchema.statics.EXPOSURE_ROUTES = EXPOSURE_ROUTES;
+triageRuleSetSchema.statics.TOXICITY_CLASSES = TOXICITY_CLASSES;
+
+module.exports = mongoose.model('TriageRuleSet', triageRuleSetSchema);
@@ -0,0 +1,130 @@
+// models/User.js
+const mongoose = require('mongoose');
+const validator = require('validator');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const audited = require('./plugins/audited');
+
+const ROLES = ['admin', 'editor', 'health-expert'];
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide your name'],
+    trim: true,
+    maxlength: [80, 'Name cannot exceed 80 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide your email'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Please select a valid role'
+    },
+    default: 'editor'
+  },
+  password: {
+    type: String,
+    required: [true, 'Please provide a password'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+
+  this.password = await bcrypt.hash(this.password, 12);
+
+  if (!this.isNew) this.passwordChangedAt = Date.now() - 1000;
+});
+
+userSchema.methods.correctPassword = function (candidatePassword, userPassword) {
+  return bcrypt.compare(candidatePassword, userPassword);
+};
+
+userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = parseInt(this.passwordChangedAt.getTime() / 1000, 10);
+    return JWTTimestamp < changedTimestamp;
+  }
+  return false;
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Only the SHA-256 hash of a token is stored; the raw token goes out by email.
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
+
+  return resetToken;
+};
+
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerified = false;
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+userSchema.statics.hashToken = hashToken;
+userSchema.statics.ROLES = ROLES;
+
+// Password changes show up as passwordChangedAt; the hashes and tokens
+// themselves are kept out of the log
+userSchema.plugin(audited, {
+  resourceType: 'User',
+  exclude: [
+    'password',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'emailVerificationToken',
+    'emailVerificationExpires'
+  ]
+});
+
+module.exports = mongoose.model('User', userSchema);
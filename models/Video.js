@@ -0,0 +1,154 @@
+// models/Video.js
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { CATEGORIES, LANGUAGES } = require('../utils/constants');
+const translatable = require('./plugins/translatable');
+const searchable = require('./plugins/searchable');
+const audited = require('./plugins/audited');
+
+const QUALITIES = ['audio', '144p', '240p', '360p', '480p', '720p', '1080p'];
+
+const captionSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    required: [true, 'Please select the caption language'],
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    }
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  // Either a hosted .vtt file or the WebVTT text itself
+  url: {
+    type: String,
+    validate: [validator.isURL, 'Please provide a valid URL']
+  },
+  vtt: {
+    type: String,
+    validate: {
+      validator: (value) => /^\uFEFF?WEBVTT/.test(value),
+      message: 'Captions must be in WebVTT format'
+    }
+  }
+});
+
+captionSchema.pre('validate', function () {
+  if (!this.url && !this.vtt) {
+    this.invalidate('url', 'Please provide a caption URL or WebVTT text');
+  }
+});
+
+const renditionSchema = new mongoose.Schema({
+  quality: {
+    type: String,
+    required: [true, 'Please select the rendition quality'],
+    enum: {
+      values: QUALITIES,
+      message: 'Please select a valid quality'
+    }
+  },
+  url: {
+    type: String,
+    required: [true, 'Please provide the rendition URL'],
+    validate: [validator.isURL, 'Please provide a valid URL']
+  },
+  mimeType: {
+    type: String,
+    default: 'video/mp4'
+  },
+  // Average bitrate in kbps, used to pick the lightest stream for 2G users
+  bitrate: {
+    type: Number,
+    required: [true, 'Please provide the rendition bitrate'],
+    min: [1, 'Bitrate must be positive']
+  },
+  sizeBytes: Number,
+  audioOnly: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const videoSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Please select a category'],
+    enum: {
+      values: CATEGORIES,
+      message: 'Please select a valid category'
+    }
+  },
+  language: {
+    type: String,
+    required: [true, 'Please select language'],
+    enum: {
+      values: LANGUAGES,
+      message: 'Please select a valid language'
+    }
+  },
+  // Duration in seconds
+  duration: {
+    type: Number,
+    required: [true, 'Please provide the video duration'],
+    min: [1, 'Duration must be at least 1 second']
+  },
+  thumbnailUrl: {
+    type: String,
+    validate: [validator.isURL, 'Please provide a valid URL']
+  },
+  // Uploaded thumbnail; its resized variants are returned with the video
+  thumbnail: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  captions: [captionSchema],
+  renditions: {
+    type: [renditionSchema],
+    validate: {
+      validator: (value) => value.length > 0,
+      message: 'Please provide at least one rendition'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// Keep renditions ordered lightest first so clients can take the first one
+videoSchema.pre('save', function () {
+  this.renditions = [...this.renditions].sort((a, b) => a.bitrate - b.bitrate);
+});
+
+videoSchema.methods.pickRendition = function (maxBitrate) {
+  const renditions = [...this.renditions].sort((a, b) => a.bitrate - b.bitrate);
+  if (!maxBitrate) return renditions[0];
+
+  const fitting = renditions.filter((r) => r.bitrate <= maxBitrate);
+  return fitting.length ? fitting[fitting.length - 1] : renditions[0];
+};
+
+videoSchema.statics.QUALITIES = QUALITIES;
+
+videoSchema.plugin(translatable);
+videoSchema.plugin(searchable, { fields: { title: 10, description: 2 } });
+videoSchema.plugin(audited, { resourceType: 'Video' });
+
+module.exports = mongoose.model('Video', videoSchema);
@@ -0,0 +1,90 @@
+// models/plugins/audited.js
+const AuditLog = require('../AuditLog');
+const { diffSnapshots } = require('../../utils/diff');
+const { currentRequest } = require('../../utils/requestContext');
+
+// Bookkeeping written by other plugins; changes to these alone aren't logged
+const IGNORED = ['_id', '__v', 'searchText', 'textLanguage', 'syncVersion', 'version', 'updatedAt'];
+
+// Characters of a text field kept on each side of a change. Line diffs are
+// left out too: entries are written after every save and only need to show
+// who changed what (article texts are kept whole in their revisions).
+const MAX_VALUE_LENGTH = 500;
+
+// Writes an AuditLog entry for every create, update and delete, with the
+// logged-in user and IP of the request that made it. Updates that change
+// nothing visible are skipped.
+//
+// `fields` limits the snapshot to those fields; `exclude` drops fields
+// (e.g. secrets) from it; `actions` limits which actions are logged.
+module.exports = (schema, { resourceType, fields, exclude = [], actions = AuditLog.ACTIONS }) => {
+  const snapshot = (doc) => {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    const keys =
+      fields || Object.keys(plain).filter((k) => !IGNORED.includes(k) && !exclude.includes(k));
+    return Object.fromEntries(keys.filter((k) => plain[k] !== undefined).map((k) => [k, plain[k]]));
+  };
+
+  const record = async (action, resourceId, before, after) => {
+    if (!actions.includes(action)) return;
+
+    const changes = diffSnapshots(before, after, {
+      lineDiff: false,
+      maxLength: MAX_VALUE_LENGTH
+    });
+    if (action === 'update' && !changes.length) return;
+
+    const req = currentRequest();
+    const user = req && req.user;
+    await AuditLog.create({
+      action,
+      resourceType,
+      resourceId,
+      actor: user && user._id,
+      actorName: user && user.name,
+      actorRole: user && user.role,
+      ip: req && req.ip,
+      changes
+    });
+  };
+
+  // Saves: the stored version is read back first, so the diff is against
+  // what was in the database rather than what was loaded
+  schema.pre('save', async function () {
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).lean();
+  });
+  schema.post('save', async function (doc) {
+    const before = doc.$locals.auditBefore;
+    await record(before ? 'update' : 'create', doc._id, snapshot(before), snapshot(doc));
+  });
+
+  // Query updates: every matched document is read before and after
+  async function captureBefore() {
+    const query = this.model.find(this.getFilter()).lean();
+    if (this.op !== 'updateMany') query.limit(1);
+    this.auditBefore = await query;
+  }
+  async function recordUpdates() {
+    const befores = this.auditBefore || [];
+    if (!befores.length) return;
+
+    const afters = await this.model.find({ _id: { $in: befores.map((doc) => doc._id) } }).lean();
+    for (const before of befores) {
+      const after = afters.find((doc) => String(doc._id) === String(before._id));
+      await record('update', before._id, snapshot(before), snapshot(after));
+    }
+  }
+  schema.pre('findOneAndUpdate', captureBefore);
+  schema.post('findOneAndUpdate', recordUpdates);
+  schema.pre(['updateOne', 'updateMany'], { document: false, query: true }, captureBefore);
+  schema.post(['updateOne', 'updateMany'], { document: false, query: true }, recordUpdates);
+
+  const recordDelete = async (doc) => {
+    if (doc) await record('delete', doc._id, snapshot(doc), {});
+  };
+  schema.post('findOneAndDelete', recordDelete);
+  schema.post('deleteOne', { document: true, query: false }, recordDelete);
+};
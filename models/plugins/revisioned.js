@@ -0,0 +1,44 @@
+// models/plugins/revisioned.js
+const Revision = require('../Revision');
+
+// Records a Revision after every save. `fields` are the editable fields
+// copied into each snapshot. Set doc.$locals.revisionAuthor (a user id)
+// and optionally doc.$locals.revisionNote before saving.
+module.exports = (schema, { resourceType, fields }) => {
+  schema.add({
+    version: {
+      type: Number,
+      default: 0
+    }
+  });
+
+  schema.pre('save', function () {
+    this.version += 1;
+  });
+
+  schema.post('save', async function (doc) {
+    const snapshot = Object.fromEntries(
+      fields.map((field) => {
+        const value = doc.get(field);
+        return [field, value && value.toObject ? value.toObject() : value];
+      })
+    );
+
+    await Revision.create({
+      resourceType,
+      resourceId: doc._id,
+      version: doc.version,
+      status: doc.status,
+      snapshot,
+      author: doc.$locals.revisionAuthor,
+      note: doc.$locals.revisionNote
+    });
+  });
+
+  schema.methods.snapshot = function () {
+    return Object.fromEntries(fields.map((field) => [field, this.get(field)]));
+  };
+
+  schema.statics.revisionFields = fields;
+  schema.statics.revisionType = resourceType;
+};
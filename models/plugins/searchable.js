@@ -0,0 +1,58 @@
+// models/plugins/searchable.js
+const { fold } = require('../../utils/textNormalize');
+
+// MongoDB only stems the languages it knows; Kinyarwanda and Swahili are
+// indexed word by word.
+const TEXT_LANGUAGES = {
+  English: 'english',
+  Français: 'french',
+  Kinyarwanda: 'none',
+  Swahili: 'none'
+};
+
+// Adds a weighted text index over `fields` plus a folded copy of the same
+// text (`searchText`) used for accent-insensitive prefix matching.
+module.exports = (schema, { fields }) => {
+  schema.add({
+    searchText: {
+      type: String,
+      select: false
+    },
+    textLanguage: {
+      type: String,
+      select: false
+    }
+  });
+
+  const textIndex = Object.fromEntries(Object.keys(fields).map((f) => [f, 'text']));
+  schema.index(textIndex, {
+    weights: fields,
+    default_language: 'none',
+    language_override: 'textLanguage',
+    name: 'search_text'
+  });
+
+  const buildSearchFields = (doc) => ({
+    searchText: fold(
+      Object.keys(fields)
+        .map((field) => {
+          const value = doc.get ? doc.get(field) : doc[field];
+          return Array.isArray(value) ? value.join(' ') : value || '';
+        })
+        .join(' ')
+    ),
+    textLanguage: TEXT_LANGUAGES[doc.language] || 'none'
+  });
+
+  schema.pre('save', function () {
+    Object.assign(this, buildSearchFields(this));
+  });
+
+  // findByIdAndUpdate skips save hooks, so refresh the copy afterwards
+  schema.post('findOneAndUpdate', async function (doc) {
+    if (!doc) return;
+    await this.model.updateOne({ _id: doc._id }, buildSearchFields(doc));
+  });
+
+  schema.statics.searchWeights = fields;
+};
@@ -0,0 +1,59 @@
+// models/plugins/sluggable.js
+const { slugify } = require('../../utils/textNormalize');
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Gives every document a `slug`: a readable key that stays the same when
+// the title is edited, so spreadsheets and exports can refer to content
+// across databases. It is made from the `from` field when the document is
+// first saved without one; "-2", "-3"... are added until it is unique.
+module.exports = (schema, { from }) => {
+  schema.add({
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'Slug cannot exceed 100 characters'],
+      match: [SLUG_PATTERN, 'The slug must be lowercase words joined by dashes']
+    }
+  });
+
+  // Sparse: content saved before slugs existed has none until backfilled
+  schema.index({ slug: 1 }, { unique: true, sparse: true });
+
+  // `taken` holds slugs that are spoken for but not saved yet (e.g. earlier
+  // rows of an import)
+  schema.statics.uniqueSlug = async function (text, excludeId, taken = new Set()) {
+    const base = slugify(text) || this.modelName.toLowerCase();
+
+    for (let n = 1; ; n += 1) {
+      const slug = n === 1 ? base : `${base}-${n}`;
+      if (!taken.has(slug) && !(await this.exists({ slug, _id: { $ne: excludeId } }))) {
+        return slug;
+      }
+    }
+  };
+
+  schema.pre('validate', async function () {
+    if (!this.slug) {
+      this.slug = await this.constructor.uniqueSlug(
+        this.get(from),
+        this._id,
+        this.$locals.takenSlugs
+      );
+    }
+  });
+
+  // Gives slugs to documents that don't have one yet
+  schema.statics.ensureSlugs = async function () {
+    const missing = await this.find({ slug: { $exists: false } }).select(from);
+
+    for (const doc of missing) {
+      const slug = await this.uniqueSlug(doc.get(from), doc._id);
+      await this.updateOne({ _id: doc._id }, { $set: { slug } });
+    }
+    return missing.length;
+  };
+
+  schema.statics.SLUG_PATTERN = SLUG_PATTERN;
+};
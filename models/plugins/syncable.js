@@ -0,0 +1,88 @@
+// models/plugins/syncable.js
+const Counter = require('../Counter');
+const Tombstone = require('../Tombstone');
+
+const SYNC_COUNTER = 'sync';
+
+// Fields written by other plugins that don't change what clients see
+const INTERNAL_FIELDS = ['searchText', 'textLanguage'];
+
+const changesContent = (update = {}) =>
+  Object.entries(update).some(([key, value]) =>
+    key.startsWith('$')
+      ? Object.keys(value).some((field) => !INTERNAL_FIELDS.includes(field))
+      : !INTERNAL_FIELDS.includes(key)
+  );
+
+// Stamps every write with the next value of a global sync counter and
+// leaves a Tombstone on delete, so offline clients can ask for everything
+// that changed after the version they last saw.
+//
+// The version is reserved before the write and released once it has
+// finished (or failed), so Counter.committed() stays below writes that are
+// still in flight and a client can't be handed a version it has half of.
+module.exports = (schema, { resourceType }) => {
+  schema.add({
+    syncVersion: {
+      type: Number,
+      default: 0,
+      index: true
+    }
+  });
+
+  const release = async (holder) => {
+    const version = holder.syncReservation;
+    if (!version) return;
+    holder.syncReservation = undefined;
+    await Counter.release(SYNC_COUNTER, version);
+  };
+  // Mongoose error handlers take (error, res, next) and pass the error on
+  const releaseAfterError = (holder, error, next) => {
+    release(holder).then(
+      () => next(error),
+      () => next(error)
+    );
+  };
+
+  schema.pre('save', async function () {
+    this.syncVersion = await Counter.reserve(SYNC_COUNTER);
+    this.$locals.syncReservation = this.syncVersion;
+  });
+  schema.post('save', async function () {
+    await release(this.$locals);
+  });
+  schema.post('save', function (error, doc, next) {
+    releaseAfterError(this.$locals, error, next);
+  });
+
+  async function stampUpdate() {
+    if (!changesContent(this.getUpdate())) return;
+    this.syncReservation = await Counter.reserve(SYNC_COUNTER);
+    this.set('syncVersion', this.syncReservation);
+  }
+  async function releaseUpdate() {
+    await release(this);
+  }
+  const UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+  schema.pre(UPDATES, { document: false, query: true }, stampUpdate);
+  schema.post(UPDATES, { document: false, query: true }, releaseUpdate);
+  schema.post(UPDATES, { document: false, query: true }, function (error, res, next) {
+    releaseAfterError(this, error, next);
+  });
+
+  const leaveTombstone = async (doc) => {
+    if (!doc) return;
+    const syncVersion = await Counter.reserve(SYNC_COUNTER);
+    try {
+      await Tombstone.create({ resourceType, resourceId: doc._id, syncVersion });
+    } finally {
+      await Counter.release(SYNC_COUNTER, syncVersion);
+    }
+  };
+  schema.post('findOneAndDelete', leaveTombstone);
+  schema.post('deleteOne', { document: true, query: false }, leaveTombstone);
+
+  schema.statics.syncType = resourceType;
+};
+
+module.exports.SYNC_COUNTER = SYNC_COUNTER;
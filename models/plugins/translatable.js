@@ -0,0 +1,61 @@
+// models/plugins/translatable.js
+const mongoose = require('mongoose');
+const AppError = require('../../utils/appError');
+
+// Groups documents that are translations of each other. Every document
+// belongs to a translation set; a new document starts its own set unless
+// it is created as a translation of an existing one.
+module.exports = (schema) => {
+  schema.add({
+    translationGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true
+    }
+  });
+
+  // One document per language within a set
+  schema.index(
+    { translationGroup: 1, language: 1 },
+    { unique: true, partialFilterExpression: { translationGroup: { $exists: true } } }
+  );
+
+  schema.pre('validate', function () {
+    if (!this.translationGroup) this.translationGroup = this._id;
+  });
+
+  // Returns the translation set of the document with the given id
+  schema.statics.translationGroupOf = async function (id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new AppError(`Invalid translationOf: ${id}`, 400);
+    }
+
+    const source = await this.findById(id).select('translationGroup');
+    if (!source) {
+      throw new AppError('The document to translate could not be found', 404);
+    }
+    return source.translationGroup || source._id;
+  };
+
+  // Finds the best translation of `doc` for the given language preferences,
+  // considering only translations that match `filter`
+  schema.statics.findTranslation = async function (doc, languages, filter = {}) {
+    const group = doc.translationGroup || doc._id;
+    const siblings = await this.find({
+      $and: [{ $or: [{ translationGroup: group }, { _id: group }] }, filter]
+    });
+
+    for (const language of languages) {
+      const match = siblings.find((s) => s.language === language);
+      if (match) return { doc: match, siblings };
+    }
+    return { doc, siblings };
+  };
+
+  // Pulls `translationOf` out of a request body into a translationGroup
+  schema.statics.applyTranslationOf = async function (body) {
+    const { translationOf, ...rest } = body;
+    if (!translationOf) return rest;
+
+    return { ...rest, translationGroup: await this.translationGroupOf(translationOf) };
+  };
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const statsController = require('../controllers/statsController');
+const auditController = require('../controllers/auditController');
+const transferController = require('../controllers/transferController');
+const statsSchemas = require('../validation/statsSchemas');
+const auditSchemas = require('../validation/auditSchemas');
+const transferSchemas = require('../validation/transferSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { dataFile } = require('../middleware/upload');
+
+router.use(protect, restrictTo('admin'));
+
+router.get('/stats', validate(statsSchemas.getOverview), statsController.getOverview);
+router.get('/stats/:report', validate(statsSchemas.getReport), statsController.getReport);
+
+router.get('/audit', validate(auditSchemas.getAuditLog), auditController.getAuditLog);
+router.get('/audit/:id', validate(auditSchemas.getAuditEntry), auditController.getAuditEntry);
+
+router.post(
+  '/import/:resource',
+  dataFile('file'),
+  validate(transferSchemas.importResource),
+  transferController.importResource
+);
+router.get(
+  '/export/:resource',
+  validate(transferSchemas.exportResource),
+  transferController.exportResource
+);
+
+module.exports = router;
@@ -1,7 +1,112 @@
 const express = require('express');
 const router = express.Router();
 const articleController = require('../controllers/articleController');
+const articleSchemas = require('../validation/articleSchemas');
+const { protect, identify, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
 
-router.get('/', articleController.getAllArticles);
+const STAFF = ['admin', 'editor', 'health-expert'];
+const REVIEWERS = ['admin', 'health-expert'];
+const PUBLISHERS = ['admin', 'editor'];
+
+router
+  .route('/')
+  .get(identify, validate(articleSchemas.listArticles), articleController.getAllArticles)
+  .post(
+    protect,
+    restrictTo(...STAFF),
+    validate(articleSchemas.createArticle),
+    articleController.createArticle
+  );
+
+router
+  .route('/:id')
+  .get(identify, validate(articleSchemas.getArticle), articleController.getArticle)
+  .patch(
+    protect,
+    restrictTo(...STAFF),
+    validate(articleSchemas.updateArticle),
+    articleController.updateArticle
+  )
+  .delete(
+    protect,
+    restrictTo('admin', 'editor'),
+    validate(articleSchemas.deleteArticle),
+    articleController.deleteArticle
+  );
+
+// Editorial workflow: draft -> in-review -> approved -> published -> archived
+router.post(
+  '/:id/submit',
+  protect,
+  restrictTo(...STAFF),
+  validate(articleSchemas.transitionArticle),
+  articleController.transitionArticle('submit')
+);
+router.post(
+  '/:id/approve',
+  protect,
+  restrictTo(...REVIEWERS),
+  validate(articleSchemas.transitionArticle),
+  articleController.transitionArticle('approve')
+);
+router.post(
+  '/:id/reject',
+  protect,
+  restrictTo(...REVIEWERS),
+  validate(articleSchemas.transitionArticle),
+  articleController.transitionArticle('reject')
+);
+router.post(
+  '/:id/publish',
+  protect,
+  restrictTo(...PUBLISHERS),
+  validate(articleSchemas.publishArticle),
+  articleController.transitionArticle('publish')
+);
+router.post(
+  '/:id/archive',
+  protect,
+  restrictTo(...PUBLISHERS),
+  validate(articleSchemas.transitionArticle),
+  articleController.transitionArticle('archive')
+);
+router.post(
+  '/:id/unarchive',
+  protect,
+  restrictTo(...PUBLISHERS),
+  validate(articleSchemas.transitionArticle),
+  articleController.transitionArticle('unarchive')
+);
+
+// Revision history
+router.get(
+  '/:id/revisions',
+  protect,
+  restrictTo(...STAFF),
+  validate(articleSchemas.getRevisions),
+  articleController.getRevisions
+);
+router.get(
+  '/:id/revisions/:version',
+  protect,
+  restrictTo(...STAFF),
+  validate(articleSchemas.getRevision),
+  articleController.getRevision
+);
+router.get(
+  '/:id/revisions/:version/diff',
+  protect,
+  restrictTo(...STAFF),
+  validate(articleSchemas.diffRevision),
+  articleController.diffRevision
+);
+router.post(
+  '/:id/revisions/:version/restore',
+  protect,
+  restrictTo(...PUBLISHERS),
+  validate(articleSchemas.restoreRevision),
+  articleController.restoreRevision
+);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const authSchemas = require('../validation/authSchemas');
+const { protect, identify, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router.post('/register', identify, validate(authSchemas.register), authController.register);
+router.post('/login', validate(authSchemas.login), authController.login);
+router.get('/logout', validate(authSchemas.logout), authController.logout);
+router.post('/logout', validate(authSchemas.logout), authController.logout);
+
+router.post('/forgot-password', validate(authSchemas.forgotPassword), authController.forgotPassword);
+router.patch(
+  '/reset-password/:token',
+  validate(authSchemas.resetPassword),
+  authController.resetPassword
+);
+router.get('/verify-email/:token', validate(authSchemas.verifyEmail), authController.verifyEmail);
+router.post(
+  '/users/:id/resend-verification',
+  protect,
+  restrictTo('admin'),
+  validate(authSchemas.resendVerification),
+  authController.resendVerification
+);
+
+router.get('/me', protect, validate(authSchemas.getMe), authController.getMe);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const chemicalController = require('../controllers/chemicalController');
+const chemicalSchemas = require('../validation/chemicalSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router
+  .route('/')
+  .get(validate(chemicalSchemas.listChemicals), chemicalController.getAllChemicals)
+  .post(
+    protect,
+    restrictTo('admin', 'health-expert'),
+    validate(chemicalSchemas.createChemical),
+    chemicalController.createChemical
+  );
+
+router
+  .route('/:id')
+  .get(validate(chemicalSchemas.getChemical), chemicalController.getChemical)
+  .patch(
+    protect,
+    restrictTo('admin', 'health-expert'),
+    validate(chemicalSchemas.updateChemical),
+    chemicalController.updateChemical
+  )
+  .delete(
+    protect,
+    restrictTo('admin'),
+    validate(chemicalSchemas.deleteChemical),
+    chemicalController.deleteChemical
+  );
+
+module.exports = router;
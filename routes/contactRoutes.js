@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const Contact = require('../models/Contact');
+const contactController = require('../controllers/contactController');
+const contactSchemas = require('../validation/contactSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
 
-router.post('/', async (req, res) => {
-  try {
-    const { name, email, subject, message } = req.body;
+router.get('/form-token', validate(contactSchemas.getFormToken), contactController.getFormToken);
 
-    const newMessage = new Contact({ name, email, subject, message });
-    await newMessage.save();
+router
+  .route('/')
+  .post(validate(contactSchemas.createMessage), contactController.createMessage)
+  .get(
+    protect,
+    restrictTo('admin', 'health-expert'),
+    validate(contactSchemas.listMessages),
+    contactController.getAllMessages
+  );
 
-    res.status(201).json({ message: 'Thank you for your message! We will get back to you soon.' });
-  } catch (error) {
-    console.error('Error saving contact:', error);
-    res.status(500).json({ message: 'Something went wrong. Please try again later.' });
-  }
-});
+router.use(protect, restrictTo('admin', 'health-expert'));
+
+router.get('/:id', validate(contactSchemas.getMessage), contactController.getMessage);
+router.patch('/:id/assign', validate(contactSchemas.assignMessage), contactController.assignMessage);
+router.patch('/:id/status', validate(contactSchemas.updateStatus), contactController.updateStatus);
+router.patch('/:id/folder', validate(contactSchemas.moveMessage), contactController.moveMessage);
+router.post('/:id/replies', validate(contactSchemas.addReply), contactController.addReply);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const docsController = require('../controllers/docsController');
+
+router.get('/', docsController.getViewer);
+router.get('/openapi.json', docsController.getSpec);
+
+module.exports = router;
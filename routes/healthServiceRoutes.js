@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const healthServiceController = require('../controllers/healthServiceController');
+const healthServiceSchemas = require('../validation/healthServiceSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router
+  .route('/')
+  .get(validate(healthServiceSchemas.listServices), healthServiceController.getAllServices)
+  .post(
+    protect,
+    restrictTo('admin', 'editor'),
+    validate(healthServiceSchemas.createService),
+    healthServiceController.createService
+  );
+
+router
+  .route('/:id')
+  .get(validate(healthServiceSchemas.getService), healthServiceController.getService)
+  .patch(
+    protect,
+    restrictTo('admin', 'editor'),
+    validate(healthServiceSchemas.updateService),
+    healthServiceController.updateService
+  )
+  .delete(
+    protect,
+    restrictTo('admin'),
+    validate(healthServiceSchemas.deleteService),
+    healthServiceController.deleteService
+  );
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Every API router and where it is mounted. app.js mounts them in this
+// order; the OpenAPI document (/api/docs) is generated from the same list,
+// with one tag per router.
+module.exports = [
+  { path: '/api/articles', router: require('./articleRoutes'), tag: 'Articles' },
+  { path: '/api/videos', router: require('./videoRoutes'), tag: 'Videos' },
+  { path: '/api/tips', router: require('./tipRoutes'), tag: 'Tips' },
+  { path: '/api/contact', router: require('./contactRoutes'), tag: 'Contact' },
+  { path: '/api/auth', router: require('./authRoutes'), tag: 'Auth' },
+  { path: '/api/translations', router: require('./translationRoutes'), tag: 'Translations' },
+  { path: '/api/search', router: require('./searchRoutes'), tag: 'Search' },
+  { path: '/api/services', router: require('./healthServiceRoutes'), tag: 'Health services' },
+  { path: '/api/media', router: require('./mediaRoutes'), tag: 'Media' },
+  { path: '/api/offline', router: require('./offlineRoutes'), tag: 'Offline' },
+  { path: '/api/sms', router: require('./smsRoutes'), tag: 'SMS' },
+  { path: '/api/subscribers', router: require('./subscriberRoutes'), tag: 'Subscribers' },
+  { path: '/api/testimonials', router: require('./testimonialRoutes'), tag: 'Testimonials' },
+  { path: '/api/chemicals', router: require('./chemicalRoutes'), tag: 'Chemicals' },
+  { path: '/api/triage', router: require('./triageRoutes'), tag: 'Triage' },
+  { path: '/api/track', router: require('./trackRoutes'), tag: 'Tracking' },
+  { path: '/api/admin', router: require('./adminRoutes'), tag: 'Admin' }
+];
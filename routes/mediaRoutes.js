@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+const mediaSchemas = require('../validation/mediaSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { singleImage } = require('../middleware/upload');
+
+router.post(
+  '/',
+  protect,
+  restrictTo('admin', 'editor', 'health-expert'),
+  singleImage('file'),
+  validate(mediaSchemas.uploadMedia),
+  mediaController.uploadMedia
+);
+
+router
+  .route('/:id')
+  .get(validate(mediaSchemas.getMedia), mediaController.getMedia)
+  .patch(
+    protect,
+    restrictTo('admin', 'editor', 'health-expert'),
+    validate(mediaSchemas.updateMedia),
+    mediaController.updateMedia
+  )
+  .delete(
+    protect,
+    restrictTo('admin', 'editor'),
+    validate(mediaSchemas.deleteMedia),
+    mediaController.deleteMedia
+  );
+
+module.exports = router;
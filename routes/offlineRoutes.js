@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const offlineController = require('../controllers/offlineController');
+const offlineSchemas = require('../validation/offlineSchemas');
+const { validate } = require('../middleware/validation');
+
+router.get('/bundle', validate(offlineSchemas.getBundle), offlineController.getBundle);
+router.get('/delta', validate(offlineSchemas.getDelta), offlineController.getDelta);
+
+module.exports = router;
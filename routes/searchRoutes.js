@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const searchSchemas = require('../validation/searchSchemas');
+const { validate } = require('../middleware/validation');
+
+router.get('/', validate(searchSchemas.search), searchController.search);
+
+module.exports = router;
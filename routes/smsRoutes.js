@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const smsController = require('../controllers/smsController');
+const smsSchemas = require('../validation/smsSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+// SMS gateways post form-encoded bodies
+const gatewayBody = express.urlencoded({ extended: false });
+
+router.post(
+  '/inbound',
+  smsController.verifyWebhook,
+  gatewayBody,
+  validate(smsSchemas.receiveSms),
+  smsController.receiveSms
+);
+
+router.post(
+  '/ussd',
+  smsController.verifyWebhook,
+  gatewayBody,
+  validate(smsSchemas.receiveUssd),
+  smsController.receiveUssd
+);
+
+router.post(
+  '/broadcast',
+  protect,
+  restrictTo('admin'),
+  validate(smsSchemas.broadcastTips),
+  smsController.broadcastTips
+);
+
+module.exports = router;
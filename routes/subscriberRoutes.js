@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const subscriberController = require('../controllers/subscriberController');
+const subscriberSchemas = require('../validation/subscriberSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router
+  .route('/')
+  .get(
+    protect,
+    restrictTo('admin'),
+    validate(subscriberSchemas.listSubscribers),
+    subscriberController.getAllSubscribers
+  )
+  .post(validate(subscriberSchemas.join), subscriberController.join);
+
+router.get('/confirm/:token', validate(subscriberSchemas.confirm), subscriberController.confirm);
+
+router
+  .route('/preferences/:token')
+  .get(validate(subscriberSchemas.getPreferences), subscriberController.getPreferences)
+  .patch(validate(subscriberSchemas.updatePreferences), subscriberController.updatePreferences);
+
+router.post(
+  '/preferences/:token/unsubscribe',
+  validate(subscriberSchemas.unsubscribe),
+  subscriberController.unsubscribe
+);
+
+router.get(
+  '/segments',
+  protect,
+  restrictTo('admin'),
+  validate(subscriberSchemas.getSegments),
+  subscriberController.getSegments
+);
+
+router.get(
+  '/export',
+  protect,
+  restrictTo('admin'),
+  validate(subscriberSchemas.exportSubscribers),
+  subscriberController.exportSubscribers
+);
+
+router.delete(
+  '/:id',
+  protect,
+  restrictTo('admin'),
+  validate(subscriberSchemas.deleteSubscriber),
+  subscriberController.deleteSubscriber
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const testimonialController = require('../controllers/testimonialController');
+const testimonialSchemas = require('../validation/testimonialSchemas');
+const { protect, identify, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { singleImage } = require('../middleware/upload');
+
+router
+  .route('/')
+  .get(identify, validate(testimonialSchemas.listTestimonials), testimonialController.getAllTestimonials)
+  .post(
+    singleImage('photo', { optional: true }),
+    validate(testimonialSchemas.submitTestimonial),
+    testimonialController.submitTestimonial
+  );
+
+router.delete(
+  '/takedown/:token',
+  validate(testimonialSchemas.withdrawTestimonial),
+  testimonialController.withdrawTestimonial
+);
+
+router
+  .route('/:id')
+  .get(identify, validate(testimonialSchemas.getTestimonial), testimonialController.getTestimonial)
+  .patch(
+    protect,
+    restrictTo('admin'),
+    validate(testimonialSchemas.updateTestimonial),
+    testimonialController.updateTestimonial
+  )
+  .delete(
+    protect,
+    restrictTo('admin'),
+    validate(testimonialSchemas.deleteTestimonial),
+    testimonialController.deleteTestimonial
+  );
+
+router.post(
+  '/:id/approve',
+  protect,
+  restrictTo('admin'),
+  validate(testimonialSchemas.moderateTestimonial),
+  testimonialController.moderateTestimonial('approve')
+);
+
+router.post(
+  '/:id/reject',
+  protect,
+  restrictTo('admin'),
+  validate(testimonialSchemas.moderateTestimonial),
+  testimonialController.moderateTestimonial('reject')
+);
+
+router.post(
+  '/:id/takedown',
+  protect,
+  restrictTo('admin'),
+  validate(testimonialSchemas.moderateTestimonial),
+  testimonialController.takeDownTestimonial
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const tipController = require('../controllers/tipController');
+const tipSchemas = require('../validation/tipSchemas');
+const { protect, identify, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router.get('/today', validate(tipSchemas.getTipOfTheDay), tipController.getTipOfTheDay);
+router.get(
+  '/upcoming',
+  protect,
+  restrictTo('admin', 'editor', 'health-expert'),
+  validate(tipSchemas.getUpcomingTips),
+  tipController.getUpcomingTips
+);
+
+router
+  .route('/')
+  .get(identify, validate(tipSchemas.listTips), tipController.getAllTips)
+  .post(
+    protect,
+    restrictTo('admin', 'editor', 'health-expert'),
+    validate(tipSchemas.createTip),
+    tipController.createTip
+  );
+
+router
+  .route('/:id')
+  .get(identify, validate(tipSchemas.getTip), tipController.getTip)
+  .patch(
+    protect,
+    restrictTo('admin', 'editor', 'health-expert'),
+    validate(tipSchemas.updateTip),
+    tipController.updateTip
+  )
+  .delete(
+    protect,
+    restrictTo('admin', 'editor'),
+    validate(tipSchemas.deleteTip),
+    tipController.deleteTip
+  );
+
+router.post(
+  '/:id/schedule',
+  protect,
+  restrictTo('admin', 'editor'),
+  validate(tipSchemas.scheduleTip),
+  tipController.scheduleTip
+);
+router.delete(
+  '/:id/schedule/:date',
+  protect,
+  restrictTo('admin', 'editor'),
+  validate(tipSchemas.unscheduleTip),
+  tipController.unscheduleTip
+);
+
+module.exports = router;
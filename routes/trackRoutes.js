@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const statsController = require('../controllers/statsController');
+const statsSchemas = require('../validation/statsSchemas');
+const { validate } = require('../middleware/validation');
+
+router.post('/', validate(statsSchemas.track), statsController.track);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const translationController = require('../controllers/translationController');
+const translationSchemas = require('../validation/translationSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router.use(protect, restrictTo('admin', 'editor', 'health-expert'));
+
+router.get(
+  '/missing',
+  validate(translationSchemas.getMissingTranslations),
+  translationController.getMissingTranslations
+);
+router.post(
+  '/link',
+  validate(translationSchemas.linkTranslation),
+  translationController.linkTranslation
+);
+router.post(
+  '/unlink',
+  validate(translationSchemas.unlinkTranslation),
+  translationController.unlinkTranslation
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const triageController = require('../controllers/triageController');
+const triageSchemas = require('../validation/triageSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const EXPERTS = ['admin', 'health-expert'];
+
+router.post('/', validate(triageSchemas.assess), triageController.assess);
+
+router.get(
+  '/questionnaire',
+  validate(triageSchemas.getQuestionnaire),
+  triageController.getQuestionnaire
+);
+
+// Everything below is for the health experts who maintain the rules
+router.use(protect, restrictTo(...EXPERTS));
+
+router
+  .route('/rules')
+  .get(validate(triageSchemas.listRuleSets), triageController.getRuleSets)
+  .post(validate(triageSchemas.createRuleSet), triageController.createRuleSet);
+
+router
+  .route('/rules/:version')
+  .get(validate(triageSchemas.getRuleSet), triageController.getRuleSet)
+  .patch(validate(triageSchemas.updateRuleSet), triageController.updateRuleSet)
+  .delete(validate(triageSchemas.deleteRuleSet), triageController.deleteRuleSet);
+
+router.post(
+  '/rules/:version/test',
+  validate(triageSchemas.testRuleSet),
+  triageController.testRuleSet
+);
+router.post(
+  '/rules/:version/publish',
+  validate(triageSchemas.publishRuleSet),
+  triageController.publishRuleSet
+);
+
+router.get('/decisions', validate(triageSchemas.listDecisions), triageController.getAllDecisions);
+router.get('/decisions/:id', validate(triageSchemas.getDecision), triageController.getDecision);
+router.patch(
+  '/decisions/:id/review',
+  validate(triageSchemas.reviewDecision),
+  triageController.reviewDecision
+);
+
+module.exports = router;
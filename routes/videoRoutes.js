@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const videoController = require('../controllers/videoController');
+const videoSchemas = require('../validation/videoSchemas');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+router
+  .route('/')
+  .get(validate(videoSchemas.listVideos), videoController.getAllVideos)
+  .post(
+    protect,
+    restrictTo('admin', 'editor', 'health-expert'),
+    validate(videoSchemas.createVideo),
+    videoController.createVideo
+  );
+
+router
+  .route('/:id')
+  .get(validate(videoSchemas.getVideo), videoController.getVideo)
+  .patch(
+    protect,
+    restrictTo('admin', 'editor', 'health-expert'),
+    validate(videoSchemas.updateVideo),
+    videoController.updateVideo
+  )
+  .delete(
+    protect,
+    restrictTo('admin', 'editor'),
+    validate(videoSchemas.deleteVideo),
+    videoController.deleteVideo
+  );
+
+router.get('/:id/rendition', validate(videoSchemas.getRendition), videoController.getRendition);
+
+router
+  .route('/:id/captions/:language')
+  .get(validate(videoSchemas.getCaptions), videoController.getCaptions)
+  .put(
+    protect,
+    restrictTo('admin', 'editor', 'health-expert'),
+    express.text({ type: 'text/vtt', limit: '1mb' }),
+    validate(videoSchemas.upsertCaptions),
+    videoController.upsertCaptions
+  );
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// scripts/apiDocs.js
+// Checks and prints the OpenAPI document generated from the routers.
+//
+//   npm run docs:check              fails when a route can't be documented
+//                                   or the README endpoint table is stale
+//   npm run docs:readme             rewrites the README endpoint table
+//   node scripts/apiDocs.js spec    prints the OpenAPI document
+const fs = require('fs');
+const path = require('path');
+const mounts = require('../routes');
+const { buildSpec, checkRoutes, listRoutes, describeAccess } = require('../utils/openapi');
+
+const README = path.join(__dirname, '..', 'README.md');
+const START = '<!-- api-endpoints:start -->';
+const END = '<!-- api-endpoints:end -->';
+
+const endpointTable = () => {
+  const spec = buildSpec(mounts);
+  const rows = listRoutes(mounts).map((route) => {
+    const op = spec.paths[route.path.replace(/:(\w+)/g, '{$1}')][route.method];
+    const access = describeAccess(route.access);
+    return `| ${route.method.toUpperCase()} | \`${route.path}\` | ${access} | ${op.summary} |`;
+  });
+
+  return [
+    START,
+    '| Method | Endpoint | Access | Summary |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    END
+  ].join('\n');
+};
+
+const currentTable = (readme) => {
+  const start = readme.indexOf(START);
+  const end = readme.indexOf(END);
+  return start === -1 || end === -1 ? null : readme.slice(start, end + END.length);
+};
+
+const commands = {
+  check: () => {
+    const problems = checkRoutes(mounts);
+
+    const readme = fs.readFileSync(README, 'utf8');
+    if (currentTable(readme) !== endpointTable()) {
+      problems.push('README.md endpoint table is out of date; run npm run docs:readme');
+    }
+
+    problems.forEach((problem) => console.error(`✗ ${problem}`));
+    if (problems.length) return 1;
+    console.log(`✓ ${listRoutes(mounts).length} routes match the OpenAPI document`);
+    return 0;
+  },
+
+  readme: () => {
+    const readme = fs.readFileSync(README, 'utf8');
+    const table = currentTable(readme);
+    if (!table) {
+      console.error(`README.md has no ${START} ... ${END} section`);
+      return 1;
+    }
+    fs.writeFileSync(README, readme.replace(table, endpointTable()));
+    console.log('README.md endpoint table updated');
+    return 0;
+  },
+
+  spec: () => {
+    process.stdout.write(`${JSON.stringify(buildSpec(mounts), null, 2)}\n`);
+    return 0;
+  }
+};
+
+const command = commands[process.argv[2]];
+if (!command) {
+  console.error(`Usage: apiDocs <${Object.keys(commands).join('|')}>`);
+  process.exitCode = 2;
+} else {
+  process.exitCode = command();
+}
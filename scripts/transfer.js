@@ -0,0 +1,116 @@
+// scripts/transfer.js
+// Bulk import and export from the command line, for files too large to
+// upload or for restoring a backup. Uses MONGO_URI from .env.
+//
+//   npm run transfer -- import articles sheet.csv --dry-run
+//   npm run transfer -- export services --format csv --out services.csv
+//   npm run transfer -- export tips --language Swahili > tips.json
+//
+// Content saved before slugs existed has none, and would be imported again
+// as new documents; give it one, once, with
+//   npm run transfer -- slugs
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+  RESOURCES,
+  parseRows,
+  importRows,
+  exportRows,
+  rowsToCsv,
+  backfillSlugs
+} = require('../utils/transfer');
+
+const USAGE = `Usage:
+  transfer import <${RESOURCES.join('|')}> <file.csv|file.json> [--dry-run]
+  transfer export <${RESOURCES.join('|')}> [--format json|csv] [--language <language>] [--out <file>]
+  transfer slugs`;
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[(i += 1)];
+    else args.positional.push(argv[i]);
+  }
+  return args;
+};
+
+const runImport = async (resource, file, { dryRun }) => {
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+  const rows = parseRows(fs.readFileSync(file, 'utf8'), format);
+  const report = await importRows(resource, rows, { dryRun });
+
+  report.rows
+    .filter((row) => row.errors)
+    .forEach((row) =>
+      row.errors.forEach((error) => console.log(`row ${row.row}: ${error.field}: ${error.message}`))
+    );
+
+  const { summary } = report;
+  console.log(
+    `${dryRun ? 'Dry run: ' : ''}${summary.rows} rows, ${summary.created} created, ` +
+      `${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`
+  );
+  return summary.failed ? 1 : 0;
+};
+
+const runExport = async (resource, { format = 'json', language, out }) => {
+  const rows = await exportRows(resource, { language });
+  const text = format === 'csv' ? rowsToCsv(resource, rows) : `${JSON.stringify(rows, null, 2)}\n`;
+
+  if (out) {
+    fs.writeFileSync(out, text);
+    console.error(`Exported ${rows.length} ${resource} to ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+  return 0;
+};
+
+const runSlugs = async () => {
+  const given = await backfillSlugs();
+  Object.entries(given).forEach(([resource, count]) =>
+    console.log(`${resource}: ${count} slugs added`)
+  );
+  return 0;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, resource, file] = args.positional;
+
+  const valid =
+    command === 'slugs' ||
+    (RESOURCES.includes(resource) &&
+      ((command === 'import' && file) ||
+        (command === 'export' && ['json', 'csv'].includes(args.format || 'json'))));
+  if (!valid) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    if (command === 'slugs') return await runSlugs();
+    return command === 'import'
+      ? await runImport(resource, file, args)
+      : await runExport(resource, args);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    // AppErrors from an invalid import list the rows in `details`
+    (err.details || []).forEach((d) =>
+      console.error(`${d.row ? `row ${d.row}: ` : ''}${d.field}: ${d.message}`)
+    );
+    console.error(err.message);
+    process.exitCode = 1;
+  });
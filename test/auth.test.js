@@ -0,0 +1,171 @@
+// test/auth.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, fakeQuery, signIn } = require('./helpers');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const email = require('../utils/email');
+
+const app = createApp([{ path: '/api/auth', router: require('../routes/authRoutes') }]);
+
+let mail;
+beforeEach(() => {
+  mail = email.createMemoryTransport();
+  email.setTransport(mail);
+});
+afterEach(() => mock.restoreAll());
+
+// The token in the link of the last email sent
+const linkToken = (path) => {
+  const match = mail.sent[mail.sent.length - 1].text.match(new RegExp(`${path}/([0-9a-f]{64})`));
+  return match && match[1];
+};
+
+// Serves `user` to a findOne on the hashed token field, the way the
+// database would, and records saves instead of writing them
+const stubUser = (user, tokenField) => {
+  const saves = [];
+  mock.method(User, 'findOne', (filter) => {
+    if (filter.email) return fakeQuery(filter.email === user.email ? user : null);
+    return fakeQuery(filter[tokenField] === user[tokenField] ? user : null);
+  });
+  mock.method(User.prototype, 'save', async function () {
+    saves.push(this.toObject());
+    return this;
+  });
+  return saves;
+};
+
+const member = () =>
+  new User({ name: 'Amina', email: 'amina@example.com', role: 'editor', password: 'old-password' });
+
+test('forgot password emails a link whose token resets the password', async () => {
+  const user = member();
+  const saves = stubUser(user, 'passwordResetToken');
+
+  const forgot = await request(app, 'POST', '/api/auth/forgot-password', {
+    body: { email: 'amina@example.com' }
+  });
+  assert.strictEqual(forgot.status, 200);
+  assert.strictEqual(mail.sent.length, 1);
+  assert.strictEqual(mail.sent[0].to, 'amina@example.com');
+
+  const token = linkToken('/reset-password');
+  assert.ok(token);
+  assert.strictEqual(user.passwordResetToken, User.hashToken(token));
+
+  const reset = await request(app, 'PATCH', `/api/auth/reset-password/${token}`, {
+    body: { password: 'new-password' }
+  });
+  assert.strictEqual(reset.status, 200);
+  assert.ok(reset.body.token);
+  const saved = saves[saves.length - 1];
+  assert.strictEqual(saved.password, 'new-password');
+  assert.strictEqual(saved.passwordResetToken, undefined);
+  assert.strictEqual(saved.emailVerified, true);
+});
+
+test('forgot password answers the same for an unknown address and sends nothing', async () => {
+  stubUser(member(), 'passwordResetToken');
+
+  const res = await request(app, 'POST', '/api/auth/forgot-password', {
+    body: { email: 'nobody@example.com' }
+  });
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body.message, /If that email is registered/);
+  assert.strictEqual(mail.sent.length, 0);
+});
+
+test('a reset token that was never issued is refused', async () => {
+  stubUser(member(), 'passwordResetToken');
+
+  const res = await request(app, 'PATCH', `/api/auth/reset-password/${'a'.repeat(64)}`, {
+    body: { password: 'new-password' }
+  });
+  assert.strictEqual(res.status, 400);
+});
+
+test('a failed reset email clears the token again', async () => {
+  const user = member();
+  stubUser(user, 'passwordResetToken');
+  mail.send = async () => {
+    throw new Error('SMTP down');
+  };
+  mock.method(console, 'error', () => {});
+
+  const res = await request(app, 'POST', '/api/auth/forgot-password', {
+    body: { email: 'amina@example.com' }
+  });
+  assert.strictEqual(res.status, 500);
+  assert.strictEqual(user.passwordResetToken, undefined);
+});
+
+test('the verification email confirms the address once', async () => {
+  const { user: admin, headers } = signIn(mock, 'admin');
+  const user = member();
+  user.emailVerified = false;
+  mock.method(User, 'findById', (id) => fakeQuery(String(id) === String(admin._id) ? admin : user));
+  stubUser(user, 'emailVerificationToken');
+
+  const resend = await request(app, 'POST', `/api/auth/users/${user._id}/resend-verification`, {
+    headers
+  });
+  assert.strictEqual(resend.status, 200);
+  assert.strictEqual(user.emailVerified, false);
+
+  const token = linkToken('/verify-email');
+  const verify = await request(app, 'GET', `/api/auth/verify-email/${token}`);
+  assert.strictEqual(verify.status, 200);
+  assert.strictEqual(user.emailVerified, true);
+  assert.strictEqual(user.emailVerificationToken, undefined);
+
+  const again = await request(app, 'GET', `/api/auth/verify-email/${token}`);
+  assert.strictEqual(again.status, 400);
+});
+
+test('of two first registrations at once, only one becomes admin', async () => {
+  let claims = 0;
+  mock.method(User, 'exists', async () => null);
+  mock.method(Counter, 'next', async () => (claims += 1));
+  mock.method(User.prototype, 'save', async function () {
+    return this;
+  });
+
+  const register = (name) =>
+    request(app, 'POST', '/api/auth/register', {
+      body: { name, email: `${name.toLowerCase()}@example.com`, password: 'long-password' }
+    });
+  const results = await Promise.all([register('Amina'), register('Baraka')]);
+
+  assert.deepStrictEqual(results.map((res) => res.status).sort(), [201, 403]);
+  const admin = results.find((res) => res.status === 201);
+  assert.strictEqual(admin.body.data.user.role, 'admin');
+  assert.strictEqual(User.prototype.save.mock.callCount(), 1);
+});
+
+test('the first admin claim is given back when the account cannot be saved', async () => {
+  mock.method(User, 'exists', async () => null);
+  mock.method(Counter, 'next', async () => 1);
+  mock.method(Counter, 'deleteOne', async () => {});
+  mock.method(User.prototype, 'save', async () => {
+    throw new Error('connection lost');
+  });
+  mock.method(console, 'error', () => {});
+
+  const res = await request(app, 'POST', '/api/auth/register', {
+    body: { name: 'Amina', email: 'amina@example.com', password: 'long-password' }
+  });
+  assert.strictEqual(res.status, 500);
+  assert.deepStrictEqual(Counter.deleteOne.mock.calls[0].arguments, [{ _id: 'bootstrapAdmin' }]);
+});
+
+test('once there are users, only an admin can register accounts', async () => {
+  mock.method(User, 'exists', async () => ({ _id: 'someone' }));
+  mock.method(Counter, 'next', async () => 1);
+
+  const res = await request(app, 'POST', '/api/auth/register', {
+    body: { name: 'Amina', email: 'amina@example.com', password: 'long-password' }
+  });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(Counter.next.mock.callCount(), 0);
+});
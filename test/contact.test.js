@@ -0,0 +1,44 @@
+// test/contact.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request } = require('./helpers');
+const Contact = require('../models/Contact');
+const { issueFormToken } = require('../utils/spam');
+
+const app = createApp([{ path: '/api/contact', router: require('../routes/contactRoutes') }]);
+
+afterEach(() => mock.restoreAll());
+
+// Sends a message and returns the Contact that would have been saved
+const submit = async (extra) => {
+  const saved = [];
+  mock.method(Contact, 'countDocuments', async () => 0);
+  mock.method(Contact.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+
+  const res = await request(app, 'POST', '/api/contact', {
+    body: { name: 'Amina', email: 'amina@example.com', message: 'My goat is coughing', ...extra }
+  });
+  assert.strictEqual(res.status, 201);
+  return saved[0];
+};
+
+test('a message without a form token is quarantined', async () => {
+  const contact = await submit({});
+  assert.strictEqual(contact.folder, 'quarantine');
+  assert.deepStrictEqual([...contact.spamReasons], ['no valid form token']);
+});
+
+test('a message sent with a form token issued a while ago reaches the inbox', async () => {
+  const contact = await submit({ formToken: issueFormToken(Date.now() - 30 * 1000) });
+  assert.strictEqual(contact.folder, 'inbox');
+});
+
+test('the form token endpoint issues a token the submission accepts', async () => {
+  const res = await request(app, 'GET', '/api/contact/form-token');
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body.data.formToken, /^\d+\.[\w-]+$/);
+  assert.strictEqual(res.headers['cache-control'], 'no-store');
+});
@@ -0,0 +1,56 @@
+// test/csv.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+const COLUMNS = [
+  { header: 'name', value: 'name' },
+  { header: 'crops', value: (row) => row.crops },
+  { header: 'notes', value: 'notes' }
+];
+
+test('toCsv quotes, joins arrays and guards formulas', () => {
+  const csv = toCsv(
+    [{ name: 'Kigali, "Central"', crops: ['maize', 'beans'], notes: '=HYPERLINK("x")' }],
+    COLUMNS
+  );
+  assert.strictEqual(
+    csv,
+    'name,crops,notes\r\n"Kigali, ""Central""",maize; beans,"\'=HYPERLINK(""x"")"\r\n'
+  );
+});
+
+test('parseCsv reads back what toCsv writes', () => {
+  const rows = [
+    { name: 'Line one\nline two', crops: ['tea'], notes: '-5 degrees' },
+    { name: 'Plain', crops: [], notes: null }
+  ];
+  const parsed = parseCsv(toCsv(rows, COLUMNS));
+
+  assert.deepStrictEqual(
+    parsed.map((row) => ({ ...row })),
+    [
+      { name: 'Line one\nline two', crops: 'tea', notes: '-5 degrees' },
+      { name: 'Plain', crops: '', notes: '' }
+    ]
+  );
+});
+
+test('parseCsv skips a byte order mark and numbers rows by the line they start on', () => {
+  const rows = parseCsv('\uFEFFname,notes\n\n"a","two\nlines"\nb,\n');
+  assert.deepStrictEqual(
+    rows.map((row) => [row.name, row.line]),
+    [
+      ['a', 3],
+      ['b', 5]
+    ]
+  );
+});
+
+test('parseCsv refuses an unclosed quote', () => {
+  assert.throws(() => parseCsv('name\n"open\n'), /Unclosed quote in the row starting on line 2/);
+});
+
+test('parseCsv of an empty file gives no rows', () => {
+  assert.deepStrictEqual(parseCsv('\r\n\r\n'), []);
+});
@@ -0,0 +1,55 @@
+// test/diff.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffLines, diffSnapshots } = require('../utils/diff');
+
+// Rebuilds both sides of a line diff
+const sides = (hunks) => ({
+  before: hunks.filter((h) => h.op !== 'add').flatMap((h) => h.lines),
+  after: hunks.filter((h) => h.op !== 'remove').flatMap((h) => h.lines)
+});
+
+test('diffLines groups unchanged, removed and added lines', () => {
+  assert.deepStrictEqual(diffLines('a\nb\nc\nd', 'a\nc\nd\ne'), [
+    { op: 'equal', lines: ['a'] },
+    { op: 'remove', lines: ['b'] },
+    { op: 'equal', lines: ['c', 'd'] },
+    { op: 'add', lines: ['e'] }
+  ]);
+});
+
+test('diffLines hunks rebuild both texts', () => {
+  const before = 'wear gloves\nwash hands\nstore safely\ncall 912\nrest';
+  const after = 'wear gloves\nwear a mask\nstore safely\nrest\ncall 912';
+  assert.deepStrictEqual(sides(diffLines(before, after)), {
+    before: before.split('\n'),
+    after: after.split('\n')
+  });
+});
+
+test('diffLines gives up beyond maxEdits', () => {
+  assert.strictEqual(diffLines('a\nb\nc', 'x\ny\nz', 3), null);
+  assert.ok(diffLines('a\nb\nc', 'x\ny\nz', 6));
+});
+
+test('diffSnapshots reports only the fields that changed', () => {
+  const changes = diffSnapshots(
+    { title: 'Gloves', tags: ['a'], readTime: 3 },
+    { title: 'Gloves', tags: ['a', 'b'], author: 'Amina' }
+  );
+  assert.deepStrictEqual(changes, [
+    { field: 'tags', before: ['a'], after: ['a', 'b'] },
+    { field: 'readTime', before: 3, after: null },
+    { field: 'author', before: null, after: 'Amina' }
+  ]);
+});
+
+test('diffSnapshots line-diffs multi-line text unless told not to', () => {
+  const before = { content: 'one\ntwo' };
+  const after = { content: 'one\nthree' };
+
+  assert.ok(diffSnapshots(before, after)[0].lines);
+  assert.deepStrictEqual(diffSnapshots(before, after, { lineDiff: false, maxLength: 4 }), [
+    { field: 'content', before: 'one\n…', after: 'one\n…', truncated: true }
+  ]);
+});
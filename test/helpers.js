@@ -0,0 +1,103 @@
+// test/helpers.js
+// Shared by the tests. No database is needed: each test stubs the model
+// methods it relies on (see node:test's mock.method).
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const cookieParser = require('cookie-parser');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+process.env.JWT_COOKIE_EXPIRES_IN = process.env.JWT_COOKIE_EXPIRES_IN || '1';
+// Mail goes to utils/email's memory transport
+process.env.MAIL_TRANSPORT = 'memory';
+
+// Queries that weren't stubbed fail at once instead of waiting for a
+// connection
+mongoose.set('bufferCommands', false);
+
+// An app with the given routers mounted the way app.js mounts them
+exports.createApp = (mounts) => {
+  const { notFound, errorHandler } = require('../middleware/error');
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api', require('../utils/requestContext').bind);
+  app.use('/api', require('../middleware/language'));
+  mounts.forEach(({ path, router }) => app.use(path, router));
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+// Sends one request to `app` and resolves to { status, headers, body }; a
+// JSON response body is parsed
+exports.request = (app, method, path, { body, headers = {} } = {}) =>
+  new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const json = body !== undefined && typeof body !== 'string';
+      const payload = json ? JSON.stringify(body) : body;
+
+      const req = http.request(
+        {
+          port: server.address().port,
+          method,
+          path,
+          headers: { ...(json ? { 'content-type': 'application/json' } : {}), ...headers }
+        },
+        (res) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            text += chunk;
+          });
+          res.on('end', () => {
+            server.close();
+            const isJson = /json/.test(res.headers['content-type'] || '');
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: isJson ? JSON.parse(text) : text
+            });
+          });
+        }
+      );
+      req.on('error', (err) => {
+        server.close();
+        reject(err);
+      });
+      if (payload !== undefined) req.write(payload);
+      req.end();
+    });
+  });
+
+// A stand-in for a Mongoose query: every chained call returns the query,
+// and awaiting it (or .exec()) gives `result`
+exports.fakeQuery = (result) => {
+  const query = new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (prop === 'then') {
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        if (prop === 'exec') return () => Promise.resolve(result);
+        return () => query;
+      }
+    }
+  );
+  return query;
+};
+
+// Authorization headers for a user with `role`. User.findById must be
+// restored by the test (mock.restoreAll).
+exports.signIn = (mock, role = 'admin', fields = {}) => {
+  const jwt = require('jsonwebtoken');
+  const User = require('../models/User');
+  const user = new User({ name: 'Test User', email: 'test@example.com', role, ...fields });
+  user.active = true;
+  mock.method(User, 'findById', () => exports.fakeQuery(user));
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+  return { user, headers: { authorization: `Bearer ${token}` } };
+};
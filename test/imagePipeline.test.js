@@ -0,0 +1,29 @@
+// test/imagePipeline.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { processImage, sniffImageType } = require('../utils/imagePipeline');
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#3a7d44' } })
+    .png()
+    .toBuffer();
+
+test('an image is resized into WebP and JPEG variants with a placeholder', async () => {
+  const buffer = await png(400, 200);
+  assert.strictEqual(sniffImageType(buffer), 'image/png');
+
+  const result = await processImage(buffer);
+  assert.strictEqual(result.width, 400);
+  assert.deepStrictEqual(
+    result.variants.map((v) => `${v.name}.${v.format}`),
+    ['small.webp', 'small.jpeg']
+  );
+  assert.match(result.placeholder, /^data:image\/jpeg;base64,/);
+});
+
+test('an image over the pixel limit is refused before it is decoded', async () => {
+  await assert.rejects(processImage(await png(400, 200), { maxPixels: 50000 }), {
+    statusCode: 413
+  });
+});
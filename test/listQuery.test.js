@@ -0,0 +1,157 @@
+// test/listQuery.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseFilter, parseSort, listDocuments } = require('../utils/listQuery');
+
+const FILTERS = {
+  category: 'string',
+  readTime: 'number',
+  featured: 'boolean',
+  createdAt: 'date',
+  author: 'objectId',
+  crop: { type: 'string', path: 'crops', lowercase: true }
+};
+
+test('parseFilter coerces values and maps paths', () => {
+  const id = new mongoose.Types.ObjectId();
+  const filter = parseFilter(
+    { category: 'Hygiene', featured: 'true', author: String(id), crop: 'Maize', page: '2' },
+    FILTERS
+  );
+  assert.deepStrictEqual(filter, {
+    category: 'Hygiene',
+    featured: true,
+    author: id,
+    crops: 'maize'
+  });
+});
+
+test('parseFilter combines range operators and splits lists', () => {
+  const filter = parseFilter(
+    { 'readTime[gte]': '2', 'readTime[lte]': '5', 'category[in]': 'Hygiene,Nutrition' },
+    FILTERS
+  );
+  assert.deepStrictEqual(filter, {
+    readTime: { $gte: 2, $lte: 5 },
+    category: { $in: ['Hygiene', 'Nutrition'] }
+  });
+});
+
+test('parseFilter refuses unknown filters, operators and bad values', () => {
+  const refuses = (query, message) =>
+    assert.throws(() => parseFilter(query, FILTERS), { statusCode: 400, message });
+
+  refuses({ password: 'x' }, 'Unknown filter: password');
+  refuses({ 'readTime[where]': '1' }, 'Unknown filter: readTime[where]');
+  refuses({ readTime: 'soon' }, 'readTime must be a number');
+  refuses({ featured: 'yes' }, 'featured must be true or false');
+  refuses({ createdAt: 'yesterday' }, 'createdAt must be a date');
+  refuses({ author: '42' }, 'author must be a valid ID');
+});
+
+test('parseSort reads directions and ends with _id', () => {
+  assert.deepStrictEqual(parseSort('-readTime,title', ['readTime', 'title'], '-createdAt'), {
+    readTime: -1,
+    title: 1,
+    _id: -1
+  });
+  assert.deepStrictEqual(parseSort(undefined, ['createdAt'], '-createdAt'), {
+    createdAt: -1,
+    _id: -1
+  });
+  assert.throws(() => parseSort('password', ['title'], 'title'), {
+    statusCode: 400,
+    message: 'Cannot sort by password'
+  });
+});
+
+// A stand-in model holding `docs` that runs the $match, $sort and $facet
+// stages listDocuments builds, for the simple filters used below
+const memoryModel = (docs) => ({
+  aggregate: async (stages) => {
+    const compare = (value, condition) =>
+      Object.entries(condition).every(([op, bound]) =>
+        op === '$gt' ? value > bound : op === '$lt' ? value < bound : value === bound
+      );
+    const matches = (doc, filter) =>
+      Object.entries(filter).every(([field, condition]) => {
+        if (field === '$or') return condition.some((f) => matches(doc, f));
+        const value = field === '_id' ? String(doc._id) : doc[field];
+        if (condition instanceof mongoose.Types.ObjectId) return value === String(condition);
+        if (condition && typeof condition === 'object') {
+          const bounds = Object.fromEntries(
+            Object.entries(condition).map(([op, bound]) => [
+              op,
+              bound instanceof mongoose.Types.ObjectId ? String(bound) : bound
+            ])
+          );
+          return compare(value, bounds);
+        }
+        return value === condition;
+      });
+
+    const sort = stages.find((stage) => stage.$sort).$sort;
+    const sorted = docs
+      .filter((doc) => matches(doc, stages[0].$match))
+      .sort((a, b) => {
+        for (const [field, direction] of Object.entries(sort)) {
+          const x = field === '_id' ? String(a._id) : a[field];
+          const y = field === '_id' ? String(b._id) : b[field];
+          if (x !== y) return (x < y ? -1 : 1) * direction;
+        }
+        return 0;
+      });
+
+    const [pageMatch, skip, limit] = stages.find((stage) => stage.$facet).$facet.docs;
+    const page = sorted
+      .filter((doc) => matches(doc, pageMatch.$match))
+      .slice(skip.$skip, skip.$skip + limit.$limit);
+    return [{ total: [{ count: sorted.length }], docs: page }];
+  }
+});
+
+const fakeRequest = (query) => ({ query, baseUrl: '/api/articles', path: '/' });
+
+test('cursors walk every document once, ties included', async () => {
+  const docs = [3, 1, 2, 2, 5, 2, 4].map((readTime) => ({
+    _id: new mongoose.Types.ObjectId(),
+    readTime
+  }));
+  const Model = memoryModel(docs);
+  const options = { sortable: ['readTime'], defaultSort: 'readTime' };
+
+  const seen = [];
+  let cursor = '';
+  do {
+    const { docs: page, meta } = await listDocuments(
+      Model,
+      fakeRequest({ cursor, limit: '2' }),
+      options
+    );
+    seen.push(...page);
+    cursor = meta.nextCursor;
+  } while (cursor);
+
+  assert.deepStrictEqual(
+    seen.map((doc) => doc.readTime),
+    [1, 2, 2, 2, 3, 4, 5]
+  );
+  assert.strictEqual(new Set(seen.map((doc) => String(doc._id))).size, docs.length);
+});
+
+test('a tampered cursor is refused', async () => {
+  await assert.rejects(
+    listDocuments(memoryModel([]), fakeRequest({ cursor: 'not-a-cursor' }), {}),
+    { statusCode: 400, message: 'Invalid cursor' }
+  );
+});
+
+test('cursor pagination refuses more than one sort field', async () => {
+  await assert.rejects(
+    listDocuments(memoryModel([]), fakeRequest({ cursor: '', sort: 'readTime,title' }), {
+      sortable: ['readTime', 'title']
+    }),
+    { statusCode: 400 }
+  );
+});
@@ -0,0 +1,35 @@
+// test/media.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, signIn } = require('./helpers');
+const Media = require('../models/Media');
+const Article = require('../models/Article');
+const Video = require('../models/Video');
+const Testimonial = require('../models/Testimonial');
+
+const app = createApp([{ path: '/api/media', router: require('../routes/mediaRoutes') }]);
+
+afterEach(() => mock.restoreAll());
+
+test('deleting media unlinks it from articles, videos and testimonials', async () => {
+  const { headers } = signIn(mock, 'editor');
+  const media = new Media({ originalName: 'maize.jpg' });
+  mock.method(media, 'removeFiles', async () => {});
+  mock.method(Media, 'findByIdAndDelete', async () => media);
+
+  const updates = [];
+  [Article, Video, Testimonial].forEach((Model) => {
+    mock.method(Model, 'updateMany', async (filter, update) => {
+      updates.push([Model.modelName, filter, update]);
+    });
+  });
+
+  const res = await request(app, 'DELETE', `/api/media/${media.id}`, { headers });
+  assert.strictEqual(res.status, 204);
+  assert.deepStrictEqual(updates, [
+    ['Article', { image: media._id }, { $unset: { image: 1 } }],
+    ['Video', { thumbnail: media._id }, { $unset: { thumbnail: 1 } }],
+    ['Testimonial', { photo: media._id }, { $unset: { photo: 1 } }]
+  ]);
+  assert.strictEqual(media.removeFiles.mock.callCount(), 1);
+});
@@ -0,0 +1,98 @@
+// test/offline.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, fakeQuery } = require('./helpers');
+const Counter = require('../models/Counter');
+const Article = require('../models/Article');
+const Tip = require('../models/Tip');
+const HealthService = require('../models/HealthService');
+const Chemical = require('../models/Chemical');
+const Tombstone = require('../models/Tombstone');
+
+const app = createApp([{ path: '/api/offline', router: require('../routes/offlineRoutes') }]);
+const MODELS = [Article, Tip, HealthService, Chemical];
+
+// The sync counter as stored, and the newest scheduled article gone live
+const stubDatabase = ({ counter, scheduled = null }) => {
+  const filters = [];
+  mock.method(Counter, 'findById', () => fakeQuery(counter));
+  mock.method(Article, 'findOne', () => fakeQuery(scheduled));
+  MODELS.forEach((Model) => {
+    mock.method(Model, 'aggregate', async (stages) => {
+      filters.push(stages[0].$match);
+      return [];
+    });
+    mock.method(Model, 'find', () => fakeQuery([]));
+  });
+  mock.method(Tombstone, 'find', () => fakeQuery([]));
+  return filters;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('committedSeq stays below the oldest write still in flight', () => {
+  const now = new Date();
+  assert.strictEqual(Counter.committedSeq(null), 0);
+  assert.strictEqual(Counter.committedSeq({ seq: 7, pending: [] }), 7);
+  assert.strictEqual(
+    Counter.committedSeq(
+      {
+        seq: 9,
+        pending: [
+          { seq: 8, at: now },
+          { seq: 6, at: now }
+        ]
+      },
+      now
+    ),
+    5
+  );
+});
+
+test('committedSeq ignores reservations of writes that died', () => {
+  const now = new Date();
+  const stale = new Date(now.getTime() - 10 * 60 * 1000);
+  assert.strictEqual(Counter.committedSeq({ seq: 7, pending: [{ seq: 6, at: stale }] }, now), 7);
+});
+
+test('a bundle taken while a write is in flight reports the version before it', async () => {
+  stubDatabase({ counter: { seq: 7, pending: [{ seq: 6, at: new Date() }] } });
+
+  const res = await request(app, 'GET', '/api/offline/bundle');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.version, 5);
+});
+
+test('a delta stops before writes in flight, so the next one delivers them', async () => {
+  const filters = stubDatabase({ counter: { seq: 7, pending: [{ seq: 6, at: new Date() }] } });
+
+  const res = await request(app, 'GET', '/api/offline/delta?since=4');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.version, 5);
+  filters.forEach((filter) => {
+    assert.deepStrictEqual(filter.$and[0], { syncVersion: { $gt: 4, $lte: 5 } });
+  });
+});
+
+test('the bundle ETag changes when a scheduled article goes live', async () => {
+  stubDatabase({ counter: { seq: 7 } });
+  const before = await request(app, 'GET', '/api/offline/bundle');
+
+  mock.restoreAll();
+  stubDatabase({ counter: { seq: 7 }, scheduled: { scheduledFor: new Date() } });
+  const after = await request(app, 'GET', '/api/offline/bundle', {
+    headers: { 'if-none-match': before.headers.etag }
+  });
+
+  assert.strictEqual(after.status, 200);
+  assert.notStrictEqual(after.headers.etag, before.headers.etag);
+});
+
+test('an unchanged bundle is answered with 304', async () => {
+  stubDatabase({ counter: { seq: 7 } });
+  const first = await request(app, 'GET', '/api/offline/bundle');
+  const second = await request(app, 'GET', '/api/offline/bundle', {
+    headers: { 'if-none-match': first.headers.etag }
+  });
+  assert.strictEqual(second.status, 304);
+});
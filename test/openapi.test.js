@@ -0,0 +1,24 @@
+// test/openapi.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request } = require('./helpers');
+const mounts = require('../routes');
+const { checkRoutes } = require('../utils/openapi');
+
+test('every route can be documented', () => {
+  assert.deepStrictEqual(checkRoutes(mounts), []);
+});
+
+test('the viewer loads a pinned Swagger UI checked against its hashes', async () => {
+  const app = createApp([{ path: '/api/docs', router: require('../routes/docsRoutes') }]);
+  const res = await request(app, 'GET', '/api/docs');
+
+  assert.strictEqual(res.status, 200);
+  const assets = res.body.match(/<(script|link)\b[^>]*unpkg\.com[^>]*>/g);
+  assert.strictEqual(assets.length, 2);
+  assets.forEach((tag) => {
+    assert.match(tag, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+    assert.match(tag, /integrity="sha384-[\w+/]+={0,2}"/);
+    assert.match(tag, /crossorigin="anonymous"/);
+  });
+});
@@ -0,0 +1,31 @@
+// test/sanitize.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { stripHtml } = require('../utils/sanitize');
+
+test('stripHtml removes tags and script blocks', () => {
+  assert.strictEqual(stripHtml('<p>Hello <b>farmer</b></p>'), 'Hello farmer');
+  assert.strictEqual(stripHtml('Hi<script>alert(1)</script> there'), 'Hi there');
+});
+
+test('stripHtml removes encoded tags instead of decoding them into live ones', () => {
+  const result = stripHtml(
+    '&lt;script&gt;alert(1)&lt;/script&gt;Dose &lt;img src=x onerror=alert(1)&gt;'
+  );
+  assert.doesNotMatch(result, /</);
+  assert.strictEqual(result, 'Dose');
+});
+
+test('stripHtml keeps typed entities as text', () => {
+  assert.strictEqual(stripHtml('Salt &amp; water, 1 &lt; 2'), 'Salt & water, 1 < 2');
+  assert.strictEqual(stripHtml('&amp;lt;b&amp;gt;'), '&lt;b&gt;');
+  assert.strictEqual(stripHtml(42), 42);
+});
+
+test('stripHtml keeps "<" and ">" that are not part of a tag', () => {
+  assert.strictEqual(
+    stripHtml('Sprayed <2 litres, felt dizzy >3 hours later'),
+    'Sprayed <2 litres, felt dizzy >3 hours later'
+  );
+  assert.strictEqual(stripHtml('Dose: 1 < x > 0 <!-- note -->'), 'Dose: 1 < x > 0');
+});
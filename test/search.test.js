@@ -0,0 +1,25 @@
+// test/search.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, fakeQuery } = require('./helpers');
+const Tip = require('../models/Tip');
+const SearchStat = require('../models/SearchStat');
+
+const app = createApp([{ path: '/api/search', router: require('../routes/searchRoutes') }]);
+
+afterEach(() => mock.restoreAll());
+
+test('tip search only looks at active tips', async () => {
+  const filters = [];
+  mock.method(Tip, 'find', (filter) => {
+    filters.push(filter);
+    return fakeQuery([]);
+  });
+  mock.method(SearchStat, 'record', async () => {});
+
+  const res = await request(app, 'GET', '/api/search?q=mask&type=tip');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(filters.length, 2);
+  assert.strictEqual(filters[0].active, true);
+  assert.deepStrictEqual(filters[1].$and[0], { active: true });
+});
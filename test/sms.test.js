@@ -0,0 +1,53 @@
+// test/sms.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request } = require('./helpers');
+const sms = require('../utils/sms');
+const config = require('../config/sms');
+
+const app = createApp([{ path: '/api/sms', router: require('../routes/smsRoutes') }]);
+const NODE_ENV = process.env.NODE_ENV;
+
+afterEach(() => {
+  process.env.NODE_ENV = NODE_ENV;
+  delete process.env.SMS_PROVIDER;
+  config.webhookToken = undefined;
+  sms.setProvider(undefined);
+});
+
+test('the simulator is refused in production', () => {
+  process.env.NODE_ENV = 'production';
+  assert.strictEqual(sms.isAvailable(), false);
+  assert.throws(() => sms.getProvider(), { statusCode: 503 });
+});
+
+test('webhooks without a token are refused in production', async () => {
+  process.env.NODE_ENV = 'production';
+  const res = await request(app, 'POST', '/api/sms/inbound', {
+    body: { from: '+250788000000', text: 'HELP' }
+  });
+  assert.strictEqual(res.status, 503);
+});
+
+test('webhooks without a token are refused when a real provider is set', async () => {
+  process.env.SMS_PROVIDER = 'africastalking';
+  const res = await request(app, 'POST', '/api/sms/inbound', {
+    body: { from: '+250788000000', text: 'HELP' }
+  });
+  assert.strictEqual(res.status, 503);
+});
+
+test('webhooks check the token whenever one is set', async () => {
+  config.webhookToken = 'secret-token';
+  const res = await request(app, 'POST', '/api/sms/inbound?token=wrong', {
+    body: { from: '+250788000000', text: 'HELP' }
+  });
+  assert.strictEqual(res.status, 401);
+});
+
+test('the simulator keeps only the latest messages', async () => {
+  const simulator = sms.createSimulator();
+  for (let i = 0; i < 250; i += 1) await simulator.send({ to: '+250788000000', message: `${i}` });
+  assert.strictEqual(simulator.sent.length, 200);
+  assert.strictEqual(simulator.sent[0].message, '50');
+});
@@ -0,0 +1,46 @@
+// test/smsText.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitSegments, fitSegments, truncate, isGsm } = require('../utils/smsText');
+
+const words = (count, word = 'maize') => Array(count).fill(word).join(' ');
+
+test('GSM text gets 160 characters a segment, anything else 70', () => {
+  assert.strictEqual(isGsm('Wear gloves [always]'), true);
+  assert.strictEqual(isGsm('Vaa glavu ✋'), false);
+
+  assert.deepStrictEqual(splitSegments('a'.repeat(160)), ['a'.repeat(160)]);
+  assert.strictEqual(splitSegments(`${'a'.repeat(70)}✋`).length, 2);
+});
+
+test('extension characters count twice', () => {
+  assert.strictEqual(splitSegments('€'.repeat(80)).length, 1);
+  assert.strictEqual(splitSegments('€'.repeat(81)).length, 2);
+});
+
+test('segments break between words, and inside a word only when it must', () => {
+  const segments = splitSegments(words(40));
+  assert.ok(segments.every((s) => s.length <= 160 && !s.startsWith(' ')));
+  assert.strictEqual(segments.join(' '), words(40));
+
+  assert.deepStrictEqual(splitSegments('x'.repeat(200)), ['x'.repeat(160), 'x'.repeat(40)]);
+});
+
+test('fitSegments drops words from the end and keeps the suffix', () => {
+  const segments = fitSegments(words(100), { maxSegments: 2, suffix: 'Reply STOP to end' });
+  const text = segments.join(' ');
+
+  assert.strictEqual(segments.length, 2);
+  assert.match(text, /maize\.\.\. Reply STOP to end$/);
+});
+
+test('fitSegments leaves text that already fits alone', () => {
+  assert.deepStrictEqual(fitSegments('Wash your hands', { maxSegments: 1, suffix: 'STOP' }), [
+    'Wash your hands STOP'
+  ]);
+});
+
+test('truncate cuts at a word boundary', () => {
+  assert.strictEqual(truncate('Wash your hands after spraying', 20), 'Wash your hands...');
+  assert.strictEqual(truncate('Short', 20), 'Short');
+});
@@ -0,0 +1,84 @@
+// test/spam.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { scoreSubmission, issueFormToken, formTokenAge } = require('../utils/spam');
+
+const config = {
+  threshold: 5,
+  minFillSeconds: 3,
+  formTokenMaxHours: 24,
+  keywords: ['casino'],
+  keywordScore: 2,
+  linkScore: 2,
+  freeLinks: 0
+};
+
+const HUMAN = { honeypot: false, fillSeconds: 40 };
+
+test('formTokenAge gives the seconds since a token was issued', () => {
+  const issued = Date.now() - 10 * 1000;
+  assert.strictEqual(formTokenAge(issueFormToken(issued), Date.now(), config), 10);
+});
+
+test('formTokenAge rejects missing, forged and expired tokens', () => {
+  const now = Date.now();
+  const [issuedAt, signature] = issueFormToken(now - 60 * 1000).split('.');
+
+  assert.strictEqual(formTokenAge(undefined, now, config), undefined);
+  assert.strictEqual(formTokenAge('garbage', now, config), undefined);
+  assert.strictEqual(
+    formTokenAge(`${Number(issuedAt) - 1000}.${signature}`, now, config),
+    undefined
+  );
+  assert.strictEqual(
+    formTokenAge(issueFormToken(now - 25 * 60 * 60 * 1000), now, config),
+    undefined
+  );
+});
+
+test('a submission without a valid form token is spam', () => {
+  const result = scoreSubmission({ name: 'Amina', message: 'Hello' }, {}, config);
+  assert.strictEqual(result.spam, true);
+  assert.deepStrictEqual(result.reasons, ['no valid form token']);
+});
+
+test('a form filled in too fast is spam', () => {
+  const result = scoreSubmission({ name: 'Amina', message: 'Hello' }, { fillSeconds: 1 }, config);
+  assert.strictEqual(result.spam, true);
+  assert.deepStrictEqual(result.reasons, ['form submitted after 1s']);
+});
+
+test('an ordinary message passes', () => {
+  const result = scoreSubmission(
+    { name: 'Amina', subject: 'Sprayer', message: 'Which mask should I wear?' },
+    HUMAN,
+    config
+  );
+  assert.deepStrictEqual(result, { score: 0, reasons: [], spam: false });
+});
+
+test('keywords, links, a filled honeypot and shouting add up', () => {
+  const links = scoreSubmission(
+    { name: 'Bob', message: 'casino at https://a.example and www.b.example' },
+    HUMAN,
+    config
+  );
+  assert.strictEqual(links.score, 2 + 2 * 2);
+  assert.strictEqual(links.spam, true);
+
+  const honeypot = scoreSubmission(
+    { name: 'Bob', message: 'hi' },
+    { ...HUMAN, honeypot: true },
+    config
+  );
+  assert.strictEqual(honeypot.spam, true);
+
+  const caps = scoreSubmission(
+    { name: 'Bob', message: 'MY COWS ARE SICK PLEASE HELP NOW' },
+    HUMAN,
+    config
+  );
+  assert.deepStrictEqual(caps.reasons, ['message is all capitals']);
+  assert.strictEqual(caps.spam, false);
+});
@@ -0,0 +1,78 @@
+// test/subscribers.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, fakeQuery } = require('./helpers');
+const Subscriber = require('../models/Subscriber');
+const Throttle = require('../models/Throttle');
+const email = require('../utils/email');
+
+const app = createApp([
+  { path: '/api/subscribers', router: require('../routes/subscriberRoutes') }
+]);
+const mail = email.createMemoryTransport();
+
+// `people` are the subscribers already stored
+const stubDatabase = ({ people = [], used = 0 } = {}) => {
+  const lookups = [];
+  const saved = [];
+  mock.method(Throttle, 'countDocuments', async () => used);
+  mock.method(Throttle, 'insertMany', async () => []);
+  mock.method(Subscriber, 'findOne', (filter) => {
+    lookups.push(filter);
+    const [[field, value]] = Object.entries(filter);
+    return fakeQuery(people.find((p) => p[field] === value) || null);
+  });
+  mock.method(Subscriber.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  return { lookups, saved };
+};
+
+beforeEach(() => {
+  mail.clear();
+  email.setTransport(mail);
+});
+afterEach(() => mock.restoreAll());
+
+test('sign-ups over the limit are refused without sending anything', async () => {
+  stubDatabase({ used: 5 });
+  const res = await request(app, 'POST', '/api/subscribers', {
+    body: { name: 'Amina', email: 'amina@example.com' }
+  });
+
+  assert.strictEqual(res.status, 429);
+  assert.ok(res.headers['retry-after']);
+  assert.strictEqual(mail.sent.length, 0);
+});
+
+test('a sign-up is matched on the address it is confirmed through', async () => {
+  const { lookups, saved } = stubDatabase();
+  const res = await request(app, 'POST', '/api/subscribers', {
+    body: { name: 'Amina', email: 'amina@example.com', phone: '+250788000001' }
+  });
+
+  assert.strictEqual(res.status, 202);
+  assert.deepStrictEqual(lookups[0], { email: 'amina@example.com' });
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(mail.sent[0].to, 'amina@example.com');
+});
+
+test("someone else's phone is not merged into a new sign-up", async () => {
+  const neighbour = new Subscriber({
+    name: 'Jean',
+    phone: '+250788000001',
+    channels: ['sms'],
+    status: 'confirmed'
+  });
+  const { saved } = stubDatabase({ people: [neighbour] });
+
+  const res = await request(app, 'POST', '/api/subscribers', {
+    body: { name: 'Amina', email: 'amina@example.com', phone: '+250788000001' }
+  });
+
+  assert.strictEqual(res.status, 202);
+  assert.notStrictEqual(saved[0], neighbour);
+  assert.strictEqual(saved[0].phone, undefined);
+  assert.deepStrictEqual([...saved[0].channels], ['email']);
+});
@@ -0,0 +1,77 @@
+// test/tipSchedule.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeQuery } = require('./helpers');
+const Tip = require('../models/Tip');
+const TipRotation = require('../models/TipRotation');
+const { pickTip, startOfDay, addDays } = require('../utils/tipSchedule');
+
+afterEach(() => mock.restoreAll());
+
+const tip = (title) => ({ _id: new mongoose.Types.ObjectId(), title });
+const DAY = startOfDay('2025-03-03');
+
+// Shows `days` days in a row, recording each pick the way pickForDay does
+const showDays = (tips, lastShown, from, days) =>
+  Array.from({ length: days }, (_, i) => {
+    const date = addDays(from, i);
+    const { tip: shown } = pickTip(tips, date, { season: 'long-rains', lastShown });
+    lastShown.set(String(shown._id), date);
+    return shown.title;
+  });
+
+test('every tip is shown once before any repeats', () => {
+  const tips = [tip('a'), tip('b'), tip('c')];
+  assert.deepStrictEqual(showDays(tips, new Map(), DAY, 6), ['a', 'b', 'c', 'a', 'b', 'c']);
+});
+
+test('a new tip joins the rotation without repeating or skipping the others', () => {
+  const tips = [tip('a'), tip('b'), tip('c')];
+  const lastShown = new Map();
+  const first = showDays(tips, lastShown, DAY, 2);
+
+  tips.push(tip('d'));
+  const rest = showDays(tips, lastShown, addDays(DAY, 2), 4);
+
+  assert.deepStrictEqual([...first, ...rest], ['a', 'b', 'c', 'd', 'a', 'b']);
+});
+
+test('a retired tip leaves the others in order', () => {
+  const tips = [tip('a'), tip('b'), tip('c'), tip('d')];
+  const lastShown = new Map();
+  const first = showDays(tips, lastShown, DAY, 2);
+
+  tips.splice(0, 1);
+  const rest = showDays(tips, lastShown, addDays(DAY, 2), 3);
+
+  assert.deepStrictEqual([...first, ...rest], ['a', 'b', 'c', 'd', 'b']);
+});
+
+test('the tip already shown today is kept for the rest of the day', () => {
+  const tips = [tip('a'), tip('b')];
+  const lastShown = new Map([[String(tips[1]._id), DAY]]);
+  assert.strictEqual(pickTip(tips, DAY, { lastShown }).tip.title, 'b');
+});
+
+test('a scheduled tip wins over the rotation', () => {
+  const tips = [tip('a'), { ...tip('b'), scheduledFor: [DAY] }];
+  assert.strictEqual(pickTip(tips, DAY).reason, 'scheduled');
+  assert.strictEqual(pickTip(tips, DAY).tip.title, 'b');
+});
+
+test('only the pick for today moves the rotation on', async () => {
+  const tips = [{ ...tip('a'), language: 'English' }];
+  const recorded = [];
+  mock.method(Tip, 'find', () => fakeQuery(tips));
+  mock.method(TipRotation, 'find', () => fakeQuery([]));
+  mock.method(TipRotation, 'updateOne', async (filter, update) => {
+    recorded.push(update.$set.shownOn);
+  });
+
+  await Tip.pickForDay(['English'], addDays(startOfDay(), 5));
+  assert.strictEqual(recorded.length, 0);
+
+  await Tip.pickForDay(['English'], startOfDay());
+  assert.deepStrictEqual(recorded, [startOfDay()]);
+});
@@ -0,0 +1,54 @@
+// test/tips.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, fakeQuery, signIn } = require('./helpers');
+const Tip = require('../models/Tip');
+
+const app = createApp([{ path: '/api/tips', router: require('../routes/tipRoutes') }]);
+
+afterEach(() => mock.restoreAll());
+
+const stubList = () => {
+  const filters = [];
+  mock.method(Tip, 'aggregate', async (stages) => {
+    filters.push(stages[0].$match);
+    return [{ total: [], docs: [] }];
+  });
+  return filters;
+};
+
+test('visitors only see active tips, even when they ask for inactive ones', async () => {
+  const filters = stubList();
+
+  const res = await request(app, 'GET', '/api/tips?active=false');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(filters[0].$and, [{ active: true }]);
+});
+
+test('staff can list inactive tips', async () => {
+  const { headers } = signIn(mock, 'editor');
+  const filters = stubList();
+
+  const res = await request(app, 'GET', '/api/tips?active=false', { headers });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(filters[0], { active: false });
+});
+
+test('an inactive tip is not found by visitors but is by staff', async () => {
+  const tip = new Tip({
+    title: 'Old advice',
+    content: 'Retired',
+    category: 'First Aid',
+    language: 'English',
+    active: false
+  });
+  mock.method(Tip, 'findById', () => fakeQuery(tip));
+  mock.method(Tip, 'find', () => fakeQuery([tip]));
+
+  const hidden = await request(app, 'GET', `/api/tips/${tip._id}`);
+  assert.strictEqual(hidden.status, 404);
+
+  const { headers } = signIn(mock, 'health-expert');
+  const shown = await request(app, 'GET', `/api/tips/${tip._id}`, { headers });
+  assert.strictEqual(shown.status, 200);
+});
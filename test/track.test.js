@@ -0,0 +1,50 @@
+// test/track.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request } = require('./helpers');
+const Tip = require('../models/Tip');
+const Throttle = require('../models/Throttle');
+const ContentStat = require('../models/ContentStat');
+
+const app = createApp([{ path: '/api/track', router: require('../routes/trackRoutes') }]);
+
+const tip = new Tip({ title: 'Wash after spraying', active: true });
+
+// `allowed` answers each Throttle.attempt in turn
+const stubTracking = (...allowed) => {
+  const attempts = [];
+  mock.method(Tip, 'findById', async () => tip);
+  mock.method(Throttle, 'attempt', async (limits) => {
+    attempts.push(limits);
+    return allowed.shift();
+  });
+  mock.method(ContentStat, 'record', async () => {});
+  return attempts;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('views past the per-IP limit for a piece of content are not counted', async () => {
+  const attempts = stubTracking(true, false);
+  const body = { type: 'tip', id: tip.id, event: 'view' };
+
+  const first = await request(app, 'POST', '/api/track', { body });
+  const second = await request(app, 'POST', '/api/track', { body });
+
+  assert.strictEqual(first.status, 204);
+  assert.strictEqual(second.status, 204);
+  assert.strictEqual(ContentStat.record.mock.callCount(), 1);
+  assert.match(Object.keys(attempts[0])[0], new RegExp(`^track:view:tip:${tip.id}:ip:`));
+});
+
+test('readers who opted out are neither counted nor throttled', async () => {
+  stubTracking(true);
+
+  const res = await request(app, 'POST', '/api/track', {
+    body: { type: 'tip', id: tip.id, event: 'complete' },
+    headers: { dnt: '1' }
+  });
+  assert.strictEqual(res.status, 204);
+  assert.strictEqual(Throttle.attempt.mock.callCount(), 0);
+  assert.strictEqual(ContentStat.record.mock.callCount(), 0);
+});
@@ -0,0 +1,53 @@
+// test/transfer.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery } = require('./helpers');
+const Tip = require('../models/Tip');
+const { exportRows, importRows } = require('../utils/transfer');
+
+afterEach(() => mock.restoreAll());
+
+test('an export reads without writing, even for documents with no slug', async () => {
+  const tip = new Tip({ title: 'Wash after spraying', language: 'English' }).toObject();
+  mock.method(Tip, 'find', () => fakeQuery([tip]));
+  mock.method(Tip, 'ensureSlugs', async () => 0);
+  mock.method(Tip, 'updateOne', async () => {});
+
+  const rows = await exportRows('tips');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].slug, undefined);
+  assert.strictEqual(rows[0].title, 'Wash after spraying');
+  assert.strictEqual(Tip.ensureSlugs.mock.callCount(), 0);
+  assert.strictEqual(Tip.updateOne.mock.callCount(), 0);
+});
+
+test('rows that fail as they are saved are reported with a 409', async () => {
+  mock.method(Tip, 'findOne', () => fakeQuery(null));
+  mock.method(Tip, 'exists', async () => null);
+  mock.method(Tip.prototype, 'save', async function () {
+    if (this.title === 'Taken') throw Object.assign(new Error('E11000'), { code: 11000 });
+  });
+  const rows = ['Wash after spraying', 'Taken', 'Store seed dry'].map((title) => ({
+    title,
+    language: 'English',
+    category: 'Hygiene',
+    content: `${title}.`
+  }));
+
+  await assert.rejects(importRows('tips', rows), (err) => {
+    assert.strictEqual(err.statusCode, 409);
+    assert.match(err.message, /^1 of 3 rows could not be saved; .*2 created/);
+    assert.deepStrictEqual(err.details, [
+      { row: 2, field: 'slug', message: 'slug is already in use' }
+    ]);
+    return true;
+  });
+  assert.strictEqual(Tip.prototype.save.mock.callCount(), 3);
+});
+
+test('articles have no status column, so an import cannot publish them', async () => {
+  await assert.rejects(importRows('articles', [{ title: 'Sprayer safety', status: 'published' }]), {
+    statusCode: 400,
+    message: /^Unknown columns: status\./
+  });
+});
@@ -0,0 +1,61 @@
+// test/translations.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { createApp, request, fakeQuery, signIn } = require('./helpers');
+const Article = require('../models/Article');
+
+const app = createApp([
+  { path: '/api/translations', router: require('../routes/translationRoutes') }
+]);
+
+afterEach(() => mock.restoreAll());
+
+const stubArticle = (article) => {
+  const updates = [];
+  mock.method(Article, 'findById', () => fakeQuery(article));
+  mock.method(Article, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  mock.method(Article.prototype, 'save', async () => {
+    throw new Error('save() would record a revision');
+  });
+  return updates;
+};
+
+test('unlinking the source of a set gives it a new set of its own', async () => {
+  const { headers } = signIn(mock, 'editor');
+  const source = new Article({ title: 'Wash hands', language: 'English' });
+  source.translationGroup = source._id;
+  const updates = stubArticle(source);
+
+  const res = await request(app, 'POST', '/api/translations/unlink', {
+    headers,
+    body: { type: 'article', id: String(source._id) }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(updates.length, 1);
+  const { translationGroup } = updates[0].update.$set;
+  assert.ok(translationGroup instanceof mongoose.Types.ObjectId);
+  assert.notStrictEqual(String(translationGroup), String(source._id));
+  assert.strictEqual(res.body.data.translationGroup, String(translationGroup));
+});
+
+test('linking changes the set without saving a revision', async () => {
+  const { headers } = signIn(mock, 'editor');
+  const source = new Article({ title: 'Wash hands', language: 'English' });
+  const target = new Article({ title: 'Osha mikono', language: 'Swahili' });
+  const updates = stubArticle(target);
+  mock.method(Article, 'translationGroupOf', async () => source._id);
+  mock.method(Article, 'findOne', () => fakeQuery(null));
+
+  const res = await request(app, 'POST', '/api/translations/link', {
+    headers,
+    body: { type: 'article', sourceId: String(source._id), targetId: String(target._id) }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(updates[0].update, { $set: { translationGroup: source._id } });
+});
@@ -0,0 +1,160 @@
+// test/triage.test.js
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp, request, fakeQuery, signIn } = require('./helpers');
+const TriageRuleSet = require('../models/TriageRuleSet');
+const TriageDecision = require('../models/TriageDecision');
+const HealthService = require('../models/HealthService');
+const Article = require('../models/Article');
+const config = require('../config/triage');
+
+const ruleSet = new TriageRuleSet({
+  version: 1,
+  defaultUrgency: 'see-clinic',
+  symptoms: ['rash', 'vomiting', 'seizure', 'blurred-vision'].map((key) => ({
+    key,
+    label: { English: key }
+  })),
+  firstAid: [
+    { key: 'rinse-skin', text: { English: 'Rinse the skin' } },
+    { key: 'call-912', text: { English: 'Call 912' }, urgencies: ['emergency'] },
+    { key: 'watch', text: { English: 'Watch for new symptoms' }, urgencies: ['self-care'] }
+  ],
+  rules: [
+    {
+      key: 'mild-skin',
+      urgency: 'self-care',
+      routes: ['skin'],
+      firstAid: ['rinse-skin', 'watch'],
+      serviceTypes: ['pharmacy']
+    },
+    {
+      key: 'severe-signs',
+      urgency: 'emergency',
+      symptoms: ['vomiting', 'seizure', 'blurred-vision'],
+      minSymptoms: 2,
+      firstAid: ['call-912'],
+      serviceTypes: ['hospital'],
+      services: ['poison-control']
+    },
+    {
+      key: 'toxic-swallowed',
+      urgency: 'emergency',
+      routes: ['ingestion'],
+      toxicityClasses: ['Ia', 'Ib', 'unknown'],
+      maxHoursSinceExposure: 24,
+      firstAid: ['call-912'],
+      serviceTypes: ['hospital']
+    }
+  ]
+});
+
+test('the rule set used by these tests is valid', () => {
+  assert.strictEqual(ruleSet.validateSync(), undefined);
+});
+
+test('a rule with only a route matches on the route', () => {
+  const outcome = ruleSet.assess({ route: 'skin', symptoms: ['rash'] });
+  assert.strictEqual(outcome.urgency, 'self-care');
+  assert.deepStrictEqual(outcome.matchedRules, ['mild-skin']);
+  assert.deepStrictEqual(
+    outcome.firstAid.map((step) => step.key),
+    ['rinse-skin', 'watch']
+  );
+  assert.deepStrictEqual(outcome.serviceTypes, ['pharmacy']);
+});
+
+test('the most urgent matching rule decides, and its steps and services win', () => {
+  const outcome = ruleSet.assess({ route: 'skin', symptoms: ['vomiting', 'seizure'] });
+  assert.strictEqual(outcome.urgency, 'emergency');
+  assert.deepStrictEqual(outcome.matchedRules, ['severe-signs', 'mild-skin']);
+  // "Watch for new symptoms" is only for self-care
+  assert.deepStrictEqual(
+    outcome.firstAid.map((step) => step.key),
+    ['call-912', 'rinse-skin']
+  );
+  assert.deepStrictEqual(outcome.serviceTypes, ['hospital']);
+  assert.deepStrictEqual(outcome.services, ['poison-control']);
+});
+
+test('minSymptoms needs that many of the listed symptoms', () => {
+  assert.deepStrictEqual(ruleSet.assess({ route: 'eyes', symptoms: ['seizure'] }).matchedRules, []);
+});
+
+test('an unnamed chemical counts as toxicity class unknown', () => {
+  const outcome = ruleSet.assess({ route: 'ingestion', hoursSinceExposure: 2 });
+  assert.deepStrictEqual(outcome.matchedRules, ['toxic-swallowed']);
+
+  const mild = ruleSet.assess({ route: 'ingestion', toxicityClass: 'U', hoursSinceExposure: 2 });
+  assert.deepStrictEqual(mild.matchedRules, []);
+});
+
+test('a time window needs the time since exposure', () => {
+  assert.deepStrictEqual(ruleSet.assess({ route: 'ingestion' }).matchedRules, []);
+  assert.deepStrictEqual(
+    ruleSet.assess({ route: 'ingestion', hoursSinceExposure: 30 }).matchedRules,
+    []
+  );
+});
+
+test('with no matching rule the default urgency applies', () => {
+  const outcome = ruleSet.assess({ route: 'inhalation', symptoms: [] });
+  assert.strictEqual(outcome.urgency, 'see-clinic');
+  assert.deepStrictEqual(outcome.firstAid, []);
+});
+
+const app = createApp([{ path: '/api/triage', router: require('../routes/triageRoutes') }]);
+
+// `remote` is what a search for helplines and poison centres finds
+const stubAssessment = ({ nearby = [], remote = [] }) => {
+  const decisions = [];
+  mock.method(TriageRuleSet, 'current', async () => ruleSet);
+  mock.method(HealthService, 'aggregate', async () => nearby);
+  mock.method(HealthService, 'find', () => fakeQuery(remote));
+  mock.method(Article, 'aggregate', async () => []);
+  mock.method(TriageDecision, 'create', async (fields) => {
+    decisions.push(fields);
+    return { _id: '507f1f77bcf86cd799439011', ...fields };
+  });
+  return decisions;
+};
+
+const EMERGENCY = { route: 'ingestion', hoursSinceExposure: 1, near: '-1.95,30.06' };
+
+afterEach(() => mock.restoreAll());
+
+test('an emergency with no service nearby is given the helplines on record', async () => {
+  const helpline = { _id: '507f1f77bcf86cd799439012', name: 'Hotline', type: 'helpline' };
+  const decisions = stubAssessment({ remote: [helpline] });
+
+  const res = await request(app, 'POST', '/api/triage', { body: EMERGENCY });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.urgency, 'emergency');
+  assert.deepStrictEqual(res.body.data.services, [helpline]);
+  assert.deepStrictEqual(decisions[0].services, [helpline._id]);
+});
+
+test('with no helpline on record the national numbers from config are given', async () => {
+  const decisions = stubAssessment({});
+
+  const res = await request(app, 'POST', '/api/triage', { body: EMERGENCY });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.services, config.helplines);
+  assert.deepStrictEqual(decisions[0].services, []);
+});
+
+test('publishing saves the new version before retiring the old one', async () => {
+  const { headers } = signIn(mock, 'health-expert');
+  const draft = new TriageRuleSet({ ...ruleSet.toObject(), _id: undefined, version: 2 });
+  const calls = [];
+  mock.method(TriageRuleSet, 'findOne', () => fakeQuery(draft));
+  mock.method(draft, 'save', async () => calls.push(['save', draft.status]));
+  mock.method(TriageRuleSet, 'updateMany', async (filter) => calls.push(['retire', filter]));
+
+  const res = await request(app, 'POST', '/api/triage/rules/2/publish', { headers });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(calls, [
+    ['save', 'published'],
+    ['retire', { status: 'published', publishedAt: { $lt: draft.publishedAt } }]
+  ]);
+});
@@ -0,0 +1,6 @@
+// utils/catchAsync.js
+module.exports = (fn) => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
@@ -0,0 +1,13 @@
+// utils/constants.js
+exports.CATEGORIES = [
+  'Chemical Safety',
+  'Nutrition',
+  'First Aid',
+  'Mental Health',
+  'Hygiene'
+];
+
+exports.LANGUAGES = ['English', 'Français', 'Kinyarwanda', 'Swahili'];
+
+// East African farming calendar: two rainy and two dry seasons a year
+exports.SEASONS = ['long-rains', 'long-dry', 'short-rains', 'short-dry'];
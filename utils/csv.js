@@ -0,0 +1,109 @@
+// utils/csv.js
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('; ');
+  else text = String(value);
+
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document (RFC 4180, CRLF line endings) from plain objects.
+ * `columns` lists the header and the field for each column; `value` can
+ * be a function of the row.
+ *
+ *   toCsv(rows, [{ header: 'Name', value: 'name' }, { header: 'Crops', value: (r) => r.crops }])
+ */
+exports.toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => formatCell(column.header))];
+
+  for (const row of rows) {
+    lines.push(
+      columns.map((column) =>
+        formatCell(typeof column.value === 'function' ? column.value(row) : row[column.value])
+      )
+    );
+  }
+
+  return `${lines.map((cells) => cells.join(',')).join('\r\n')}\r\n`;
+};
+
+// Undoes the quote formatCell adds in front of formula-like cells
+const unguardCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Parses a CSV document (RFC 4180; commas, quotes and CRLF or LF line
+ * endings, as spreadsheet apps save them) into objects keyed by the header
+ * row. Each row also gets `line`, the number of the line it starts on.
+ * Throws on unbalanced quotes.
+ */
+exports.parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push({ cells: record, line: recordLine });
+      record = [];
+      cell = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unclosed quote in the row starting on line ${recordLine}`);
+  if (cell || record.length) {
+    record.push(cell);
+    records.push({ cells: record, line: recordLine });
+  }
+
+  const nonEmpty = records.filter(({ cells }) => cells.some((c) => c.trim() !== ''));
+  if (!nonEmpty.length) return [];
+
+  const header = nonEmpty[0].cells.map((name) => name.trim());
+  return nonEmpty.slice(1).map(({ cells, line: start }) => {
+    const row = Object.fromEntries(header.map((name, i) => [name, unguardCell(cells[i] || '')]));
+    return Object.defineProperty(row, 'line', { value: start });
+  });
+};
+
+// Sends CSV as a download
+exports.sendCsv = (res, filename, csv) => {
+  res.attachment(filename);
+  res.type('text/csv; charset=utf-8');
+  res.status(200).send(csv);
+};
@@ -0,0 +1,127 @@
+// utils/diff.js
+
+// Above this many added plus removed lines a line diff is not worth its
+// cost, and diffSnapshots reports the field as { before, after } instead
+const MAX_EDITS = 500;
+
+// Myers' O(ND) diff. Keeps a copy of the frontier per edit step, so time
+// and memory are bounded by `maxEdits` rather than by the line count.
+// Returns [op, line] pairs, or null when more than `maxEdits` edits are needed.
+const shortestEdit = (a, b, maxEdits) => {
+  const offset = maxEdits + 1;
+  const v = new Int32Array(2 * maxEdits + 3);
+  const trace = [];
+  const step = (frontier, k, d) =>
+    k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]) ? k + 1 : k - 1;
+
+  for (let d = 0; d <= maxEdits; d += 1) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      const from = step(v, k, d);
+      let x = from === k + 1 ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        // Walk back through the frontiers to recover the edits
+        const ops = [];
+        let i = a.length;
+        let j = b.length;
+        for (let e = d; e >= 0; e -= 1) {
+          const prevK = step(trace[e], i - j, e);
+          const prevX = trace[e][offset + prevK];
+          const prevY = prevX - prevK;
+          while (i > prevX && j > prevY) {
+            ops.push(['equal', a[(i -= 1)]]);
+            j -= 1;
+          }
+          if (e > 0) ops.push(i === prevX ? ['add', b[(j -= 1)]] : ['remove', a[(i -= 1)]]);
+        }
+        return ops.reverse();
+      }
+    }
+  }
+  return null;
+};
+
+// Line diff. Returns a list of { op: 'equal' | 'add' | 'remove', lines }
+// hunks, or null when the texts differ in more than `maxEdits` lines.
+const diffLines = (before, after, maxEdits = MAX_EDITS) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Lines shared at the start and end don't need the diff
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const edits = shortestEdit(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!edits) return null;
+
+  const hunks = [];
+  const push = (op, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.op === op) last.lines.push(line);
+    else hunks.push({ op, lines: [line] });
+  };
+
+  a.slice(0, start).forEach((line) => push('equal', line));
+  edits.forEach(([op, line]) => push(op, line));
+  a.slice(endA).forEach((line) => push('equal', line));
+  return hunks;
+};
+
+const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+
+// Long strings are cut to `maxLength` characters, with `truncated` set
+const clip = (value, maxLength) =>
+  typeof value === 'string' && value.length > maxLength
+    ? { value: `${value.slice(0, maxLength)}…`, truncated: true }
+    : { value: value === undefined ? null : value };
+
+/**
+ * Compares two snapshots field by field. Multi-line text fields get a line
+ * diff when it stays small; everything else is reported as { before, after }.
+ *
+ * `lineDiff: false` skips line diffs, and `maxLength` truncates the
+ * before/after strings; the audit log uses both to stay cheap on every save.
+ */
+exports.diffSnapshots = (
+  before = {},
+  after = {},
+  { lineDiff = true, maxLength = Infinity } = {}
+) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => {
+      const from = before[field];
+      const to = after[field];
+      const multiline =
+        typeof from === 'string' &&
+        typeof to === 'string' &&
+        (from.includes('\n') || to.includes('\n'));
+      if (lineDiff && multiline) {
+        const lines = diffLines(from, to);
+        if (lines) return { field, lines };
+      }
+
+      const clippedFrom = clip(from, maxLength);
+      const clippedTo = clip(to, maxLength);
+      const change = { field, before: clippedFrom.value, after: clippedTo.value };
+      if (clippedFrom.truncated || clippedTo.truncated) change.truncated = true;
+      return change;
+    });
+};
+
+exports.diffLines = diffLines;
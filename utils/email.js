@@ -0,0 +1,75 @@
+// utils/email.js
+const nodemailer = require('nodemailer');
+
+// A transport is anything with an async send({ to, subject, text, html }).
+// SMTP is used in development and production; the memory transport keeps
+// every message in `sent` so tests can read them back without a mail server.
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: Number(process.env.EMAIL_PORT) || 587,
+    auth: {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() });
+      return { accepted: [message.to] };
+    },
+    clear: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  memory: createMemoryTransport
+};
+
+let transport;
+
+const defaultTransportName = () =>
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'smtp');
+
+exports.getTransport = () => {
+  if (!transport) {
+    const factory = transportFactories[defaultTransportName()];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${defaultTransportName()}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+exports.setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+exports.createMemoryTransport = createMemoryTransport;
+
+exports.sendEmail = async ({ to, subject, text, html }) => {
+  return exports.getTransport().send({
+    from: process.env.EMAIL_FROM || `AgriHealth Africa <${process.env.EMAIL_USERNAME}>`,
+    to,
+    subject,
+    text,
+    html
+  });
+};
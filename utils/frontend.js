@@ -0,0 +1,4 @@
+// utils/frontend.js
+
+// Links in emails and SMS point at the frontend, which calls the API
+exports.frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
@@ -0,0 +1,19 @@
+// utils/geo.js
+const AppError = require('./appError');
+
+// "-1.95,30.06" -> [30.06, -1.95] (GeoJSON order)
+exports.parseNear = (near) => {
+  const parts = String(near).split(',').map((part) => Number(part.trim()));
+  const [lat, lng] = parts;
+  if (
+    parts.length !== 2 ||
+    parts.some(Number.isNaN) ||
+    lat < -90 ||
+    lat > 90 ||
+    lng < -180 ||
+    lng > 180
+  ) {
+    throw new AppError('near must be "latitude,longitude"', 400);
+  }
+  return [lng, lat];
+};
@@ -0,0 +1,84 @@
+// utils/imagePipeline.js
+const sharp = require('sharp');
+const AppError = require('./appError');
+
+// Larger images are refused before they are decoded: a small compressed
+// file can expand to gigabytes in memory
+const MAX_IMAGE_PIXELS = Number(process.env.MAX_IMAGE_PIXELS) || 40 * 1000 * 1000;
+
+// Widths generated for every upload; each in WebP and JPEG so older
+// Android browsers still get something they can show
+const VARIANT_WIDTHS = { small: 320, medium: 640, large: 1280 };
+const FORMATS = {
+  webp: { mimeType: 'image/webp', options: { quality: 75 } },
+  jpeg: { mimeType: 'image/jpeg', options: { quality: 78, mozjpeg: true } }
+};
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Identifies an image from its first bytes rather than trusting the
+// client's Content-Type or file extension
+exports.sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  return null;
+};
+
+/**
+ * Resizes an image into the standard variants plus a tiny blurred
+ * placeholder (a base64 data URI of a few hundred bytes) that the frontend
+ * can show behind .low-bandwidth-img while the real image loads.
+ * Images are never enlarged beyond their original width, and images over
+ * `maxPixels` are refused with a 413.
+ */
+exports.processImage = async (buffer, { maxPixels = MAX_IMAGE_PIXELS } = {}) => {
+  // rotate() applies the EXIF orientation; metadata is dropped on output
+  const source = sharp(buffer, { failOn: 'error', limitInputPixels: maxPixels }).rotate();
+  // sharp checks the size in the header, before decoding anything
+  const { width, height } = await source.metadata().catch((err) => {
+    if (!/pixel limit/.test(err.message)) throw err;
+    throw new AppError(`Images can be at most ${maxPixels / 1e6} megapixels`, 413);
+  });
+
+  const variants = [];
+  for (const [name, targetWidth] of Object.entries(VARIANT_WIDTHS)) {
+    if (targetWidth > width && name !== 'small') continue;
+
+    for (const [format, { mimeType, options }] of Object.entries(FORMATS)) {
+      const { data, info } = await source
+        .clone()
+        .resize({ width: Math.min(targetWidth, width), withoutEnlargement: true })
+        [format](options)
+        .toBuffer({ resolveWithObject: true });
+
+      variants.push({ name, format, mimeType, width: info.width, height: info.height, size: info.size, data });
+    }
+  }
+
+  const placeholder = await source
+    .clone()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur(1)
+    .jpeg({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    variants,
+    placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`
+  };
+};
+
+exports.VARIANT_WIDTHS = VARIANT_WIDTHS;
+exports.MAX_IMAGE_PIXELS = MAX_IMAGE_PIXELS;
@@ -0,0 +1,90 @@
+// utils/language.js
+const { LANGUAGES } = require('./constants');
+const { fold } = require('./textNormalize');
+
+const DEFAULT_LANGUAGE = 'English';
+
+// ISO 639-1 codes (and the Kinyarwanda/Swahili 639-2 codes) for each language
+const LANGUAGE_CODES = {
+  en: 'English',
+  eng: 'English',
+  fr: 'Français',
+  fra: 'Français',
+  fre: 'Français',
+  rw: 'Kinyarwanda',
+  kin: 'Kinyarwanda',
+  sw: 'Swahili',
+  swa: 'Swahili'
+};
+
+// Accepts a code ("sw", "fr-RW") or a name ("Swahili", "francais")
+exports.normalizeLanguage = (value) => {
+  if (!value || typeof value !== 'string') return undefined;
+
+  const cleaned = fold(value.trim());
+  const byName = LANGUAGES.find((lang) => fold(lang) === cleaned);
+  if (byName) return byName;
+
+  return LANGUAGE_CODES[cleaned.split(/[-_]/)[0]];
+};
+
+// Parses an Accept-Language header into supported languages, best first
+exports.parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((p) => p.trim().startsWith('q='));
+      const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+      return { language: exports.normalizeLanguage(tag), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter((entry) => entry.language && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((entry) => entry.language)
+    .filter((language, i, all) => all.indexOf(language) === i);
+};
+
+// Preference order for a request: ?lang=, then Accept-Language, then English
+exports.negotiateLanguages = (req) => {
+  const preferred = [
+    exports.normalizeLanguage(req.query.lang),
+    ...exports.parseAcceptLanguage(req.headers['accept-language']),
+    DEFAULT_LANGUAGE
+  ].filter(Boolean);
+
+  return [...new Set(preferred)];
+};
+
+// Aggregation stages that keep one document per translation set, choosing
+// the first available language from `preferred`.
+exports.collapseTranslations = (preferred) => [
+  {
+    $addFields: {
+      _languageRank: {
+        $let: {
+          vars: { rank: { $indexOfArray: [preferred, '$language'] } },
+          in: { $cond: [{ $eq: ['$$rank', -1] }, preferred.length, '$$rank'] }
+        }
+      }
+    }
+  },
+  { $sort: { _languageRank: 1, createdAt: -1 } },
+  {
+    $group: {
+      _id: { $ifNull: ['$translationGroup', '$_id'] },
+      doc: { $first: '$$ROOT' },
+      availableLanguages: { $addToSet: '$language' }
+    }
+  },
+  {
+    $replaceRoot: {
+      newRoot: { $mergeObjects: ['$doc', { availableLanguages: '$availableLanguages' }] }
+    }
+  },
+  { $project: { _languageRank: 0 } }
+];
+
+exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+exports.LANGUAGE_CODES = LANGUAGE_CODES;
@@ -0,0 +1,309 @@
+// utils/listQuery.js
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query-string keys that control the listing rather than filter it.
+// `q` is left for endpoints that add their own free-text search.
+const RESERVED = ['page', 'limit', 'sort', 'fields', 'cursor', 'lang', 'q'];
+
+const OPERATORS = ['gte', 'gt', 'lte', 'lt', 'ne', 'in', 'nin'];
+
+const coerce = (value, type, key) => {
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new AppError(`${key} must be a number`, 400);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError(`${key} must be a date`, 400);
+      }
+      return date;
+    }
+    case 'boolean':
+      if (value !== 'true' && value !== 'false') {
+        throw new AppError(`${key} must be true or false`, 400);
+      }
+      return value === 'true';
+    case 'objectId':
+      if (!mongoose.isValidObjectId(value)) {
+        throw new AppError(`${key} must be a valid ID`, 400);
+      }
+      return new mongoose.Types.ObjectId(value);
+    default:
+      return String(value);
+  }
+};
+
+// Turns `readTime[lte]=5&category=Hygiene` into a MongoDB filter. Only the
+// keys listed in `filters` are accepted, either as { param: type } or as
+// { param: { type, path, lowercase } }, and values are coerced to that type.
+exports.parseFilter = (query, filters) => {
+  const filter = {};
+
+  Object.entries(query).forEach(([key, rawValue]) => {
+    if (RESERVED.includes(key)) return;
+
+    const [, name, operator] = key.match(/^([\w.]+)(?:\[(\w+)\])?$/) || [];
+    const spec = filters[name];
+    if (!spec || (operator && !OPERATORS.includes(operator))) {
+      throw new AppError(`Unknown filter: ${key}`, 400);
+    }
+
+    const { type, path = name, lowercase } = typeof spec === 'string' ? { type: spec } : spec;
+    let value = Array.isArray(rawValue) ? rawValue[rawValue.length - 1] : String(rawValue);
+    if (lowercase) value = value.toLowerCase();
+
+    if (!operator) {
+      filter[path] = coerce(value, type, key);
+      return;
+    }
+
+    const condition =
+      operator === 'in' || operator === 'nin'
+        ? value.split(',').map((v) => coerce(v, type, key))
+        : coerce(value, type, key);
+
+    filter[path] = { ...filter[path], [`$${operator}`]: condition };
+  });
+
+  return filter;
+};
+
+// "-readTime,title" -> { readTime: -1, title: 1, _id: -1 }
+exports.parseSort = (sort, allowed, defaultSort) => {
+  const spec = {};
+
+  (sort || defaultSort).split(',').forEach((part) => {
+    const field = part.trim().replace(/^-/, '');
+    if (!field) return;
+    if (!allowed.includes(field)) {
+      throw new AppError(`Cannot sort by ${field}`, 400);
+    }
+    spec[field] = part.trim().startsWith('-') ? -1 : 1;
+  });
+
+  // _id makes the order total, so pages and cursors never skip or repeat
+  if (!spec._id) spec._id = Object.values(spec)[0] || -1;
+  return spec;
+};
+
+// "title,readTime" -> { title: 1, readTime: 1 }
+exports.parseFields = (fields, allowed) => {
+  if (!fields) return null;
+
+  const projection = {};
+  fields.split(',').forEach((part) => {
+    const field = part.trim();
+    if (!field) return;
+    if (!allowed.includes(field)) {
+      throw new AppError(`Unknown field: ${field}`, 400);
+    }
+    projection[field] = 1;
+  });
+  return projection;
+};
+
+const cursorType = (value) => {
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+};
+
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField];
+  const payload = { v: value === undefined ? null : value, t: cursorType(value), id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return {
+      value: v === null ? null : coerce(String(v), t, 'cursor'),
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (err) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+// Documents strictly after the cursor position in the given sort order
+const cursorFilter = (sortField, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (sortField === '_id') return { _id: { [op]: id } };
+
+  return {
+    $or: [{ [sortField]: { [op]: value } }, { [sortField]: value, _id: { [op]: id } }]
+  };
+};
+
+const buildLink = (req, params) => {
+  const query = new URLSearchParams();
+  Object.entries({ ...req.query, ...params }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.set(key, value);
+  });
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${query}`;
+};
+
+/**
+ * Runs a list query shared by every collection endpoint.
+ *
+ * Supports page-based (`?page=2&limit=20`) and cursor-based
+ * (`?cursor=<nextCursor>&limit=20`) pagination, `?sort=-readTime,title`,
+ * `?fields=title,category` and whitelisted filters with range operators
+ * (`?readTime[lte]=5`). `options.pipeline` holds aggregation stages (such as
+ * translation collapsing) applied after filtering and before sorting;
+ * `options.pagePipeline` holds stages run only on the returned page (such as
+ * looking up media variants);
+ * `options.geoNear` turns the filter into a $geoNear stage, which adds a
+ * `distance` field; `options.query` replaces req.query when a controller
+ * needs to rewrite it.
+ */
+exports.listDocuments = async (Model, req, options) => {
+  const {
+    filters = {},
+    sortable = ['createdAt'],
+    selectable = [],
+    defaultSort = '-createdAt',
+    baseFilter = {},
+    pipeline,
+    pagePipeline = [],
+    geoNear,
+    exclude = {}
+  } = options;
+
+  const query = options.query || req.query;
+
+  const filter = { ...baseFilter, ...exports.parseFilter(query, filters) };
+  const sort = exports.parseSort(query.sort, [...sortable, '_id'], defaultSort);
+  // Copied: the cursor may add its sort field, and `exclude` is often a
+  // constant shared by every request
+  const projection = { ...(exports.parseFields(query.fields, selectable) || exclude) };
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  const useCursor = query.cursor !== undefined;
+  const sortFields = Object.keys(sort).filter((f) => f !== '_id');
+  if (useCursor && sortFields.length > 1) {
+    throw new AppError('Cursor pagination supports a single sort field', 400);
+  }
+  const sortField = sortFields[0] || '_id';
+  const page = useCursor ? 1 : Math.max(1, parseInt(query.page, 10) || 1);
+
+  const pageFilter =
+    useCursor && query.cursor
+      ? cursorFilter(sortField, sort[sortField], decodeCursor(query.cursor))
+      : {};
+
+  // The cursor needs the sort value even if ?fields= left it out
+  if (useCursor && Object.values(projection).includes(1)) projection[sortField] = 1;
+
+  const stages = [
+    geoNear ? { $geoNear: { ...geoNear, query: filter } } : { $match: filter },
+    ...(pipeline || []),
+    { $sort: sort },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        docs: [
+          { $match: pageFilter },
+          { $skip: (page - 1) * limit },
+          // One extra document tells us whether there is a next page
+          { $limit: limit + 1 },
+          ...pagePipeline,
+          ...(Object.keys(projection).length ? [{ $project: projection }] : [])
+        ]
+      }
+    }
+  ];
+
+  const [result] = await Model.aggregate(stages);
+  const total = result.total.length ? result.total[0].count : 0;
+  const hasMore = result.docs.length > limit;
+  const docs = result.docs.slice(0, limit);
+
+  const links = { self: buildLink(req, {}) };
+  let nextCursor = null;
+
+  if (useCursor) {
+    if (hasMore) {
+      const last = docs[docs.length - 1];
+      nextCursor = encodeCursor(last, sortField);
+      links.next = buildLink(req, { cursor: nextCursor, limit });
+    }
+  } else {
+    if (hasMore) links.next = buildLink(req, { page: page + 1, limit });
+    if (page > 1) links.prev = buildLink(req, { page: page - 1, limit });
+  }
+
+  return {
+    docs,
+    meta: {
+      total,
+      page: useCursor ? undefined : page,
+      pages: Math.ceil(total / limit),
+      limit,
+      nextCursor: useCursor ? nextCursor : undefined,
+      links
+    }
+  };
+};
+
+// Sends a list response in the API's usual shape
+exports.sendList = (res, key, { docs, meta }) => {
+  res.status(200).json({
+    status: 'success',
+    results: docs.length,
+    ...meta,
+    data: {
+      [key]: docs
+    }
+  });
+};
+
+const FILTER_SCHEMAS = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  date: { type: 'string', maxLength: 40 },
+  boolean: { type: 'boolean' },
+  objectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+};
+
+/**
+ * Builds the JSON Schema for a list endpoint's query string from the same
+ * options passed to listDocuments, so request validation and the query
+ * layer never disagree about which filters exist.
+ */
+exports.querySchema = (options, extraProperties = {}) => {
+  const properties = {
+    page: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    sort: { type: 'string', maxLength: 200 },
+    fields: { type: 'string', maxLength: 500 },
+    cursor: { type: 'string', maxLength: 500 },
+    lang: { type: 'string', maxLength: 20 }
+  };
+
+  Object.entries(options.filters || {}).forEach(([name, spec]) => {
+    const type = typeof spec === 'string' ? spec : spec.type;
+    properties[name] = FILTER_SCHEMAS[type];
+    OPERATORS.forEach((operator) => {
+      properties[`${name}[${operator}]`] =
+        operator === 'in' || operator === 'nin' ? { type: 'string' } : FILTER_SCHEMAS[type];
+    });
+  });
+
+  return {
+    type: 'object',
+    properties: { ...properties, ...extraProperties },
+    additionalProperties: false
+  };
+};
@@ -0,0 +1,537 @@
+// utils/openapi.js
+// Builds the OpenAPI 3.1 document from the routers themselves: paths and
+// methods from Express, inputs and responses from the validate() schemas,
+// access from protect/identify/restrictTo, file fields from the upload
+// middleware and document shapes from the Mongoose models. It is generated
+// from the code that serves the routes, so it can't drift from them;
+// checkRoutes() reports routes the document can't describe.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { protect, identify } = require('../middleware/auth');
+const { fragments } = require('../middleware/validation');
+const { version } = require('../package.json');
+
+const VALIDATION_DIR = path.join(__dirname, '..', 'validation');
+
+// Each request schema is named after its export ("createArticle"); the
+// name is the route's operationId
+let schemaNames;
+const nameOf = (schemas) => {
+  if (!schemaNames) {
+    schemaNames = new Map();
+    fs.readdirSync(VALIDATION_DIR)
+      .filter((file) => file.endsWith('.js'))
+      .forEach((file) => {
+        Object.entries(require(path.join(VALIDATION_DIR, file))).forEach(([name, value]) =>
+          schemaNames.set(value, name)
+        );
+      });
+  }
+  return schemaNames.get(schemas);
+};
+
+const pathParams = (routePath) => (routePath.match(/:\w+/g) || []).map((p) => p.slice(1));
+
+/**
+ * Every route of the mounted routers, in the order Express matches them:
+ * { tag, method, path, handlers, schemas, name, access }. `handlers` includes the
+ * middleware added by router.use() before the route.
+ */
+exports.listRoutes = (mounts) => {
+  const routes = mounts.flatMap(({ path: mountPath, router, tag }) => {
+    const found = [];
+    const shared = [];
+
+    router.stack.forEach((layer) => {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        return;
+      }
+
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .forEach((method) => {
+          const handlers = [
+            ...shared,
+            ...layer.route.stack.filter((l) => l.method === method).map((l) => l.handle)
+          ];
+          const validator = handlers.find((handler) => handler.schemas);
+          const schemas = validator ? validator.schemas : undefined;
+
+          found.push({
+            tag,
+            method,
+            path: `${mountPath}${layer.route.path === '/' ? '' : layer.route.path}`,
+            handlers,
+            schemas,
+            name: schemas && nameOf(schemas),
+            access: accessOf(handlers)
+          });
+        });
+    });
+    return found;
+  });
+
+  // Routes sharing one schema (POST /:id/approve, /:id/reject...) are told
+  // apart by their last path segment, or by method when the path is the same
+  const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+  const lastSegment = (route) =>
+    route.path
+      .split('/')
+      .filter((segment) => segment && !segment.startsWith(':'))
+      .pop()
+      .replace(/-(\w)/g, (m, c) => c.toUpperCase());
+
+  const byName = new Map();
+  routes
+    .filter((route) => route.name)
+    .forEach((route) => {
+      byName.set(route.name, [...(byName.get(route.name) || []), route]);
+    });
+  byName.forEach((shared) => {
+    if (shared.length < 2) return;
+    const segments = shared.map(lastSegment);
+    const distinct = new Set(segments).size === segments.length;
+    shared.forEach((route, i) => {
+      route.name += capitalize(distinct ? segments[i] : route.method);
+    });
+  });
+
+  return routes;
+};
+
+// Request schemas are JSON Schema draft-07 (for AJV); OpenAPI 3.1 uses
+// 2020-12, where tuples are written with prefixItems
+const toSchema = (schema) =>
+  JSON.parse(JSON.stringify(schema), (key, value) => {
+    if (!value || !Array.isArray(value.items)) return value;
+    const { items, ...rest } = value;
+    return { ...rest, prefixItems: items, items: false };
+  });
+
+const parameters = (schema, location) =>
+  Object.entries((schema && schema.properties) || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(schema.required && schema.required.includes(name)),
+    schema: toSchema(property)
+  }));
+
+const requestBody = (route) => {
+  const body = route.schemas && route.schemas.body;
+  const upload = route.handlers.map((handler) => handler.upload).find(Boolean);
+  const form = route.handlers.some((handler) => handler.name === 'urlencodedParser');
+  const content = {};
+
+  if (upload) {
+    const { properties = {}, required = [] } = body || {};
+    content['multipart/form-data'] = {
+      schema: {
+        type: 'object',
+        properties: {
+          ...toSchema(properties),
+          [upload.field]: {
+            type: 'string',
+            format: 'binary',
+            description: `One of: ${upload.types.join(', ')}`
+          }
+        },
+        required: upload.required ? [...required, upload.field] : required
+      }
+    };
+    Object.entries(upload.raw || {}).forEach(([type, schema]) => {
+      content[type] = { schema };
+    });
+    if (body && !upload.required) content['application/json'] = { schema: toSchema(body) };
+  } else if (body) {
+    content[form ? 'application/x-www-form-urlencoded' : 'application/json'] = {
+      schema: toSchema(body)
+    };
+  }
+
+  if (!Object.keys(content).length) return undefined;
+  return { required: Boolean(upload ? upload.required || body : body), content };
+};
+
+// The JSON Schema of a Mongoose path. References that a controller
+// populates come back as the document rather than its ID.
+const pathSchema = (type) => {
+  const { ref } = type.options;
+  switch (type.instance) {
+    case 'String':
+      return type.enumValues.length
+        ? { type: 'string', enum: type.enumValues }
+        : { type: 'string' };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+      return ref
+        ? { anyOf: [fragments.objectId, { type: 'object' }], description: `${ref} ID or document` }
+        : fragments.objectId;
+    case 'Array': {
+      let items = {};
+      if (type.schema) items = documentSchema(type.schema);
+      else if (type.caster) items = pathSchema(type.caster);
+      return { type: 'array', items };
+    }
+    case 'Embedded':
+      return documentSchema(type.schema);
+    default:
+      return {};
+  }
+};
+
+// The JSON Schema of a Mongoose schema. Dotted paths ("location.type")
+// become nested objects; fields that are never selected are left out.
+const documentSchema = (schema) => {
+  const root = { type: 'object', properties: {} };
+  schema.eachPath((name, type) => {
+    if (name === '__v' || type.options.select === false) return;
+
+    const parts = name.split('.');
+    const parent = parts.slice(0, -1).reduce((node, part) => {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+      return node.properties[part];
+    }, root);
+    parent.properties[parts[parts.length - 1]] = pathSchema(type);
+  });
+  return root;
+};
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const RESPONSE_DESCRIPTIONS = {
+  200: 'Success',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No content',
+  302: 'Served from the URL in Location',
+  304: 'Not modified'
+};
+
+/**
+ * Responses come from the `responses` of a route's validate() schemas,
+ * keyed by status code. Each is
+ *  - { data: { ... } }: the usual { status, data } envelope; in `data`, a
+ *    model name ('Article') stands for that model's document and
+ *    ['Article'] for a list of them, and anything else is JSON Schema.
+ *    {} is the envelope alone, e.g. { status, message }. JSON Schema can
+ *    $ref a model as #/components/schemas/<name>.
+ *  - { body: schema }: a JSON body that isn't enveloped
+ *  - a media type ('text/csv'): a body that isn't JSON
+ *  - null: no body
+ *  - a list of these, for routes that answer in more than one format
+ * Model names are added to `models`.
+ */
+const responseOf = (status, spec, models) => {
+  const description = RESPONSE_DESCRIPTIONS[status] || 'Success';
+  if (spec === null) return { description };
+
+  // JSON Schema may also $ref a model's document
+  const jsonSchema = (value) => {
+    const schema = toSchema(value);
+    for (const [, name] of JSON.stringify(schema).matchAll(/#\/components\/schemas\/(\w+)/g)) {
+      if (!components.schemas[name]) models.add(name);
+    }
+    return schema;
+  };
+  const resolve = (value) => {
+    if (typeof value === 'string') {
+      models.add(value);
+      return schemaRef(value);
+    }
+    if (Array.isArray(value)) return { type: 'array', items: resolve(value[0]) };
+    return jsonSchema(value);
+  };
+
+  const content = {};
+  [].concat(spec).forEach((body) => {
+    if (typeof body === 'string') {
+      content[body] = { schema: { type: 'string' } };
+    } else if (body.body) {
+      content['application/json'] = { schema: jsonSchema(body.body) };
+    } else if (!body.data) {
+      content['application/json'] = { schema: schemaRef('Success') };
+    } else {
+      const properties = Object.fromEntries(
+        Object.entries(body.data).map(([name, value]) => [name, resolve(value)])
+      );
+      content['application/json'] = {
+        schema: {
+          allOf: [
+            schemaRef('Success'),
+            {
+              properties: {
+                data: { type: 'object', properties, required: Object.keys(properties) }
+              }
+            }
+          ]
+        }
+      };
+    }
+  });
+  return { description, content };
+};
+
+// "getAllArticles" -> "Get all articles"
+const summaryOf = (route) =>
+  route.name
+    ? route.name
+        .replace(/([A-Z])/g, ' $1')
+        .replace(/^./, (c) => c.toUpperCase())
+        .replace(/ [A-Z](?![A-Z])/g, (c) => c.toLowerCase())
+    : `${route.method.toUpperCase()} ${route.path}`;
+
+const accessOf = (handlers) => {
+  const roles = handlers.map((handler) => handler.roles).find(Boolean);
+  if (roles) return { auth: 'required', roles };
+  if (handlers.includes(protect)) return { auth: 'required' };
+  if (handlers.includes(identify)) return { auth: 'optional' };
+  return { auth: 'none' };
+};
+
+// Who may call the route, in words
+exports.describeAccess = ({ auth, roles }) => {
+  if (roles) return roles.join(', ');
+  return { required: 'Signed in', optional: 'Public (more when signed in)', none: 'Public' }[auth];
+};
+
+// "post /api/sms/inbound" -> "postApiSmsInbound"
+const fallbackId = (route) =>
+  `${route.method}${route.path.replace(/\W+(\w)?/g, (m, c) => (c || '').toUpperCase())}`;
+
+const AUTH_SCHEMES = [{ bearerAuth: [] }, { cookieAuth: [] }];
+
+const operation = (route, models = new Set()) => {
+  const { access } = route;
+  const { params, query, responses: declared } = route.schemas || {};
+
+  const responses = {};
+  if (declared) {
+    Object.entries(declared).forEach(([status, spec]) => {
+      responses[status] = responseOf(status, spec, models);
+    });
+  } else {
+    responses['2XX'] = { $ref: '#/components/responses/Success' };
+  }
+  if (route.schemas) responses[400] = { $ref: '#/components/responses/ValidationError' };
+  if (access.auth === 'required') responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  if (access.roles) responses[403] = { $ref: '#/components/responses/Forbidden' };
+  if (pathParams(route.path).length) responses[404] = { $ref: '#/components/responses/NotFound' };
+  responses.default = { $ref: '#/components/responses/Error' };
+
+  const op = {
+    tags: [route.tag],
+    summary: summaryOf(route),
+    operationId: route.name || fallbackId(route),
+    parameters: [...parameters(params, 'path'), ...parameters(query, 'query')],
+    requestBody: requestBody(route),
+    responses
+  };
+  if (access.auth === 'required') op.security = AUTH_SCHEMES;
+  if (access.auth === 'optional') op.security = [{}, ...AUTH_SCHEMES];
+  if (access.roles) {
+    op.description = `Roles: ${access.roles.join(', ')}`;
+    op['x-roles'] = access.roles;
+  }
+  if (!op.requestBody) delete op.requestBody;
+  return op;
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    cookieAuth: { type: 'apiKey', in: 'cookie', name: 'jwt' }
+  },
+  schemas: {
+    // Lists add results and their page; some routes add a message or token
+    Success: {
+      type: 'object',
+      properties: {
+        status: { const: 'success' },
+        message: { type: 'string' },
+        token: { type: 'string' },
+        results: { type: 'integer' },
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        pages: { type: 'integer' },
+        limit: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'] },
+        links: {
+          type: 'object',
+          properties: {
+            self: { type: 'string' },
+            next: { type: 'string' },
+            prev: { type: 'string' }
+          }
+        },
+        data: { type: ['object', 'null'] }
+      },
+      required: ['status']
+    },
+    // One changed field, from utils/diff.js: a line diff of multi-line
+    // text, or the values before and after
+    Change: {
+      type: 'object',
+      properties: {
+        field: { type: 'string' },
+        before: {},
+        after: {},
+        truncated: { type: 'boolean' },
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              op: { enum: ['equal', 'add', 'remove'] },
+              lines: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      },
+      required: ['field']
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        status: { enum: ['fail', 'error'] },
+        code: { type: 'string' },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              location: { enum: ['params', 'query', 'body'] },
+              row: { type: 'integer' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['status', 'code', 'message']
+    }
+  },
+  responses: Object.fromEntries(
+    [
+      ['Success', 'Success', 'Success'],
+      ['ValidationError', 'Invalid input; details lists every problem', 'Error'],
+      ['Unauthorized', 'Not logged in, or the token is invalid or expired', 'Error'],
+      ['Forbidden', 'The user does not have a role allowed here', 'Error'],
+      ['NotFound', 'No document with that ID', 'Error'],
+      ['Error', 'Error', 'Error']
+    ].map(([name, description, schema]) => [
+      name,
+      {
+        description,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+      }
+    ])
+  )
+};
+
+/**
+ * The OpenAPI document for the mounted routers (see routes/index.js)
+ */
+exports.buildSpec = (mounts) => {
+  const paths = {};
+  const models = new Set();
+  exports.listRoutes(mounts).forEach((route) => {
+    const key = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[key] = { ...paths[key], [route.method]: operation(route, models) };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'AgriHealth Africa API',
+      version,
+      description:
+        'Health content for farmers. Responses are JSON shaped { status, data }; ' +
+        'errors are { status, code, message, details }. Send Accept-Language or ?lang= ' +
+        'to choose the language of content.'
+    },
+    servers: [{ url: '/' }],
+    tags: mounts.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      ...components,
+      schemas: {
+        ...components.schemas,
+        ...Object.fromEntries(
+          [...models].sort().map((name) => [name, documentSchema(mongoose.model(name).schema)])
+        )
+      }
+    }
+  };
+};
+
+/**
+ * Routes the document would describe wrongly, as messages:
+ *  - no validate() schemas, so its inputs are undocumented (and unchecked)
+ *  - no responses, or responses naming a model that doesn't exist
+ *  - path parameters that differ from its params schema
+ *  - an earlier route in the same router that matches its path first
+ *  - an operationId used by another route
+ */
+exports.checkRoutes = (mounts) => {
+  const problems = [];
+  const routes = exports.listRoutes(mounts);
+  const operationIds = new Map();
+
+  routes.forEach((route, i) => {
+    const label = `${route.method.toUpperCase()} ${route.path}`;
+
+    if (!route.schemas) {
+      problems.push(`${label} has no validate() request schemas`);
+      return;
+    }
+
+    if (!route.schemas.responses) problems.push(`${label} has no responses in its schemas`);
+
+    const inPath = pathParams(route.path);
+    const inSchema = Object.keys((route.schemas.params && route.schemas.params.properties) || {});
+    inPath
+      .filter((p) => !inSchema.includes(p))
+      .forEach((p) => problems.push(`${label}: path parameter "${p}" is not in the params schema`));
+    inSchema
+      .filter((p) => !inPath.includes(p))
+      .forEach((p) =>
+        problems.push(`${label}: params schema has "${p}", which is not in the path`)
+      );
+
+    const matches = (earlier) =>
+      new RegExp(`^${earlier.path.replace(/:\w+/g, '[^/]+')}$`).test(route.path);
+    routes
+      .slice(0, i)
+      .filter((earlier) => earlier.method === route.method && matches(earlier))
+      .forEach((earlier) =>
+        problems.push(
+          earlier.path === route.path
+            ? `${label} is declared twice`
+            : `${label} is unreachable: ${earlier.path} is matched first`
+        )
+      );
+
+    const models = new Set();
+    const { operationId } = operation(route, models);
+    [...models]
+      .filter((name) => !mongoose.modelNames().includes(name))
+      .forEach((name) => problems.push(`${label}: responses name an unknown model ${name}`));
+
+    if (operationIds.has(operationId)) {
+      problems.push(
+        `${label} has the operationId ${operationId} of ${operationIds.get(operationId)}`
+      );
+    }
+    operationIds.set(operationId, label);
+  });
+
+  return problems;
+};
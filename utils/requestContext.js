@@ -0,0 +1,11 @@
+// utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Makes the request being handled available to code it isn't passed to,
+// such as model hooks. Outside a request (the scheduler, SMS broadcasts)
+// there is none.
+exports.bind = (req, res, next) => storage.run(req, next);
+
+exports.currentRequest = () => storage.getStore();
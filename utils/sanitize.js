@@ -0,0 +1,20 @@
+// utils/sanitize.js
+
+// Decodes the handful of entities people type, then removes HTML tags (and
+// the contents of script/style blocks), leaving plain text. Decoding first
+// means an encoded tag such as &lt;script&gt; is removed rather than revived.
+// Only tag-shaped text is removed, so "<2 litres" or ">3 hours" survive.
+exports.stripHtml = (value) => {
+  if (typeof value !== 'string') return value;
+  return value
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&amp;/gi, '&')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .trim();
+};
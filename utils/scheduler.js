@@ -0,0 +1,38 @@
+// utils/scheduler.js
+const Article = require('../models/Article');
+const AuditLog = require('../models/AuditLog');
+const { broadcastDailyTips } = require('./smsCommands');
+const sms = require('./sms');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Publishes approved articles whose scheduled time has passed. Readers
+// already see them from that moment (see Article.publishedFilter); this
+// just brings the stored status in line.
+exports.publishDueArticles = async (now = new Date()) => {
+  const due = await Article.find({ status: 'approved', scheduledFor: { $lte: now } });
+
+  for (const article of due) {
+    article.status = 'published';
+    article.publishedAt = article.scheduledFor;
+    article.scheduledFor = undefined;
+    article.$locals.revisionNote = 'Published on schedule';
+    await article.save();
+  }
+
+  return due.length;
+};
+
+exports.start = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    exports.publishDueArticles().catch((err) => console.error('❌ Scheduled publishing failed:', err));
+    if (sms.isAvailable()) {
+      broadcastDailyTips().catch((err) => console.error('❌ Daily tip broadcast failed:', err));
+    }
+    AuditLog.purgeExpired().catch((err) => console.error('❌ Audit log purge failed:', err));
+  }, intervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,106 @@
+// utils/search.js
+const { fold, tokenize, escapeRegExp } = require('./textNormalize');
+
+const CANDIDATE_LIMIT = 200;
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Matches a token at the start of a word in folded text
+const prefixPattern = (token) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(token)}`, 'u');
+
+// Finds candidates two ways and merges them: MongoDB's $text index (which
+// stems English and French) and a prefix regex over the folded searchText,
+// which catches partly typed words and Kinyarwanda/Swahili word forms.
+exports.findCandidates = async (Model, query, filter) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  const [textMatches, prefixMatches] = await Promise.all([
+    Model.find({ ...filter, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    Model.find({
+      $and: [
+        filter,
+        {
+          $or: tokens.map((token) => ({
+            searchText: { $regex: `(^|[^a-z0-9])${escapeRegExp(token)}` }
+          }))
+        }
+      ]
+    })
+      .limit(CANDIDATE_LIMIT)
+      .lean()
+  ]);
+
+  const byId = new Map();
+  [...textMatches, ...prefixMatches].forEach((doc) => {
+    const id = String(doc._id);
+    byId.set(id, { ...byId.get(id), ...doc });
+  });
+  return [...byId.values()];
+};
+
+// Scores a document: every token found as a word prefix in a field adds that
+// field's weight, a whole-word match counts double, MongoDB's textScore is
+// added on top, and documents in the reader's language get a boost.
+exports.score = (doc, tokens, weights, language) => {
+  let score = doc.score || 0;
+
+  Object.entries(weights).forEach(([field, weight]) => {
+    const raw = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+    const text = fold(raw || '');
+    tokens.forEach((token) => {
+      if (!prefixPattern(token).test(text)) return;
+      const whole = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(token)}($|[^\\p{L}\\p{N}])`, 'u');
+      score += weight * (whole.test(text) ? 2 : 1);
+    });
+  });
+
+  if (language && doc.language === language) score *= 1.5;
+  return score;
+};
+
+// Returns a short excerpt around the first match with matches wrapped in
+// <mark>. The rest of the text is HTML-escaped so the snippet is safe to
+// insert with innerHTML.
+exports.highlight = (text, tokens, length = SNIPPET_LENGTH) => {
+  if (!text) return '';
+  const folded = fold(text);
+
+  const ranges = [];
+  tokens.forEach((token) => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(token)}[\\p{L}\\p{N}]*)`, 'gu');
+    let match;
+    while ((match = pattern.exec(folded)) !== null) {
+      const start = match.index + match[1].length;
+      ranges.push([start, start + match[2].length]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const first = ranges.length ? ranges[0][0] : 0;
+  let from = Math.max(0, first - Math.floor(length / 4));
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    if (space !== -1 && space < first) from = space + 1;
+  }
+  const to = Math.min(text.length, from + length);
+
+  let snippet = '';
+  let cursor = from;
+  ranges
+    .filter(([start, end]) => start >= from && end <= to)
+    .forEach(([start, end]) => {
+      if (start < cursor) return;
+      snippet += escapeHtml(text.slice(cursor, start));
+      snippet += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+  snippet += escapeHtml(text.slice(cursor, to));
+
+  return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+};
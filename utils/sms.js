@@ -0,0 +1,123 @@
+// utils/sms.js
+const AppError = require('./appError');
+
+// A provider turns webhook requests into { from, text } (SMS) or
+// { sessionId, from, text } (USSD, where text is the menu path so far,
+// e.g. "2*Musanze"), writes USSD replies, and sends outbound SMS.
+// Africa's Talking is used in production; the simulator keeps the latest
+// outbound messages in `sent` so the whole flow can run locally.
+
+const AT_API = {
+  live: 'https://api.africastalking.com/version1/messaging',
+  sandbox: 'https://api.sandbox.africastalking.com/version1/messaging'
+};
+
+const createAfricasTalkingProvider = () => {
+  const username = process.env.AT_USERNAME;
+  const url = username === 'sandbox' ? AT_API.sandbox : AT_API.live;
+
+  return {
+    name: 'africastalking',
+    parseSms: (req) => ({ from: req.body.from, text: req.body.text }),
+    parseUssd: (req) => ({
+      sessionId: req.body.sessionId,
+      from: req.body.phoneNumber,
+      text: req.body.text
+    }),
+    replyUssd: (res, { message, end }) => {
+      res.type('text/plain').send(`${end ? 'END' : 'CON'} ${message}`);
+    },
+    send: async ({ to, message }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          apiKey: process.env.AT_API_KEY,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          username,
+          to,
+          message,
+          ...(process.env.AT_SENDER_ID ? { from: process.env.AT_SENDER_ID } : {})
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS provider answered ${response.status}`);
+      }
+      return response.json();
+    }
+  };
+};
+
+// Messages the simulator keeps; older ones are dropped
+const SIMULATOR_KEEP = 200;
+
+const createSimulator = () => {
+  const sent = [];
+
+  return {
+    name: 'simulator',
+    sent,
+    parseSms: (req) => ({ from: req.body.from, text: req.body.text }),
+    parseUssd: (req) => ({
+      sessionId: req.body.sessionId,
+      from: req.body.from,
+      text: req.body.text
+    }),
+    replyUssd: (res, { message, end }) => {
+      res.status(200).json({ status: 'success', data: { message, end } });
+    },
+    send: async ({ to, message }) => {
+      sent.push({ to, message, sentAt: new Date() });
+      if (sent.length > SIMULATOR_KEEP) sent.splice(0, sent.length - SIMULATOR_KEEP);
+      return { accepted: [to] };
+    },
+    clear: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+const providerFactories = {
+  africastalking: createAfricasTalkingProvider,
+  simulator: createSimulator
+};
+
+let provider;
+
+// Nothing is sent to real phones unless a provider is chosen explicitly
+const defaultProviderName = () => process.env.SMS_PROVIDER || 'simulator';
+
+// The simulator only makes sense on a developer's machine: in production it
+// would swallow every message, so SMS stays off until a provider is set
+exports.usesSimulator = () => (provider ? provider.name : defaultProviderName()) === 'simulator';
+exports.isAvailable = () => !(process.env.NODE_ENV === 'production' && exports.usesSimulator());
+
+exports.getProvider = () => {
+  if (!provider) {
+    if (!exports.isAvailable()) {
+      throw new AppError('SMS is not set up on this server (SMS_PROVIDER is not set)', 503);
+    }
+    const factory = providerFactories[defaultProviderName()];
+    if (!factory) {
+      throw new Error(`Unknown SMS_PROVIDER "${defaultProviderName()}"`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+exports.setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+exports.createSimulator = createSimulator;
+
+// Sends each segment as its own SMS so no handset has to reassemble them
+exports.sendSms = async (to, segments) => {
+  for (const message of segments) {
+    await exports.getProvider().send({ to, message });
+  }
+};
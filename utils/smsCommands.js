@@ -0,0 +1,209 @@
+// utils/smsCommands.js
+const Tip = require('../models/Tip');
+const HealthService = require('../models/HealthService');
+const SmsSubscriber = require('../models/SmsSubscriber');
+const config = require('../config/sms');
+const { LANGUAGES } = require('./constants');
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require('./language');
+const { startOfDay } = require('./tipSchedule');
+const { escapeRegExp } = require('./textNormalize');
+const { t } = require('./smsMessages');
+const { fitSegments, truncate } = require('./smsText');
+const { sendSms, getProvider } = require('./sms');
+
+// Actions shared by the SMS keywords and the USSD menu. Each returns the
+// reply text in the subscriber's language.
+
+const tipText = async (language, date = new Date()) => {
+  const { tip } = await Tip.pickForDay([language, DEFAULT_LANGUAGE], startOfDay(date));
+  return tip ? `${tip.title}: ${tip.content}` : null;
+};
+
+const clinicsText = async (subscriber, district) => {
+  const name = new RegExp(`^${escapeRegExp(district.trim())}$`, 'i');
+  const services = await HealthService.find({ $or: [{ district: name }, { province: name }] })
+    .sort('name')
+    .limit(config.maxClinics);
+
+  if (!services.length) return t(subscriber.language, 'noClinic', { district });
+
+  const lines = services.map((service) => {
+    const phone = service.phones && service.phones[0];
+    return phone ? `${service.name} ${phone.number}` : service.name;
+  });
+  return `${t(subscriber.language, 'clinicHeader', { district })} ${lines.join('; ')}`;
+};
+
+const setDailyTips = async (subscriber, enabled) => {
+  subscriber.setDailyTips(enabled);
+  await subscriber.save();
+  return t(subscriber.language, enabled ? 'joined' : 'stopped');
+};
+
+const setLanguage = async (subscriber, language) => {
+  subscriber.language = language;
+  await subscriber.save();
+  return t(language, 'languageSet');
+};
+
+// SMS keywords, matched on the first word (case-insensitive). Each command
+// also answers to its name in the other site languages.
+const COMMANDS = [
+  {
+    keywords: ['TIP', 'CONSEIL', 'INAMA', 'USHAURI'],
+    // "TIP SW" answers in Swahili this once without changing the preference
+    run: async (subscriber, [code]) => {
+      const language = normalizeLanguage(code) || subscriber.language;
+      return (await tipText(language)) || t(language, 'noTip');
+    }
+  },
+  {
+    keywords: ['CLINIC', 'CLINIQUE', 'IVURIRO', 'KLINIKI'],
+    run: (subscriber, args) =>
+      args.length ? clinicsText(subscriber, args.join(' ')) : t(subscriber.language, 'clinicAsk')
+  },
+  {
+    keywords: ['JOIN', 'START', 'SUBSCRIBE'],
+    run: (subscriber, [code]) => {
+      const language = normalizeLanguage(code);
+      if (language) subscriber.language = language;
+      return setDailyTips(subscriber, true);
+    }
+  },
+  {
+    // The usual carrier opt-out words, plus "stop" in Kinyarwanda and Swahili
+    keywords: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'HAGARIKA', 'SITISHA'],
+    run: (subscriber) => setDailyTips(subscriber, false)
+  },
+  {
+    keywords: ['LANG', 'LANGUE', 'URURIMI', 'LUGHA'],
+    run: (subscriber, [code]) => {
+      const language = normalizeLanguage(code);
+      return language ? setLanguage(subscriber, language) : t(subscriber.language, 'unknownLanguage');
+    }
+  }
+];
+
+const findCommand = (keyword) => COMMANDS.find((command) => command.keywords.includes(keyword));
+
+/**
+ * Answers an inbound SMS. Returns the reply split into SMS segments;
+ * anything that isn't a known keyword gets the help text.
+ */
+exports.handleSms = async ({ from, text = '' }) => {
+  const subscriber = await SmsSubscriber.forPhone(from);
+  const [keyword = '', ...args] = text.trim().split(/\s+/);
+
+  const command = findCommand(keyword.toUpperCase());
+  const reply = command ? await command.run(subscriber, args) : t(subscriber.language, 'help');
+
+  return fitSegments(reply, { maxSegments: config.maxSegments });
+};
+
+// USSD menu tree. A node shows `prompt` (a message key) or `screen` (fixed
+// text); `options` maps the digit the user picks to the next node; `input`
+// takes free text; `action` ends the session with its reply.
+const USSD_MENU = {
+  prompt: 'menu',
+  options: {
+    1: {
+      action: async (subscriber) =>
+        (await tipText(subscriber.language)) || t(subscriber.language, 'noTip')
+    },
+    2: { prompt: 'enterDistrict', input: clinicsText },
+    3: {
+      prompt: 'dailyMenu',
+      options: {
+        1: { action: (subscriber) => setDailyTips(subscriber, true) },
+        2: { action: (subscriber) => setDailyTips(subscriber, false) }
+      }
+    },
+    4: {
+      screen: LANGUAGES.map((language, i) => `${i + 1}. ${language}`).join('\n'),
+      options: Object.fromEntries(
+        LANGUAGES.map((language, i) => [
+          i + 1,
+          { action: (subscriber) => setLanguage(subscriber, language) }
+        ])
+      )
+    }
+  }
+};
+
+/**
+ * Answers one step of a USSD session. `text` is every answer so far joined
+ * with "*" (the convention USSD gateways use), so the menu is replayed
+ * from the top on each request and no session state is stored.
+ */
+exports.handleUssd = async ({ from, text = '' }) => {
+  const subscriber = await SmsSubscriber.forPhone(from);
+  const steps = text ? text.split('*') : [];
+  const end = (message) => ({ message: truncate(message), end: true });
+
+  let node = USSD_MENU;
+  for (const step of steps) {
+    if (node.input) return end(await node.input(subscriber, step));
+
+    const next = node.options && node.options[step.trim()];
+    if (!next) return end(t(subscriber.language, 'invalidChoice'));
+    if (next.action) return end(await next.action(subscriber));
+    node = next;
+  }
+
+  return { message: node.screen || t(subscriber.language, node.prompt), end: false };
+};
+
+/**
+ * Sends today's tip to every subscriber who opted in and hasn't had it yet.
+ * Runs from the scheduler; does nothing before the broadcast hour, and
+ * handles at most one batch per run. Each subscriber is claimed (marked as
+ * sent) before the SMS goes out, so overlapping runs never send it twice.
+ */
+exports.broadcastDailyTips = async (now = new Date()) => {
+  if (now.getUTCHours() < config.broadcastHour) return 0;
+  // Fails before anyone is marked as sent when SMS isn't set up
+  getProvider();
+
+  const today = startOfDay(now);
+  const notSentToday = { lastTipSentAt: { $not: { $gte: today } } };
+  const due = await SmsSubscriber.find({ dailyTips: true, ...notSentToday })
+    .select('_id')
+    .limit(config.broadcastBatchSize);
+
+  const tips = new Map();
+  let sent = 0;
+
+  for (const { _id } of due) {
+    // Marked even when there is no tip, so the day isn't retried every run.
+    // Returns the subscriber as it was, or null if another run claimed it.
+    const subscriber = await SmsSubscriber.findOneAndUpdate(
+      { _id, dailyTips: true, ...notSentToday },
+      { $set: { lastTipSentAt: now } }
+    );
+    if (!subscriber) continue;
+
+    if (!tips.has(subscriber.language)) {
+      tips.set(subscriber.language, await tipText(subscriber.language, today));
+    }
+    const text = tips.get(subscriber.language);
+    if (!text) continue;
+
+    try {
+      const suffix = t(subscriber.language, 'dailyFooter');
+      const segments = fitSegments(text, { maxSegments: config.maxSegments, suffix });
+      await sendSms(subscriber.phone, segments);
+      sent += 1;
+    } catch (err) {
+      console.error(`❌ Daily tip to ${subscriber.phone} failed:`, err.message);
+      // Released so a later run tries again
+      await SmsSubscriber.updateOne(
+        { _id, lastTipSentAt: now },
+        subscriber.lastTipSentAt
+          ? { $set: { lastTipSentAt: subscriber.lastTipSentAt } }
+          : { $unset: { lastTipSentAt: 1 } }
+      ).catch(() => {});
+    }
+  }
+
+  return sent;
+};
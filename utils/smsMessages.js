@@ -0,0 +1,82 @@
+// utils/smsMessages.js
+const { DEFAULT_LANGUAGE } = require('./language');
+
+// Replies for the SMS and USSD channels. Keep them short: a reply is paid
+// for per 160-character segment, and a USSD screen holds about as much.
+const MESSAGES = {
+  English: {
+    help: 'AgriHealth: send TIP for today\'s tip, CLINIC <district> for health services, JOIN for a daily tip, STOP to end, LANG EN/FR/RW/SW for language.',
+    noTip: 'Sorry, no tip is available today.',
+    clinicAsk: 'Send CLINIC followed by your district, e.g. CLINIC Musanze.',
+    noClinic: 'No health services found in {district}. In an emergency call 112.',
+    clinicHeader: 'Health services in {district}:',
+    joined: 'You will get a health tip every day. Reply STOP to end.',
+    stopped: 'You will no longer get daily tips. Reply JOIN to start again.',
+    languageSet: 'Language set to English.',
+    unknownLanguage: 'Unknown language. Send LANG EN, LANG FR, LANG RW or LANG SW.',
+    dailyFooter: 'Reply STOP to end',
+    menu: 'AgriHealth\n1. Tip of the day\n2. Find health services\n3. Daily SMS tips\n4. Language',
+    enterDistrict: 'Enter your district:',
+    dailyMenu: '1. Start daily tips\n2. Stop daily tips',
+    invalidChoice: 'Invalid choice.',
+    confirmSubscription: 'AgriHealth: please confirm your subscription: {url}'
+  },
+  Français: {
+    help: 'AgriHealth : TIP = conseil du jour, CLINIC <district> = services de santé, JOIN = un conseil par jour, STOP = terminer, LANG EN/FR/RW/SW = langue.',
+    noTip: 'Désolé, aucun conseil n\'est disponible aujourd\'hui.',
+    clinicAsk: 'Envoyez CLINIC suivi de votre district, ex. CLINIC Musanze.',
+    noClinic: 'Aucun service de santé trouvé à {district}. En cas d\'urgence appelez le 112.',
+    clinicHeader: 'Services de santé à {district} :',
+    joined: 'Vous recevrez un conseil santé chaque jour. Répondez STOP pour terminer.',
+    stopped: 'Vous ne recevrez plus de conseils quotidiens. Répondez JOIN pour recommencer.',
+    languageSet: 'Langue choisie : Français.',
+    unknownLanguage: 'Langue inconnue. Envoyez LANG EN, LANG FR, LANG RW ou LANG SW.',
+    dailyFooter: 'Répondez STOP pour terminer',
+    menu: 'AgriHealth\n1. Conseil du jour\n2. Services de santé\n3. Conseils par SMS\n4. Langue',
+    enterDistrict: 'Entrez votre district :',
+    dailyMenu: '1. Recevoir un conseil par jour\n2. Stopper les conseils',
+    invalidChoice: 'Choix invalide.',
+    confirmSubscription: 'AgriHealth : confirmez votre inscription : {url}'
+  },
+  Kinyarwanda: {
+    help: 'AgriHealth: ohereza TIP ubone inama y\'uyu munsi, CLINIC <akarere> ubone serivisi z\'ubuzima, JOIN inama buri munsi, STOP guhagarika, LANG EN/FR/RW/SW ururimi.',
+    noTip: 'Mwihangane, nta nama ihari uyu munsi.',
+    clinicAsk: 'Ohereza CLINIC ukurikizeho akarere kawe, urugero CLINIC Musanze.',
+    noClinic: 'Nta serivisi z\'ubuzima zabonetse i {district}. Mu gihe cy\'ubutabazi hamagara 112.',
+    clinicHeader: 'Serivisi z\'ubuzima i {district}:',
+    joined: 'Uzajya uhabwa inama y\'ubuzima buri munsi. Subiza STOP guhagarika.',
+    stopped: 'Ntuzongera guhabwa inama za buri munsi. Subiza JOIN kongera gutangira.',
+    languageSet: 'Ururimi: Kinyarwanda.',
+    unknownLanguage: 'Ururimi ntiruzwi. Ohereza LANG EN, LANG FR, LANG RW cyangwa LANG SW.',
+    dailyFooter: 'Subiza STOP guhagarika',
+    menu: 'AgriHealth\n1. Inama y\'uyu munsi\n2. Serivisi z\'ubuzima\n3. Inama kuri SMS\n4. Ururimi',
+    enterDistrict: 'Andika akarere kawe:',
+    dailyMenu: '1. Tangira inama za buri munsi\n2. Hagarika inama za buri munsi',
+    invalidChoice: 'Ibyo wahisemo ntibibaho.',
+    confirmSubscription: 'AgriHealth: emeza kwiyandikisha kwawe: {url}'
+  },
+  Swahili: {
+    help: 'AgriHealth: tuma TIP upate ushauri wa leo, CLINIC <wilaya> upate huduma za afya, JOIN upate ushauri kila siku, STOP kusitisha, LANG EN/FR/RW/SW kwa lugha.',
+    noTip: 'Samahani, hakuna ushauri leo.',
+    clinicAsk: 'Tuma CLINIC ikifuatiwa na wilaya yako, mfano CLINIC Musanze.',
+    noClinic: 'Hakuna huduma za afya zilizopatikana {district}. Kwa dharura piga 112.',
+    clinicHeader: 'Huduma za afya {district}:',
+    joined: 'Utapokea ushauri wa afya kila siku. Jibu STOP kusitisha.',
+    stopped: 'Hutapokea tena ushauri wa kila siku. Jibu JOIN kuanza tena.',
+    languageSet: 'Lugha: Kiswahili.',
+    unknownLanguage: 'Lugha haijulikani. Tuma LANG EN, LANG FR, LANG RW au LANG SW.',
+    dailyFooter: 'Jibu STOP kusitisha',
+    menu: 'AgriHealth\n1. Ushauri wa leo\n2. Huduma za afya\n3. Ushauri kwa SMS\n4. Lugha',
+    enterDistrict: 'Andika wilaya yako:',
+    dailyMenu: '1. Anza ushauri wa kila siku\n2. Sitisha ushauri wa kila siku',
+    invalidChoice: 'Chaguo si sahihi.',
+    confirmSubscription: 'AgriHealth: thibitisha usajili wako: {url}'
+  }
+};
+
+// t('Swahili', 'noClinic', { district: 'Musanze' })
+exports.t = (language, key, values = {}) => {
+  const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+  const template = messages[key] || MESSAGES[DEFAULT_LANGUAGE][key];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+};
@@ -0,0 +1,77 @@
+// utils/smsText.js
+
+// GSM 03.38 characters. Text made only of these fits 160 characters per SMS
+// (extension characters count twice); anything else, such as "ç" or an
+// emoji, switches the whole message to UCS-2 and 70 characters.
+const GSM_BASIC =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€';
+
+const GSM_LIMIT = 160;
+const UCS2_LIMIT = 70;
+const ELLIPSIS = '...';
+
+const isGsm = (text) =>
+  Array.from(text).every((ch) => GSM_BASIC.includes(ch) || GSM_EXTENDED.includes(ch));
+
+const gsmLength = (text) =>
+  Array.from(text).reduce((length, ch) => length + (GSM_EXTENDED.includes(ch) ? 2 : 1), 0);
+
+// Splits text into SMS-sized pieces at word boundaries. A word longer than
+// a whole segment is split wherever it has to be.
+exports.splitSegments = (text) => {
+  const gsm = isGsm(text);
+  const limit = gsm ? GSM_LIMIT : UCS2_LIMIT;
+  const measure = gsm ? gsmLength : (s) => s.length;
+
+  const segments = [];
+  let current = '';
+
+  for (const word of text.trim().split(/ +/)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate) <= limit) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) segments.push(current);
+    current = '';
+    for (const ch of Array.from(word)) {
+      if (measure(current + ch) > limit) {
+        segments.push(current);
+        current = '';
+      }
+      current += ch;
+    }
+  }
+
+  if (current) segments.push(current);
+  return segments;
+};
+
+// Splits text into at most `maxSegments` segments, dropping words from the
+// end (and marking the cut) until it fits. `suffix`, such as "Reply STOP
+// to end", is always kept.
+exports.fitSegments = (text, { maxSegments, suffix = '' }) => {
+  const build = (body) => (suffix ? `${body} ${suffix}` : body);
+  const words = text.trim().split(/ +/);
+
+  let segments = exports.splitSegments(build(text));
+  while (segments.length > maxSegments && words.length > 1) {
+    words.pop();
+    segments = exports.splitSegments(build(`${words.join(' ')}${ELLIPSIS}`));
+  }
+  return segments.slice(0, maxSegments);
+};
+
+// Cuts text to `limit` characters at a word boundary (for USSD screens)
+exports.truncate = (text, limit = GSM_LIMIT) => {
+  if (text.length <= limit) return text;
+
+  const cut = text.slice(0, limit - ELLIPSIS.length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}${ELLIPSIS}`;
+};
+
+exports.isGsm = isGsm;
@@ -0,0 +1,83 @@
+// utils/spam.js
+const crypto = require('crypto');
+const spamConfig = require('../config/spam');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const formSecret = () => process.env.JWT_SECRET;
+
+const signIssuedAt = (issuedAt) =>
+  crypto.createHmac('sha256', formSecret()).update(`form:${issuedAt}`).digest('base64url');
+
+// A token given out with the contact and testimonial forms. It carries the
+// time it was issued, signed, so the fill time can't be chosen by the client.
+exports.issueFormToken = (now = Date.now()) => `${now}.${signIssuedAt(now)}`;
+
+// Seconds since the form token was issued, or undefined when it is missing,
+// forged or older than the configured maximum
+exports.formTokenAge = (token, now = Date.now(), config = spamConfig) => {
+  const [issuedAt, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(issuedAt) || !signature) return undefined;
+
+  const expected = Buffer.from(signIssuedAt(issuedAt));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return undefined;
+  }
+
+  const seconds = Math.floor((now - Number(issuedAt)) / 1000);
+  if (seconds < 0 || seconds > config.formTokenMaxHours * 60 * 60) return undefined;
+  return seconds;
+};
+
+/**
+ * Scores a contact submission with simple heuristics and returns
+ * { score, reasons, spam }. Reasons are stored with quarantined messages so
+ * experts can see why something was held back.
+ */
+exports.scoreSubmission = (submission, meta = {}, config = spamConfig) => {
+  const reasons = [];
+  let score = 0;
+
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  if (meta.honeypot) {
+    add(config.threshold, 'honeypot field was filled in');
+  }
+
+  // fillSeconds comes from formTokenAge(): a missing or forged token is as
+  // suspicious as a form filled in too fast
+  if (meta.fillSeconds === undefined) {
+    add(config.threshold, 'no valid form token');
+  } else if (meta.fillSeconds < config.minFillSeconds) {
+    add(config.threshold, `form submitted after ${meta.fillSeconds}s`);
+  }
+
+  const text = [submission.name, submission.subject, submission.message]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  config.keywords.forEach((keyword) => {
+    if (text.includes(keyword)) add(config.keywordScore, `contains "${keyword}"`);
+  });
+
+  const links = (text.match(LINK_PATTERN) || []).length;
+  if (links > config.freeLinks) {
+    add((links - config.freeLinks) * config.linkScore, `${links} link(s)`);
+  }
+
+  if (submission.name && /\b(?:https?:\/\/|www\.)/i.test(submission.name)) {
+    add(config.threshold, 'link in name');
+  }
+
+  const letters = (submission.message || '').replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 20 && letters === letters.toUpperCase()) {
+    add(1, 'message is all capitals');
+  }
+
+  return { score, reasons, spam: score >= config.threshold };
+};
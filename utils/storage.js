@@ -0,0 +1,60 @@
+// utils/storage.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// A storage driver saves, deletes and builds public URLs for files under a
+// key such as "media/6650.../medium.webp". Local disk is the only driver for
+// now; an S3-compatible one only has to provide the same three methods.
+
+const createLocalStorage = ({
+  root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = process.env.UPLOAD_BASE_URL || '/uploads'
+} = {}) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    // Never let a key escape the upload directory
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    save: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    },
+    url: (key) => `${baseUrl}/${key}`
+  };
+};
+
+const driverFactories = {
+  local: createLocalStorage
+};
+
+let storage;
+
+exports.getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const factory = driverFactories[driver];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+exports.setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+exports.createLocalStorage = createLocalStorage;
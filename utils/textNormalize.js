@@ -0,0 +1,31 @@
+// utils/textNormalize.js
+
+// Folds one UTF-16 unit to lowercase without accents ("É" -> "e"). Each
+// input unit maps to exactly one output unit, so positions in the folded
+// string line up with the original for highlighting.
+const foldChar = (char) => {
+  const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  return folded.length === 1 ? folded : char.toLowerCase().charAt(0);
+};
+
+exports.fold = (text) => (text || '').split('').map(foldChar).join('');
+
+// Splits a search string into folded word tokens, keeping apostrophe-joined
+// words apart ("l'eau" -> ["l", "eau"], "n'umuti" -> ["n", "umuti"])
+exports.tokenize = (text) =>
+  exports
+    .fold(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 0);
+
+exports.escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A URL-safe key from free text ("Lavage des mains !" -> "lavage-des-mains")
+exports.slugify = (text, maxLength = 80) =>
+  exports
+    .tokenize(text)
+    .join('-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-|-$/g, '');
@@ -0,0 +1,84 @@
+// utils/tipSchedule.js
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// A tip scheduled for a date is kept out of the rotation this many days
+// either side of it, so it doesn't show up just before or after its slot
+const SCHEDULE_BUFFER_DAYS = 14;
+
+// Month (0-11) to season, following the Rwandan/Kenyan agricultural calendar
+const SEASON_BY_MONTH = [
+  'short-dry', // Jan
+  'short-dry', // Feb
+  'long-rains', // Mar
+  'long-rains', // Apr
+  'long-rains', // May
+  'long-dry', // Jun
+  'long-dry', // Jul
+  'long-dry', // Aug
+  'short-rains', // Sep
+  'short-rains', // Oct
+  'short-rains', // Nov
+  'short-dry' // Dec
+];
+
+// Parses "YYYY-MM-DD" (or defaults to today) into a UTC midnight Date
+exports.startOfDay = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+exports.dayKey = (date) => date.toISOString().slice(0, 10);
+
+exports.addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+exports.seasonFor = (date) => SEASON_BY_MONTH[date.getUTCMonth()];
+
+const matchesCalendar = (tip, season, crop) => {
+  const seasonOk = !tip.seasons || tip.seasons.length === 0 || tip.seasons.includes(season);
+  const cropOk = !crop || !tip.crops || tip.crops.length === 0 || tip.crops.includes(crop);
+  return seasonOk && cropOk;
+};
+
+// Picks the tip for one day out of `tips` (all in one language).
+// A tip explicitly scheduled for the day always wins. Otherwise, of the tips
+// that fit the season and crop, the one already shown that day is kept, or
+// else the one that has waited longest since it was last shown (never-shown
+// tips first, oldest id first). Adding or retiring a tip therefore doesn't
+// make the others repeat or get skipped.
+//
+// `lastShown` maps tip ids to the day each was last shown (see
+// TipRotation); pickTip doesn't change it, so callers previewing several
+// days update their own copy as they go.
+exports.pickTip = (tips, date, { season, crop, lastShown = new Map() } = {}) => {
+  const key = exports.dayKey(date);
+
+  const scheduled = tips.find((tip) =>
+    (tip.scheduledFor || []).some((d) => exports.dayKey(d) === key)
+  );
+  if (scheduled) return { tip: scheduled, reason: 'scheduled' };
+
+  const nearSchedule = (tip) =>
+    (tip.scheduledFor || []).some(
+      (d) => Math.abs(d.getTime() - date.getTime()) <= SCHEDULE_BUFFER_DAYS * MS_PER_DAY
+    );
+  // Never shown counts as shown at the epoch
+  const shownAt = (tip) => {
+    const day = lastShown.get(String(tip._id));
+    return day ? day.getTime() : 0;
+  };
+
+  const pool = tips
+    .filter((tip) => matchesCalendar(tip, season || exports.seasonFor(date), crop))
+    .filter((tip) => !nearSchedule(tip))
+    .sort((a, b) => String(a._id).localeCompare(String(b._id)));
+
+  if (pool.length === 0) return { tip: null, reason: 'none' };
+
+  const today = pool.find((tip) => shownAt(tip) === date.getTime());
+  if (today) return { tip: today, reason: 'rotation' };
+
+  // The sort is stable, so equal waits keep the id order
+  const [next] = [...pool].sort((a, b) => shownAt(a) - shownAt(b));
+  return { tip: next, reason: 'rotation' };
+};
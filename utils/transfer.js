@@ -0,0 +1,427 @@
+// utils/transfer.js
+// Bulk import and export of articles, tips and health services, shared by
+// the admin endpoints and scripts/transfer.js. Rows are flat objects with
+// one key per column, so the same sheet works as CSV or as JSON; documents
+// are matched by their slug.
+const Article = require('../models/Article');
+const Tip = require('../models/Tip');
+const HealthService = require('../models/HealthService');
+const AppError = require('./appError');
+const { toCsv, parseCsv } = require('./csv');
+const { maxImportRows } = require('../config/transfer');
+
+// Lists are separated by ";" in CSV and are arrays in JSON
+const list = (value) =>
+  (Array.isArray(value) ? value : String(value).split(';'))
+    .map((item) => (typeof item === 'string' ? item.trim() : item))
+    .filter((item) => item !== '');
+
+const PHONE_PATTERN = /^(?:([^:]+):)?\s*(.+?)(\s*\(toll-free\))?$/i;
+
+// "Hotline: 114 (toll-free)"
+const readPhone = (phone) => {
+  if (typeof phone === 'object') return phone;
+  const [, label, number, tollFree] = String(phone).match(PHONE_PATTERN);
+  return { ...(label && { label: label.trim() }), number, tollFree: Boolean(tollFree) };
+};
+
+const phoneCell = (phone) =>
+  `${phone.label ? `${phone.label}: ` : ''}${phone.number}${phone.tollFree ? ' (toll-free)' : ''}`;
+
+const HOURS_PATTERN = /^([a-z]+)\s+(\S+)\s*-\s*(\S+)$/i;
+
+// "mon 08:00-17:00"
+const readHours = (hours) => {
+  if (typeof hours === 'object') return hours;
+  const match = String(hours).match(HOURS_PATTERN);
+  if (!match) throw new Error(`"${hours}" should look like "mon 08:00-17:00"`);
+  return { day: match[1].toLowerCase(), opens: match[2], closes: match[3] };
+};
+
+const hoursCell = (hours) => `${hours.day} ${hours.opens}-${hours.closes}`;
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Columns of each resource, in export order. By default a column is the
+ * schema path of the same name. Options:
+ *   list   the value is a list
+ *   read   turns one (list item) value from a row into the stored value
+ *   write  the row value of a lean document
+ *   cell   the CSV text of one (list item) value
+ */
+const slug = { name: 'slug' };
+const translationOf = {
+  name: 'translationOf',
+  write: (doc, context) => context.sourceSlug(doc)
+};
+
+const RESOURCES = {
+  articles: {
+    Model: Article,
+    columns: [
+      slug,
+      { name: 'title' },
+      { name: 'language' },
+      { name: 'category' },
+      { name: 'readTime' },
+      { name: 'content' },
+      { name: 'imageUrl' },
+      { name: 'externalLink' },
+      translationOf
+    ],
+    languageFilter: (language) => ({ language }),
+    // There is no status column: new articles start as drafts and go
+    // through review like any other, and updates keep their status
+    beforeSave: (doc, user) => {
+      if (doc.isNew) doc.createdBy = user && user._id;
+      doc.updatedBy = user && user._id;
+      doc.$locals.revisionAuthor = user && user._id;
+      doc.$locals.revisionNote = 'Imported';
+    }
+  },
+  tips: {
+    Model: Tip,
+    columns: [
+      slug,
+      { name: 'title' },
+      { name: 'language' },
+      { name: 'category' },
+      { name: 'content' },
+      { name: 'icon' },
+      { name: 'region' },
+      { name: 'seasons', list: true },
+      { name: 'crops', list: true },
+      { name: 'scheduledFor', list: true, cell: day },
+      { name: 'active' },
+      translationOf
+    ],
+    languageFilter: (language) => ({ language })
+  },
+  services: {
+    Model: HealthService,
+    columns: [
+      slug,
+      { name: 'name' },
+      { name: 'type' },
+      { name: 'description' },
+      { name: 'latitude', write: (doc) => doc.location && doc.location.coordinates[1] },
+      { name: 'longitude', write: (doc) => doc.location && doc.location.coordinates[0] },
+      { name: 'address' },
+      { name: 'district' },
+      { name: 'province' },
+      { name: 'country' },
+      { name: 'openingHours', list: true, read: readHours, cell: hoursCell },
+      { name: 'open24Hours' },
+      { name: 'languages', list: true },
+      { name: 'phones', list: true, read: readPhone, cell: phoneCell },
+      { name: 'email' },
+      { name: 'website' },
+      { name: 'servicesOffered', list: true }
+    ],
+    languageFilter: (language) => ({ languages: language }),
+    // Latitude and longitude columns become a GeoJSON point
+    toFields: ({ latitude, longitude, ...fields }, row) => {
+      if (!('latitude' in row) && !('longitude' in row)) return fields;
+      if (latitude === undefined && longitude === undefined) {
+        return { ...fields, location: undefined };
+      }
+      return { ...fields, location: { type: 'Point', coordinates: [longitude, latitude] } };
+    }
+  }
+};
+
+const columnsOf = (name) => RESOURCES[name].columns.map((column) => column.name);
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Converts a row to schema fields. Only the row's own columns are touched;
+// blank cells clear the field.
+const readRow = (resource, row) => {
+  const fields = {};
+  const errors = [];
+
+  resource.columns
+    .filter((column) => column.name in row)
+    .forEach((column) => {
+      const value = row[column.name];
+      try {
+        if (column.list) {
+          const items = isBlank(value) ? [] : list(value);
+          fields[column.name] = column.read ? items.map(column.read) : items;
+        } else if (isBlank(value)) {
+          fields[column.name] = undefined;
+        } else {
+          fields[column.name] = typeof value === 'string' ? value.trim() : value;
+        }
+      } catch (err) {
+        errors.push({ field: column.name, message: err.message });
+      }
+    });
+
+  return { fields: resource.toFields ? resource.toFields(fields, row) : fields, errors };
+};
+
+const validationErrors = (err) =>
+  Object.entries(err.errors).map(([field, el]) => ({
+    field,
+    message: el.name === 'CastError' ? `${field} has an invalid value` : el.message
+  }));
+
+// The errors of planned rows as AppError details
+const rowErrors = (planned) =>
+  planned
+    .filter(({ result }) => result.errors)
+    .flatMap(({ result }) => result.errors.map((error) => ({ row: result.row, ...error })));
+
+/**
+ * Reads rows from an uploaded file or request body: CSV text, or JSON that
+ * is either an array of rows or { rows }.
+ */
+exports.parseRows = (content, format) => {
+  if (format === 'csv') {
+    try {
+      return parseCsv(content);
+    } catch (err) {
+      throw new AppError(`The CSV file could not be read. ${err.message}`, 400, 'INVALID_FILE');
+    }
+  }
+
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (err) {
+      throw new AppError('The JSON file could not be read', 400, 'INVALID_FILE');
+    }
+  }
+  const rows = Array.isArray(data) ? data : data && data.rows;
+  if (!Array.isArray(rows) || !rows.every((row) => row && typeof row === 'object')) {
+    throw new AppError('Please provide an array of rows', 400, 'INVALID_FILE');
+  }
+  return rows;
+};
+
+/**
+ * Checks every row against the resource's Mongoose schema and, unless
+ * `dryRun`, saves them. A row whose slug matches a document updates it;
+ * other rows create documents, with a slug made from the title when the
+ * row has none. `translationOf` is the slug of another document, which may
+ * be a row earlier in the same import.
+ *
+ * Nothing is written when any row has errors. A row that only fails as it
+ * is saved (409) doesn't undo the rows saved before it; since rows are
+ * matched by slug, importing the corrected file again finishes the job.
+ * Returns a report:
+ * { dryRun, summary: { rows, created, updated, unchanged, failed },
+ *   rows: [{ row, slug, action, errors? }] }
+ * where `row` is the line in a CSV file or the position in a JSON array.
+ */
+exports.importRows = async (name, rows, { dryRun = false, user } = {}) => {
+  const resource = RESOURCES[name];
+  const { Model } = resource;
+
+  if (!rows.length) throw new AppError('The file has no rows to import', 400, 'INVALID_FILE');
+  if (rows.length > maxImportRows) {
+    throw new AppError(
+      `Please import at most ${maxImportRows} rows at a time`,
+      413,
+      'PAYLOAD_TOO_LARGE'
+    );
+  }
+
+  const known = columnsOf(name);
+  const unknown = [...new Set(rows.flatMap(Object.keys))].filter((key) => !known.includes(key));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown columns: ${unknown.join(', ')}. The columns are: ${known.join(', ')}`,
+      400,
+      'INVALID_FILE',
+      unknown.map((field) => ({ field, message: `${field} is not a column` }))
+    );
+  }
+
+  const planned = [];
+  const bySlug = new Map();
+
+  for (const [i, row] of rows.entries()) {
+    const { fields, errors } = readRow(resource, row);
+    const result = { row: row.line || i + 1 };
+
+    if (fields.slug && bySlug.has(fields.slug.toLowerCase())) {
+      errors.push({ field: 'slug', message: `${fields.slug} is used by an earlier row` });
+    }
+
+    let doc = fields.slug ? await Model.findOne({ slug: fields.slug.toLowerCase() }) : null;
+    result.action = doc ? 'update' : 'create';
+
+    if ('translationOf' in fields) {
+      const { translationOf: sourceSlug } = fields;
+      delete fields.translationOf;
+
+      if (sourceSlug) {
+        const source =
+          bySlug.get(sourceSlug.toLowerCase()) ||
+          (await Model.findOne({ slug: sourceSlug.toLowerCase() }).select('translationGroup'));
+        if (source) fields.translationGroup = source.translationGroup || source._id;
+        else errors.push({ field: 'translationOf', message: `No ${name} with slug ${sourceSlug}` });
+      }
+    }
+
+    if (doc) {
+      Object.entries(fields).forEach(([path, value]) => doc.set(path, value));
+    } else {
+      doc = new Model(
+        Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined))
+      );
+    }
+
+    // Rows without a slug get one from their title that no earlier row uses
+    doc.$locals.takenSlugs = bySlug;
+    try {
+      await doc.validate();
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      errors.push(...validationErrors(err));
+    }
+
+    result.slug = doc.slug;
+    if (doc.slug) bySlug.set(doc.slug, doc);
+
+    if (errors.length) {
+      result.action = 'error';
+      result.errors = errors;
+    } else if (!doc.isNew && !doc.isModified()) {
+      result.action = 'unchanged';
+    }
+    planned.push({ result, doc });
+  }
+
+  const report = () => {
+    const results = planned.map(({ result }) => result);
+    const count = (action) => results.filter((r) => r.action === action).length;
+    return {
+      dryRun,
+      summary: {
+        rows: results.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        failed: count('error')
+      },
+      rows: results
+    };
+  };
+
+  const failed = planned.filter(({ result }) => result.errors);
+  if (dryRun) return report();
+  if (failed.length) {
+    throw new AppError(
+      `${failed.length} of ${rows.length} rows have errors; nothing was imported. ` +
+        'Run a dry run to see every problem.',
+      422,
+      'IMPORT_INVALID',
+      rowErrors(failed)
+    );
+  }
+
+  // A row can still fail here, e.g. two rows with the same language in one
+  // translation set; the other rows are still saved
+  for (const { result, doc } of planned) {
+    if (!['create', 'update'].includes(result.action)) continue;
+    if (resource.beforeSave) resource.beforeSave(doc, user);
+    try {
+      await doc.save();
+    } catch (err) {
+      if (err.code !== 11000 && err.name !== 'ValidationError') throw err;
+      result.action = 'error';
+      result.errors =
+        err.code === 11000
+          ? Object.keys(err.keyValue || { slug: 1 }).map((field) => ({
+              field,
+              message: `${field} is already in use`
+            }))
+          : validationErrors(err);
+    }
+  }
+
+  const { summary } = report();
+  if (summary.failed) {
+    throw new AppError(
+      `${summary.failed} of ${summary.rows} rows could not be saved; the others were ` +
+        `imported (${summary.created} created, ${summary.updated} updated). ` +
+        'Fix those rows and import the file again.',
+      409,
+      'IMPORT_INCOMPLETE',
+      rowErrors(planned)
+    );
+  }
+  return report();
+};
+
+/**
+ * Every document of the resource as rows (optionally only one language),
+ * ready to edit and import again. Nothing is written: documents saved
+ * before slugs existed have none until backfillSlugs() has run, and their
+ * rows would be imported as new documents.
+ */
+exports.exportRows = async (name, { language } = {}) => {
+  const { Model, columns, languageFilter } = RESOURCES[name];
+
+  const docs = await Model.find(language ? languageFilter(language) : {})
+    .sort('slug')
+    .lean();
+
+  // translationOf names the first document of each translation set
+  const slugs = new Map();
+  if (Model.schema.path('translationGroup')) {
+    const all = await Model.find().select('slug translationGroup').sort('createdAt').lean();
+    all.forEach((doc) => {
+      const group = String(doc.translationGroup || doc._id);
+      if (!slugs.has(group) || String(doc._id) === group) slugs.set(group, doc.slug);
+    });
+  }
+  const context = {
+    sourceSlug: (doc) => {
+      const source = slugs.get(String(doc.translationGroup || doc._id));
+      return source === doc.slug ? undefined : source;
+    }
+  };
+
+  return docs.map((doc) =>
+    Object.fromEntries(
+      columns.map((column) => [
+        column.name,
+        column.write ? column.write(doc, context) : doc[column.name]
+      ])
+    )
+  );
+};
+
+// Gives a slug to every document saved before slugs existed; run once
+// with `npm run transfer -- slugs`. Returns the number given per resource.
+exports.backfillSlugs = async () => {
+  const given = {};
+  for (const [name, { Model }] of Object.entries(RESOURCES)) {
+    given[name] = await Model.ensureSlugs();
+  }
+  return given;
+};
+
+// The rows as CSV, lists joined with "; "
+exports.rowsToCsv = (name, rows) =>
+  toCsv(
+    rows,
+    RESOURCES[name].columns.map((column) => ({
+      header: column.name,
+      value: (row) => {
+        const value = row[column.name];
+        if (!column.cell || value === undefined || value === null) return value;
+        return column.list ? value.map(column.cell) : column.cell(value);
+      }
+    }))
+  );
+
+exports.RESOURCES = Object.keys(RESOURCES);
+exports.columnsOf = columnsOf;
@@ -0,0 +1,133 @@
+// validation/articleSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { CATEGORIES, LANGUAGES } = require('../utils/constants');
+const { listOptions } = require('../controllers/articleController');
+
+const properties = {
+  slug: fragments.slug,
+  title: { type: 'string', minLength: 1, maxLength: 100 },
+  content: { type: 'string', minLength: 1, maxLength: 50000 },
+  category: { type: 'string', enum: CATEGORIES },
+  readTime: { type: 'number', minimum: 1 },
+  language: { type: 'string', enum: LANGUAGES },
+  imageUrl: fragments.url,
+  image: fragments.objectId,
+  chemicals: { type: 'array', items: fragments.objectId, maxItems: 20, uniqueItems: true },
+  externalLink: fragments.url
+};
+
+exports.listArticles = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { articles: ['Article'] } } }
+};
+
+exports.getArticle = {
+  params: fragments.idParams,
+  query: {
+    type: 'object',
+    properties: { lang: fragments.lang },
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: { article: 'Article', translations: fragments.translations, safetyCards: ['Chemical'] }
+    }
+  }
+};
+
+exports.createArticle = {
+  body: {
+    type: 'object',
+    properties: { ...properties, translationOf: fragments.objectId },
+    required: ['title', 'content', 'category', 'readTime', 'language'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { article: 'Article' } } }
+};
+
+exports.updateArticle = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { article: 'Article' } } }
+};
+
+exports.deleteArticle = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
+
+const revisionParams = {
+  type: 'object',
+  properties: {
+    id: fragments.objectId,
+    version: { type: 'integer', minimum: 1 }
+  },
+  required: ['id', 'version'],
+  additionalProperties: false
+};
+
+exports.transitionArticle = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: {
+      note: { type: 'string', maxLength: 1000 }
+    },
+    additionalProperties: false
+  },
+  responses: { 200: { data: { article: 'Article' } } }
+};
+
+exports.publishArticle = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: {
+      note: { type: 'string', maxLength: 1000 },
+      publishAt: { type: 'string', format: 'date-time' }
+    },
+    additionalProperties: false
+  },
+  responses: { 200: { data: { article: 'Article' } } }
+};
+
+exports.getRevisions = {
+  params: fragments.idParams,
+  responses: { 200: { data: { revisions: ['Revision'] } } }
+};
+
+exports.getRevision = {
+  params: revisionParams,
+  responses: { 200: { data: { revision: 'Revision' } } }
+};
+
+exports.diffRevision = {
+  params: revisionParams,
+  query: {
+    type: 'object',
+    properties: {
+      against: { type: 'string', pattern: '^(current|\\d+)$' }
+    },
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        from: { type: 'integer' },
+        to: { type: 'integer' },
+        changes: { type: 'array', items: { $ref: '#/components/schemas/Change' } }
+      }
+    }
+  }
+};
+
+exports.restoreRevision = {
+  params: revisionParams,
+  responses: { 200: { data: { article: 'Article' } } }
+};
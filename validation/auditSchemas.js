@@ -0,0 +1,14 @@
+// validation/auditSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { listOptions } = require('../controllers/auditController');
+
+exports.getAuditLog = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { entries: ['AuditLog'] } } }
+};
+
+exports.getAuditEntry = {
+  params: fragments.idParams,
+  responses: { 200: { data: { entry: 'AuditLog' } } }
+};
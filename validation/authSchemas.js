@@ -0,0 +1,79 @@
+// validation/authSchemas.js
+const { fragments } = require('../middleware/validation');
+const { ROLES } = require('../models/User');
+
+const password = { type: 'string', minLength: 8, maxLength: 128 };
+const tokenParams = {
+  type: 'object',
+  properties: { token: { type: 'string', pattern: '^[0-9a-f]{64}$' } },
+  required: ['token'],
+  additionalProperties: false
+};
+
+exports.register = {
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 80 },
+      email: fragments.email,
+      password,
+      role: { type: 'string', enum: ROLES }
+    },
+    required: ['name', 'email', 'password'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { user: 'User' } } }
+};
+
+exports.login = {
+  body: {
+    type: 'object',
+    properties: {
+      email: fragments.email,
+      password: { type: 'string', minLength: 1, maxLength: 128 }
+    },
+    required: ['email', 'password'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { user: 'User' } } }
+};
+
+exports.forgotPassword = {
+  body: {
+    type: 'object',
+    properties: { email: fragments.email },
+    required: ['email'],
+    additionalProperties: false
+  },
+  responses: { 200: {} }
+};
+
+exports.resetPassword = {
+  params: tokenParams,
+  body: {
+    type: 'object',
+    properties: { password },
+    required: ['password'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { user: 'User' } } }
+};
+
+exports.verifyEmail = {
+  params: tokenParams,
+  responses: { 200: {} }
+};
+
+exports.resendVerification = {
+  params: fragments.idParams,
+  responses: { 200: {} }
+};
+
+// These take no input; the schemas still document the routes
+exports.logout = {
+  responses: { 200: {} }
+};
+
+exports.getMe = {
+  responses: { 200: { data: { user: 'User' } } }
+};
@@ -0,0 +1,96 @@
+// validation/chemicalSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { LANGUAGES } = require('../utils/constants');
+const Chemical = require('../models/Chemical');
+const { listOptions } = require('../controllers/chemicalController');
+
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+
+const tradeName = {
+  type: 'object',
+  properties: {
+    name: text(80),
+    manufacturer: { type: 'string', maxLength: 100 },
+    countries: { type: 'array', items: text(60), maxItems: 20, uniqueItems: true }
+  },
+  required: ['name'],
+  additionalProperties: false
+};
+
+const properties = {
+  activeIngredient: text(100),
+  casNumber: { type: 'string', pattern: '^\\d{2,7}-\\d{2}-\\d$' },
+  chemicalClass: { type: 'string', maxLength: 100 },
+  tradeNames: { type: 'array', items: tradeName, maxItems: 50 },
+  toxicityClass: { type: 'string', enum: Object.keys(Chemical.TOXICITY_CLASSES) },
+  ppe: { type: 'array', items: { type: 'string', enum: Chemical.PPE }, uniqueItems: true },
+  reEntryIntervalHours: { type: 'number', minimum: 0 },
+  preHarvestIntervalDays: { type: 'number', minimum: 0 },
+  exposureSymptoms: { type: 'array', items: text(300), maxItems: 30 },
+  firstAid: { type: 'array', items: text(500), maxItems: 30 },
+  language: { type: 'string', enum: LANGUAGES }
+};
+
+// A published article about the chemical
+const articleLink = {
+  type: 'object',
+  properties: {
+    _id: fragments.objectId,
+    title: { type: 'string' },
+    category: { type: 'string' },
+    language: { type: 'string' }
+  }
+};
+
+exports.listChemicals = {
+  query: querySchema(listOptions, {
+    q: { type: 'string', maxLength: 100 },
+    tradeName: { type: 'string', minLength: 1, maxLength: 80 }
+  }),
+  responses: { 200: { data: { chemicals: ['Chemical'] } } }
+};
+
+exports.getChemical = {
+  params: fragments.idParams,
+  query: {
+    type: 'object',
+    properties: { lang: fragments.lang },
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        chemical: 'Chemical',
+        translations: fragments.translations,
+        articles: { type: 'array', items: articleLink }
+      }
+    }
+  }
+};
+
+exports.createChemical = {
+  body: {
+    type: 'object',
+    properties: { ...properties, translationOf: fragments.objectId },
+    required: ['activeIngredient', 'toxicityClass', 'language'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { chemical: 'Chemical' } } }
+};
+
+exports.updateChemical = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { chemical: 'Chemical' } } }
+};
+
+exports.deleteChemical = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
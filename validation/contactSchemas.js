@@ -0,0 +1,98 @@
+// validation/contactSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const spamConfig = require('../config/spam');
+const Contact = require('../models/Contact');
+const { listOptions } = require('../controllers/contactController');
+
+exports.createMessage = {
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 80 },
+      email: fragments.email,
+      subject: { type: 'string', maxLength: 120 },
+      message: { type: 'string', minLength: 1, maxLength: 3000 },
+      // From GET /api/contact/form-token
+      formToken: { type: 'string', maxLength: 100 },
+      // Honeypot: accepted so bots don't learn it is special
+      [spamConfig.honeypotField]: { type: 'string', maxLength: 500 }
+    },
+    required: ['name', 'email', 'message'],
+    additionalProperties: false
+  },
+  responses: { 201: {} }
+};
+
+exports.getFormToken = {
+  responses: {
+    200: { data: { formToken: { type: 'string' }, minFillSeconds: { type: 'number' } } }
+  }
+};
+
+exports.listMessages = {
+  query: querySchema(listOptions, {
+    q: { type: 'string', maxLength: 100 },
+    assignedTo: { anyOf: [fragments.objectId, { type: 'string', enum: ['me'] }] }
+  }),
+  responses: { 200: { data: { messages: ['Contact'] } } }
+};
+
+exports.getMessage = {
+  params: fragments.idParams,
+  responses: { 200: { data: { message: 'Contact' } } }
+};
+
+exports.assignMessage = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: { assignedTo: fragments.objectId },
+    required: ['assignedTo'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { message: 'Contact' } } }
+};
+
+exports.updateStatus = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: { status: { type: 'string', enum: Contact.STATUSES } },
+    required: ['status'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { message: 'Contact' } } }
+};
+
+exports.moveMessage = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: { folder: { type: 'string', enum: Contact.FOLDERS } },
+    required: ['folder'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { message: 'Contact' } } }
+};
+
+exports.addReply = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: {
+      body: { type: 'string', minLength: 1, maxLength: 5000 },
+      internal: { type: 'boolean', default: false }
+    },
+    required: ['body'],
+    additionalProperties: false
+  },
+  responses: {
+    201: {
+      data: {
+        reply: { type: 'object', description: 'The new entry in message.replies' },
+        message: 'Contact'
+      }
+    }
+  }
+};
@@ -0,0 +1,121 @@
+// validation/healthServiceSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { LANGUAGES } = require('../utils/constants');
+const { SERVICE_TYPES } = require('../models/HealthService');
+const { listOptions } = require('../controllers/healthServiceController');
+
+const time = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' };
+
+const properties = {
+  slug: fragments.slug,
+  name: { type: 'string', minLength: 1, maxLength: 120 },
+  type: { type: 'string', enum: SERVICE_TYPES },
+  description: { type: 'string', maxLength: 1000 },
+  location: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['Point'] },
+      coordinates: {
+        type: 'array',
+        items: [
+          { type: 'number', minimum: -180, maximum: 180 },
+          { type: 'number', minimum: -90, maximum: 90 }
+        ],
+        minItems: 2,
+        maxItems: 2
+      }
+    },
+    required: ['coordinates'],
+    additionalProperties: false
+  },
+  address: { type: 'string', maxLength: 300 },
+  district: { type: 'string', maxLength: 80 },
+  province: { type: 'string', maxLength: 80 },
+  country: { type: 'string', maxLength: 80 },
+  openingHours: {
+    type: 'array',
+    maxItems: 14,
+    items: {
+      type: 'object',
+      properties: {
+        day: { type: 'string', enum: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] },
+        opens: time,
+        closes: time
+      },
+      required: ['day', 'opens', 'closes'],
+      additionalProperties: false
+    }
+  },
+  open24Hours: { type: 'boolean' },
+  languages: { type: 'array', items: { type: 'string', enum: LANGUAGES }, uniqueItems: true },
+  phones: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', maxLength: 40 },
+        number: { type: 'string', maxLength: 20 },
+        tollFree: { type: 'boolean' }
+      },
+      required: ['number'],
+      additionalProperties: false
+    }
+  },
+  email: fragments.email,
+  website: fragments.url,
+  servicesOffered: {
+    type: 'array',
+    maxItems: 40,
+    items: { type: 'string', minLength: 1, maxLength: 60 }
+  }
+};
+
+// With near=, each service also says how far away it is
+const nearbyService = {
+  allOf: [{ $ref: '#/components/schemas/HealthService' }],
+  properties: { distance: { type: 'number', description: 'Kilometres from near=' } }
+};
+
+exports.listServices = {
+  query: querySchema(
+    { ...listOptions, sortable: [...listOptions.sortable, 'distance'] },
+    {
+      near: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?,\\s*-?\\d+(\\.\\d+)?$' },
+      radius: { type: 'number', exclusiveMinimum: 0, maximum: 500 }
+    }
+  ),
+  responses: { 200: { data: { services: { type: 'array', items: nearbyService } } } }
+};
+
+exports.getService = {
+  params: fragments.idParams,
+  responses: { 200: { data: { service: 'HealthService' } } }
+};
+
+exports.createService = {
+  body: {
+    type: 'object',
+    properties,
+    required: ['name', 'type'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { service: 'HealthService' } } }
+};
+
+exports.updateService = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { service: 'HealthService' } } }
+};
+
+exports.deleteService = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
@@ -0,0 +1,38 @@
+// validation/mediaSchemas.js
+const { fragments } = require('../middleware/validation');
+
+const properties = {
+  alt: { type: 'string', maxLength: 200 }
+};
+
+// The file itself is checked by the upload middleware; these are the
+// other multipart fields
+exports.uploadMedia = {
+  body: {
+    type: 'object',
+    properties,
+    additionalProperties: false
+  },
+  responses: { 201: { data: { media: 'Media' } } }
+};
+
+exports.getMedia = {
+  params: fragments.idParams,
+  responses: { 200: { data: { media: 'Media' } } }
+};
+
+exports.updateMedia = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { media: 'Media' } } }
+};
+
+exports.deleteMedia = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
@@ -0,0 +1,67 @@
+// validation/offlineSchemas.js
+const { fragments } = require('../middleware/validation');
+
+const scope = {
+  lang: fragments.lang,
+  categories: { type: 'string', maxLength: 200 }
+};
+
+const list = (model) => ({
+  type: 'array',
+  items: { $ref: `#/components/schemas/${model}` },
+  description: 'The fields offline readers need'
+});
+const resources = {
+  articles: list('Article'),
+  tips: list('Tip'),
+  services: list('HealthService'),
+  chemicals: list('Chemical')
+};
+const ids = { type: 'array', items: fragments.objectId };
+
+exports.getBundle = {
+  query: {
+    type: 'object',
+    properties: scope,
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        format: { type: 'integer' },
+        version: { type: 'integer' },
+        generatedAt: { type: 'string', format: 'date-time' },
+        language: { type: ['string', 'null'] },
+        categories: { type: ['array', 'null'], items: { type: 'string' } },
+        ...resources
+      }
+    },
+    304: null
+  }
+};
+
+exports.getDelta = {
+  query: {
+    type: 'object',
+    properties: {
+      ...scope,
+      since: { type: 'integer', minimum: 0 }
+    },
+    required: ['since'],
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        format: { type: 'integer' },
+        since: { type: 'integer' },
+        version: { type: 'integer' },
+        changed: { type: 'object', properties: resources },
+        deleted: {
+          type: 'object',
+          properties: { articles: ids, tips: ids, services: ids, chemicals: ids }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// validation/searchSchemas.js
+const { fragments } = require('../middleware/validation');
+const { CATEGORIES, LANGUAGES } = require('../utils/constants');
+
+const hit = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['article', 'tip', 'video'] },
+    _id: fragments.objectId,
+    title: { type: 'string' },
+    category: { type: 'string' },
+    language: { type: 'string' },
+    score: { type: 'number' },
+    titleHighlight: { type: 'string' },
+    snippet: { type: 'string' },
+    url: { type: 'string' }
+  }
+};
+
+exports.search = {
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', minLength: 1, maxLength: 100 },
+      type: { type: 'string', pattern: '^(article|tip|video)(,(article|tip|video))*$' },
+      category: { type: 'string', enum: CATEGORIES },
+      language: { type: 'string', enum: LANGUAGES },
+      lang: { type: 'string', maxLength: 20 },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 50 }
+    },
+    required: ['q'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { results: { type: 'array', items: hit } } } }
+};
@@ -0,0 +1,45 @@
+// validation/smsSchemas.js
+
+// Gateways post their own extra fields (message ids, network codes, ...),
+// so only the fields we read are checked and the rest are let through
+const webhookQuery = {
+  type: 'object',
+  properties: { token: { type: 'string', maxLength: 200 } },
+  additionalProperties: false
+};
+
+exports.receiveSms = {
+  query: webhookQuery,
+  body: {
+    type: 'object',
+    properties: {
+      from: { type: 'string', minLength: 3, maxLength: 30 },
+      text: { type: 'string', maxLength: 1600 }
+    },
+    required: ['from']
+  },
+  responses: { 200: { data: { replies: { type: 'array', items: { type: 'string' } } } } }
+};
+
+exports.receiveUssd = {
+  query: webhookQuery,
+  body: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string', maxLength: 200 },
+      from: { type: 'string', minLength: 3, maxLength: 30 },
+      phoneNumber: { type: 'string', minLength: 3, maxLength: 30 },
+      text: { type: 'string', maxLength: 500 }
+    },
+    anyOf: [{ required: ['from'] }, { required: ['phoneNumber'] }]
+  },
+  responses: { 200: 'text/plain' }
+};
+
+exports.broadcastTips = {
+  body: {
+    type: 'object',
+    additionalProperties: false
+  },
+  responses: { 200: { data: { sent: { type: 'integer' } } } }
+};
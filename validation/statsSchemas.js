@@ -0,0 +1,74 @@
+// validation/statsSchemas.js
+const { fragments } = require('../middleware/validation');
+const { CATEGORIES, LANGUAGES } = require('../utils/constants');
+const { REPORTS } = require('../controllers/statsController');
+
+const TYPES = ['article', 'video', 'tip'];
+
+const range = {
+  from: fragments.day,
+  to: fragments.day
+};
+
+// Each report has its own columns (see REPORTS in the controller)
+const report = {
+  type: 'object',
+  properties: {
+    summary: { type: 'object' },
+    rows: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+exports.track = {
+  body: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: TYPES },
+      id: fragments.objectId,
+      event: { type: 'string', enum: ['view', 'complete'] }
+    },
+    required: ['type', 'id', 'event'],
+    additionalProperties: false
+  },
+  responses: { 204: null }
+};
+
+exports.getOverview = {
+  query: {
+    type: 'object',
+    properties: range,
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        ...range,
+        ...Object.fromEntries(REPORTS.map((name) => [name, report]))
+      }
+    }
+  }
+};
+
+exports.getReport = {
+  params: {
+    type: 'object',
+    properties: { report: { type: 'string', enum: REPORTS } },
+    required: ['report'],
+    additionalProperties: false
+  },
+  query: {
+    type: 'object',
+    properties: {
+      ...range,
+      type: { type: 'string', enum: TYPES },
+      language: { type: 'string', enum: LANGUAGES },
+      category: { type: 'string', enum: CATEGORIES },
+      limit: { type: 'integer', minimum: 1, maximum: 500 },
+      format: { type: 'string', enum: ['json', 'csv'] }
+    },
+    additionalProperties: false
+  },
+  responses: {
+    200: [{ data: { ...range, ...report.properties } }, 'text/csv']
+  }
+};
@@ -0,0 +1,139 @@
+// validation/subscriberSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { LANGUAGES } = require('../utils/constants');
+const Subscriber = require('../models/Subscriber');
+const { listOptions } = require('../controllers/subscriberController');
+
+const preferences = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  language: { type: 'string', enum: LANGUAGES },
+  district: { type: 'string', maxLength: 60 },
+  crops: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 40 },
+    maxItems: 20,
+    uniqueItems: true
+  },
+  channels: {
+    type: 'array',
+    items: { type: 'string', enum: Subscriber.CHANNELS },
+    minItems: 1,
+    uniqueItems: true
+  }
+};
+
+const tokenParams = (pattern) => ({
+  type: 'object',
+  properties: { token: { type: 'string', pattern } },
+  required: ['token'],
+  additionalProperties: false
+});
+
+const manageParams = tokenParams('^[0-9a-fA-F]{24}\\.[A-Za-z0-9_-]{43}$');
+
+const segmentQuery = {
+  status: { type: 'string', enum: Subscriber.STATUSES },
+  district: { type: 'string', maxLength: 60 },
+  language: { type: 'string', enum: LANGUAGES },
+  channel: { type: 'string', enum: Subscriber.CHANNELS }
+};
+
+const district = { type: ['string', 'null'] };
+const segment = {
+  type: 'object',
+  properties: {
+    district,
+    language: { type: 'string' },
+    count: { type: 'integer' },
+    channels: {
+      type: 'object',
+      properties: { email: { type: 'integer' }, sms: { type: 'integer' } }
+    }
+  }
+};
+const exportedSegment = {
+  type: 'object',
+  properties: {
+    district,
+    language: { type: 'string' },
+    subscribers: { type: 'array', items: { $ref: '#/components/schemas/Subscriber' } }
+  }
+};
+
+exports.join = {
+  body: {
+    type: 'object',
+    properties: {
+      ...preferences,
+      email: fragments.email,
+      phone: { type: 'string', pattern: '^\\+?[0-9 ()-]{7,20}$' }
+    },
+    required: ['name'],
+    anyOf: [{ required: ['email'] }, { required: ['phone'] }],
+    additionalProperties: false
+  },
+  responses: { 202: {} }
+};
+
+exports.confirm = {
+  params: tokenParams('^[0-9a-f]{32}$'),
+  responses: { 200: { data: { subscriber: 'Subscriber', manageToken: { type: 'string' } } } }
+};
+
+exports.getPreferences = {
+  params: manageParams,
+  responses: { 200: { data: { subscriber: 'Subscriber' } } }
+};
+
+exports.updatePreferences = {
+  params: manageParams,
+  body: {
+    type: 'object',
+    properties: {
+      ...preferences,
+      subscribed: { type: 'boolean' }
+    },
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { subscriber: 'Subscriber' } } }
+};
+
+exports.unsubscribe = {
+  params: manageParams,
+  responses: { 200: {} }
+};
+
+exports.listSubscribers = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { subscribers: ['Subscriber'] } } }
+};
+
+exports.getSegments = {
+  query: {
+    type: 'object',
+    properties: segmentQuery,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { segments: { type: 'array', items: segment } } } }
+};
+
+exports.exportSubscribers = {
+  query: {
+    type: 'object',
+    properties: {
+      ...segmentQuery,
+      format: { type: 'string', enum: ['csv', 'json'], default: 'csv' }
+    },
+    additionalProperties: false
+  },
+  responses: {
+    200: ['text/csv', { data: { segments: { type: 'array', items: exportedSegment } } }]
+  }
+};
+
+exports.deleteSubscriber = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
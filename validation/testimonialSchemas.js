@@ -0,0 +1,83 @@
+// validation/testimonialSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { LANGUAGES } = require('../utils/constants');
+const spamConfig = require('../config/spam');
+const { listOptions } = require('../controllers/testimonialController');
+
+const story = {
+  name: { type: 'string', minLength: 1, maxLength: 80 },
+  occupation: { type: 'string', maxLength: 80 },
+  location: { type: 'string', maxLength: 80 },
+  quote: { type: 'string', minLength: 1, maxLength: 1000 },
+  language: { type: 'string', enum: LANGUAGES }
+};
+
+const note = {
+  type: 'object',
+  properties: { note: { type: 'string', maxLength: 500 } },
+  additionalProperties: false
+};
+
+exports.listTestimonials = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { testimonials: ['Testimonial'] } } }
+};
+
+exports.getTestimonial = {
+  params: fragments.idParams,
+  responses: { 200: { data: { testimonial: 'Testimonial' } } }
+};
+
+// Multipart fields arrive as strings; "true" is coerced for consent
+exports.submitTestimonial = {
+  body: {
+    type: 'object',
+    properties: {
+      ...story,
+      email: fragments.email,
+      consent: { type: 'boolean', const: true },
+      formToken: { type: 'string', maxLength: 100 },
+      [spamConfig.honeypotField]: { type: 'string', maxLength: 500 }
+    },
+    required: ['name', 'quote', 'consent'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { takedownToken: { type: 'string' } } } }
+};
+
+exports.updateTestimonial = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: {
+      ...story,
+      photo: fragments.objectId,
+      moderationNote: { type: 'string', maxLength: 500 }
+    },
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { testimonial: 'Testimonial' } } }
+};
+
+exports.moderateTestimonial = {
+  params: fragments.idParams,
+  body: note,
+  responses: { 200: { data: { testimonial: 'Testimonial' } } }
+};
+
+exports.withdrawTestimonial = {
+  params: {
+    type: 'object',
+    properties: { token: { type: 'string', pattern: '^[0-9a-f]{48}$' } },
+    required: ['token'],
+    additionalProperties: false
+  },
+  responses: { 200: {} }
+};
+
+exports.deleteTestimonial = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
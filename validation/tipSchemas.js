@@ -0,0 +1,127 @@
+// validation/tipSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { CATEGORIES, LANGUAGES, SEASONS } = require('../utils/constants');
+const { listOptions } = require('../controllers/tipController');
+
+const properties = {
+  slug: fragments.slug,
+  title: { type: 'string', minLength: 1, maxLength: 80 },
+  content: { type: 'string', minLength: 1, maxLength: 600 },
+  category: { type: 'string', enum: CATEGORIES },
+  language: { type: 'string', enum: LANGUAGES },
+  icon: { type: 'string', maxLength: 50 },
+  region: { type: 'string', maxLength: 100 },
+  seasons: { type: 'array', items: { type: 'string', enum: SEASONS }, uniqueItems: true },
+  crops: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 40 }, maxItems: 30 },
+  active: { type: 'boolean' }
+};
+
+const calendarQuery = {
+  date: fragments.day,
+  language: { type: 'string', enum: LANGUAGES },
+  lang: fragments.lang,
+  season: { type: 'string', enum: SEASONS },
+  crop: { type: 'string', maxLength: 40 }
+};
+
+// One day of GET /upcoming
+const scheduledDay = {
+  type: 'object',
+  properties: {
+    date: fragments.day,
+    season: { type: 'string', enum: SEASONS },
+    language: { type: 'string', enum: LANGUAGES },
+    reason: { type: 'string', enum: ['scheduled', 'rotation', 'none'] },
+    tip: {
+      type: ['object', 'null'],
+      properties: {
+        _id: fragments.objectId,
+        title: { type: 'string' },
+        category: { type: 'string' }
+      }
+    }
+  }
+};
+
+exports.listTips = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { tips: ['Tip'] } } }
+};
+
+exports.getTipOfTheDay = {
+  query: {
+    type: 'object',
+    properties: calendarQuery,
+    additionalProperties: false
+  },
+  responses: {
+    200: { data: { date: fragments.day, season: { type: 'string', enum: SEASONS }, tip: 'Tip' } }
+  }
+};
+
+exports.getUpcomingTips = {
+  query: {
+    type: 'object',
+    properties: { ...calendarQuery, days: { type: 'integer', minimum: 1, maximum: 90 } },
+    additionalProperties: false
+  },
+  responses: { 200: { data: { schedule: { type: 'array', items: scheduledDay } } } }
+};
+
+exports.getTip = {
+  params: fragments.idParams,
+  query: {
+    type: 'object',
+    properties: { lang: fragments.lang },
+    additionalProperties: false
+  },
+  responses: { 200: { data: { tip: 'Tip', translations: fragments.translations } } }
+};
+
+exports.createTip = {
+  body: {
+    type: 'object',
+    properties: { ...properties, translationOf: fragments.objectId },
+    required: ['title', 'content', 'category', 'language'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { tip: 'Tip' } } }
+};
+
+exports.updateTip = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { tip: 'Tip' } } }
+};
+
+exports.deleteTip = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};
+
+exports.scheduleTip = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: { date: fragments.day },
+    required: ['date'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { tip: 'Tip' } } }
+};
+
+exports.unscheduleTip = {
+  params: {
+    type: 'object',
+    properties: { id: fragments.objectId, date: fragments.day },
+    required: ['id', 'date'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { tip: 'Tip' } } }
+};
@@ -0,0 +1,80 @@
+// validation/transferSchemas.js
+const { LANGUAGES } = require('../utils/constants');
+const { RESOURCES } = require('../utils/transfer');
+
+const params = {
+  type: 'object',
+  properties: { resource: { type: 'string', enum: RESOURCES } },
+  required: ['resource'],
+  additionalProperties: false
+};
+
+const importReport = {
+  resource: { type: 'string', enum: RESOURCES },
+  dryRun: { type: 'boolean' },
+  summary: {
+    type: 'object',
+    properties: Object.fromEntries(
+      ['rows', 'created', 'updated', 'unchanged', 'failed'].map((count) => [
+        count,
+        { type: 'integer' }
+      ])
+    )
+  },
+  rows: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        row: { type: 'integer' },
+        slug: { type: 'string' },
+        action: { type: 'string', enum: ['create', 'update', 'unchanged', 'error'] },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+// The body is a file, CSV text or { rows }; rows are checked against the
+// Mongoose schemas by the import itself
+exports.importResource = {
+  params,
+  query: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean', default: false }
+    },
+    additionalProperties: false
+  },
+  responses: { 200: { data: importReport } }
+};
+
+exports.exportResource = {
+  params,
+  query: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+      language: { type: 'string', enum: LANGUAGES }
+    },
+    additionalProperties: false
+  },
+  responses: {
+    200: [
+      {
+        body: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Rows in the import columns'
+        }
+      },
+      'text/csv'
+    ]
+  }
+};
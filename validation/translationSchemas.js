@@ -0,0 +1,74 @@
+// validation/translationSchemas.js
+const { fragments } = require('../middleware/validation');
+const { CATEGORIES } = require('../utils/constants');
+
+const type = { type: 'string', enum: ['article', 'tip', 'video'] };
+const languages = { type: 'array', items: { type: 'string' } };
+
+// A translation set that lacks some of the wanted languages
+const missingItem = {
+  type: 'object',
+  properties: {
+    type,
+    translationGroup: fragments.objectId,
+    title: { type: 'string' },
+    category: { type: 'string' },
+    sourceId: fragments.objectId,
+    languages,
+    missing: languages
+  }
+};
+
+exports.getMissingTranslations = {
+  query: {
+    type: 'object',
+    properties: {
+      type,
+      language: { type: 'string', maxLength: 20 },
+      category: { type: 'string', enum: CATEGORIES }
+    },
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        summary: {
+          type: 'object',
+          additionalProperties: { type: 'integer' },
+          description: 'Sets missing each language'
+        },
+        items: { type: 'array', items: missingItem }
+      }
+    }
+  }
+};
+
+exports.linkTranslation = {
+  body: {
+    type: 'object',
+    properties: { type, sourceId: fragments.objectId, targetId: fragments.objectId },
+    required: ['type', 'sourceId', 'targetId'],
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        translationGroup: fragments.objectId,
+        document: {
+          type: 'object',
+          properties: { _id: fragments.objectId, language: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+exports.unlinkTranslation = {
+  body: {
+    type: 'object',
+    properties: { type, id: fragments.objectId },
+    required: ['type', 'id'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { translationGroup: fragments.objectId } } }
+};
@@ -0,0 +1,249 @@
+// validation/triageSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { LANGUAGES } = require('../utils/constants');
+const TriageRuleSet = require('../models/TriageRuleSet');
+const TriageDecision = require('../models/TriageDecision');
+const HealthService = require('../models/HealthService');
+const { listOptions } = require('../controllers/triageController');
+
+const key = { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 60 };
+const keys = { type: 'array', items: key, maxItems: 50, uniqueItems: true };
+const urgency = { type: 'string', enum: TriageRuleSet.URGENCY_LEVELS };
+const hours = { type: 'number', minimum: 0, maximum: 24 * 365 };
+
+const localized = {
+  type: 'object',
+  properties: Object.fromEntries(
+    LANGUAGES.map((language) => [language, { type: 'string', minLength: 1, maxLength: 500 }])
+  ),
+  required: ['English'],
+  additionalProperties: false
+};
+
+const ruleSetProperties = {
+  notes: { type: 'string', maxLength: 1000 },
+  defaultUrgency: urgency,
+  symptoms: {
+    type: 'array',
+    maxItems: 100,
+    items: {
+      type: 'object',
+      properties: { key, label: localized },
+      required: ['key', 'label'],
+      additionalProperties: false
+    }
+  },
+  firstAid: {
+    type: 'array',
+    maxItems: 100,
+    items: {
+      type: 'object',
+      properties: {
+        key,
+        text: localized,
+        urgencies: { type: 'array', items: urgency, uniqueItems: true }
+      },
+      required: ['key', 'text'],
+      additionalProperties: false
+    }
+  },
+  rules: {
+    type: 'array',
+    maxItems: 200,
+    items: {
+      type: 'object',
+      properties: {
+        key,
+        description: { type: 'string', maxLength: 300 },
+        urgency,
+        routes: {
+          type: 'array',
+          items: { type: 'string', enum: TriageRuleSet.EXPOSURE_ROUTES },
+          uniqueItems: true
+        },
+        symptoms: keys,
+        minSymptoms: { type: 'integer', minimum: 1 },
+        toxicityClasses: {
+          type: 'array',
+          items: { type: 'string', enum: TriageRuleSet.TOXICITY_CLASSES },
+          uniqueItems: true
+        },
+        minHoursSinceExposure: hours,
+        maxHoursSinceExposure: hours,
+        firstAid: keys,
+        serviceTypes: {
+          type: 'array',
+          items: { type: 'string', enum: HealthService.SERVICE_TYPES },
+          uniqueItems: true
+        },
+        services: { type: 'array', items: { type: 'string', maxLength: 60 }, uniqueItems: true }
+      },
+      required: ['key', 'urgency'],
+      additionalProperties: false
+    }
+  }
+};
+
+const answers = {
+  type: 'object',
+  properties: {
+    chemical: fragments.objectId,
+    chemicalName: { type: 'string', minLength: 1, maxLength: 100 },
+    route: { type: 'string', enum: TriageRuleSet.EXPOSURE_ROUTES },
+    symptoms: keys,
+    hoursSinceExposure: hours
+  },
+  required: ['route']
+};
+
+// First-aid steps as sent to the reader, in their language
+const steps = {
+  type: 'array',
+  items: { type: 'object', properties: { key, text: { type: 'string' } } }
+};
+const strings = { type: 'array', items: { type: 'string' } };
+
+const versionParams = {
+  type: 'object',
+  properties: { version: { type: 'integer', minimum: 1 } },
+  required: ['version'],
+  additionalProperties: false
+};
+
+exports.getQuestionnaire = {
+  query: {
+    type: 'object',
+    properties: { lang: fragments.lang },
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        version: { type: 'integer' },
+        routes: strings,
+        symptoms: {
+          type: 'array',
+          items: { type: 'object', properties: { key, label: { type: 'string' } } }
+        },
+        urgencyLevels: strings
+      }
+    }
+  }
+};
+
+exports.assess = {
+  body: {
+    ...answers,
+    properties: {
+      ...answers.properties,
+      near: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?,\\s*-?\\d+(\\.\\d+)?$' },
+      district: { type: 'string', minLength: 1, maxLength: 60 }
+    },
+    additionalProperties: false
+  },
+  responses: {
+    200: {
+      data: {
+        decision: fragments.objectId,
+        version: { type: 'integer' },
+        urgency,
+        firstAid: steps,
+        chemical: {
+          anyOf: [{ $ref: '#/components/schemas/Chemical' }, { type: 'null' }],
+          description: 'Safety card of the chemical named in the answers'
+        },
+        services: { type: 'array', items: { $ref: '#/components/schemas/HealthService' } },
+        articles: { type: 'array', items: { $ref: '#/components/schemas/Article' } }
+      }
+    }
+  }
+};
+
+// Takes no input
+exports.listRuleSets = {
+  responses: { 200: { data: { ruleSets: ['TriageRuleSet'] } } }
+};
+
+exports.getRuleSet = {
+  params: versionParams,
+  responses: { 200: { data: { ruleSet: 'TriageRuleSet' } } }
+};
+
+exports.createRuleSet = {
+  body: {
+    type: 'object',
+    properties: {
+      from: { type: 'integer', minimum: 1 },
+      notes: ruleSetProperties.notes
+    },
+    additionalProperties: false
+  },
+  responses: { 201: { data: { ruleSet: 'TriageRuleSet' } } }
+};
+
+exports.updateRuleSet = {
+  params: versionParams,
+  body: {
+    type: 'object',
+    properties: ruleSetProperties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { ruleSet: 'TriageRuleSet' } } }
+};
+
+exports.testRuleSet = {
+  params: versionParams,
+  body: { ...answers, additionalProperties: false },
+  responses: {
+    200: {
+      data: {
+        version: { type: 'integer' },
+        urgency,
+        matchedRules: strings,
+        firstAid: steps,
+        serviceTypes: strings,
+        services: strings
+      }
+    }
+  }
+};
+
+exports.publishRuleSet = {
+  params: versionParams,
+  responses: { 200: { data: { ruleSet: 'TriageRuleSet' } } }
+};
+
+exports.deleteRuleSet = {
+  params: versionParams,
+  responses: { 204: null }
+};
+
+exports.listDecisions = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { decisions: ['TriageDecision'] } } }
+};
+
+exports.getDecision = {
+  params: fragments.idParams,
+  responses: { 200: { data: { decision: 'TriageDecision' } } }
+};
+
+exports.reviewDecision = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'string',
+        enum: TriageDecision.REVIEW_STATUSES.filter((s) => s !== 'pending')
+      },
+      urgency,
+      note: { type: 'string', maxLength: 1000 }
+    },
+    required: ['status'],
+    additionalProperties: false
+  },
+  responses: { 200: { data: { decision: 'TriageDecision' } } }
+};
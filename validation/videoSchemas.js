@@ -0,0 +1,130 @@
+// validation/videoSchemas.js
+const { fragments } = require('../middleware/validation');
+const { querySchema } = require('../utils/listQuery');
+const { CATEGORIES, LANGUAGES } = require('../utils/constants');
+const { QUALITIES } = require('../models/Video');
+const { listOptions } = require('../controllers/videoController');
+
+const caption = {
+  type: 'object',
+  properties: {
+    language: { type: 'string', enum: LANGUAGES },
+    label: { type: 'string', maxLength: 50 },
+    url: fragments.url,
+    vtt: { type: 'string', maxLength: 1000000 }
+  },
+  required: ['language'],
+  additionalProperties: false
+};
+
+const rendition = {
+  type: 'object',
+  properties: {
+    quality: { type: 'string', enum: QUALITIES },
+    url: fragments.url,
+    mimeType: { type: 'string', maxLength: 100 },
+    bitrate: { type: 'number', exclusiveMinimum: 0 },
+    sizeBytes: { type: 'integer', minimum: 0 },
+    audioOnly: { type: 'boolean' }
+  },
+  required: ['quality', 'url', 'bitrate'],
+  additionalProperties: false
+};
+
+const properties = {
+  title: { type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 1000 },
+  category: { type: 'string', enum: CATEGORIES },
+  language: { type: 'string', enum: LANGUAGES },
+  duration: { type: 'number', minimum: 1 },
+  thumbnailUrl: fragments.url,
+  thumbnail: fragments.objectId,
+  captions: { type: 'array', items: caption, maxItems: 20 },
+  renditions: { type: 'array', items: rendition, minItems: 1, maxItems: 20 }
+};
+
+const captionParams = {
+  type: 'object',
+  properties: {
+    id: fragments.objectId,
+    language: { type: 'string', enum: LANGUAGES }
+  },
+  required: ['id', 'language'],
+  additionalProperties: false
+};
+
+exports.listVideos = {
+  query: querySchema(listOptions),
+  responses: { 200: { data: { videos: ['Video'] } } }
+};
+
+exports.getVideo = {
+  params: fragments.idParams,
+  query: {
+    type: 'object',
+    properties: { lang: fragments.lang },
+    additionalProperties: false
+  },
+  responses: { 200: { data: { video: 'Video', translations: fragments.translations } } }
+};
+
+exports.getRendition = {
+  params: fragments.idParams,
+  query: {
+    type: 'object',
+    properties: { maxBitrate: { type: 'number', exclusiveMinimum: 0 } },
+    additionalProperties: false
+  },
+  responses: { 200: { data: { rendition } } }
+};
+
+exports.getCaptions = {
+  params: captionParams,
+  responses: { 200: 'text/vtt', 302: null }
+};
+
+// The body is either raw WebVTT (Content-Type: text/vtt) or JSON
+exports.upsertCaptions = {
+  params: captionParams,
+  body: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'object',
+        properties: {
+          label: { type: 'string', maxLength: 50 },
+          url: fragments.url,
+          vtt: { type: 'string', maxLength: 1000000 }
+        },
+        additionalProperties: false
+      }
+    ]
+  },
+  responses: { 200: { data: { captions: { type: 'array', items: caption } } } }
+};
+
+exports.createVideo = {
+  body: {
+    type: 'object',
+    properties: { ...properties, translationOf: fragments.objectId },
+    required: ['title', 'category', 'language', 'duration', 'renditions'],
+    additionalProperties: false
+  },
+  responses: { 201: { data: { video: 'Video' } } }
+};
+
+exports.updateVideo = {
+  params: fragments.idParams,
+  body: {
+    type: 'object',
+    properties,
+    minProperties: 1,
+    additionalProperties: false
+  },
+  responses: { 200: { data: { video: 'Video' } } }
+};
+
+exports.deleteVideo = {
+  params: fragments.idParams,
+  responses: { 204: null }
+};